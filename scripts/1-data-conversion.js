@@ -1,20 +1,46 @@
+const crypto = require("crypto");
 const fs = require("fs");
 const csvParser = require("csv-parser");
 const path = require("path");
+const { pipeline } = require("stream");
+const { createJsonWriter, FORMAT_EXTENSIONS } = require("./utils/json-stream");
+const { normalizeRecord } = require("./utils/normalize");
+const { OutputTransaction } = require("./utils/atomic-writer");
+const { errorTypeOf } = require("./utils/exit-codes");
+const { getConfig, getPath } = require("./utils/config");
+const {
+  fingerprintFile,
+  loadState,
+  updateState,
+} = require("./utils/change-detection");
 
 // Setup logger
-const logger = require("./utils/logger").getLogger("data-conversion");
+const { getLogger, flushLogs } = require("./utils/logger");
+const logger = getLogger("data-conversion");
 
 /**
  * Converts CSV files from the data directory to JSON files in the results directory
+ * @param {object} options - Conversion options
+ * @param {Array<string>} options.formats - Output formats ('json', 'ndjson');
+ *   defaults to the configured formats
+ * @param {number} options.progressInterval - Records between progress logs;
+ *   defaults to the configured interval
+ * @param {boolean} options.normalize - Normalize records to typed camelCase
+ *   fields (default: true)
+ * @param {boolean} options.incremental - Skip CSV files that are unchanged
+ *   since the previous run
  * @returns {Promise<object>} Processing results
  */
-async function convertCsvToJson() {
+async function convertCsvToJson(options = {}) {
   logger.info("Starting CSV to JSON conversion");
 
   // Create directories if they don't exist
-  const RESULTS_DIR = path.join(process.cwd(), "results");
-  const DATA_DIR = path.join(process.cwd(), "data");
+  const RESULTS_DIR = getPath("resultsDir");
+  const DATA_DIR = getPath("dataDir");
+  const DB_DIR = getPath("dbDir");
+  const STATE_PATH = getPath("dbDir", "pipelineState");
+  // Converted files replace the previous ones once the whole run succeeded
+  const outputs = new OutputTransaction();
 
   try {
     if (!fs.existsSync(RESULTS_DIR)) {
@@ -27,6 +53,11 @@ async function convertCsvToJson() {
       logger.info(`Created directory: ${DATA_DIR}`);
     }
 
+    if (!fs.existsSync(DB_DIR)) {
+      fs.mkdirSync(DB_DIR, { recursive: true });
+      logger.info(`Created directory: ${DB_DIR}`);
+    }
+
     // Get all CSV files from the data directory
     const csvFiles = fs
       .readdirSync(DATA_DIR)
@@ -34,93 +65,244 @@ async function convertCsvToJson() {
 
     if (csvFiles.length === 0) {
       logger.warn("No CSV files found in the data directory.");
-      return { success: false, error: "No CSV files found" };
+      return { success: false, error: "No CSV files found", errorType: "io" };
     }
 
     logger.info(`Found ${csvFiles.length} CSV files to process`);
 
+    const previous = loadState(STATE_PATH).conversion;
+
     // Process each CSV file
     const results = await Promise.all(
-      csvFiles.map((csvFile) => processFile(csvFile, DATA_DIR, RESULTS_DIR))
+      csvFiles.map(async (csvFile) => {
+        if (options.incremental && previous) {
+          const unchanged = await findUnchangedOutputs(
+            csvFile,
+            DATA_DIR,
+            RESULTS_DIR,
+            previous,
+            options
+          );
+          if (unchanged) return unchanged;
+        }
+        return processFile(csvFile, DATA_DIR, RESULTS_DIR, options, outputs);
+      })
     );
 
     const processedCount = results.reduce(
       (count, result) => count + (result.success ? 1 : 0),
       0
     );
+    const skippedCount = results.filter((result) => result.skipped).length;
 
     logger.info(
-      `CSV conversion complete: ${processedCount}/${csvFiles.length} files processed successfully`
+      `CSV conversion complete: ${processedCount}/${csvFiles.length} files processed successfully` +
+        (skippedCount > 0 ? ` (${skippedCount} unchanged)` : "")
     );
 
+    // Record what was converted so the next incremental run can skip it
+    const files = {};
+    results
+      .filter((result) => result.success)
+      .forEach((result) => {
+        files[result.file] = result.fingerprint;
+      });
+    if (processedCount > 0) {
+      updateState(
+        STATE_PATH,
+        "conversion",
+        { normalize: options.normalize !== false, files },
+        outputs
+      );
+      outputs.commit();
+    } else {
+      outputs.abort();
+    }
+
+    const failed = results.filter((result) => !result.success);
     return {
       success: processedCount > 0,
+      ...(processedCount > 0
+        ? {}
+        : {
+            error: `No CSV file could be converted: ${failed[0].error}`,
+            errorType: failed[0].errorType,
+          }),
       processed: processedCount,
+      skipped: skippedCount,
       total: csvFiles.length,
       results: results,
     };
   } catch (error) {
     logger.error(`Error in CSV to JSON conversion: ${error.message}`);
     logger.error(error.stack);
-    return { success: false, error: error.message };
+    outputs.abort();
+    return {
+      success: false,
+      error: error.message,
+      errorType: errorTypeOf(error),
+    };
   }
 }
 
 /**
- * Process a single CSV file and convert it to JSON
+ * Check whether a CSV file is unchanged since the previous conversion and
+ * all of its outputs are still in place
+ * @param {string} csvFile - Filename of the CSV file
+ * @param {string} dataDir - Data directory path
+ * @param {string} resultsDir - Results directory path
+ * @param {object} previous - Conversion state from the previous run
+ * @param {object} options - Conversion options
+ * @returns {Promise<object|null>} Skipped result, or null if it must be converted
+ */
+async function findUnchangedOutputs(
+  csvFile,
+  dataDir,
+  resultsDir,
+  previous,
+  options = {}
+) {
+  const formats = options.formats || getConfig().conversion.formats;
+  const outputs = formats.map((format) =>
+    path.join(resultsDir, csvFile.replace(/\.csv$/, FORMAT_EXTENSIONS[format]))
+  );
+
+  if (
+    previous.normalize !== (options.normalize !== false) ||
+    !previous.files ||
+    !previous.files[csvFile] ||
+    !outputs.every((output) => fs.existsSync(output))
+  ) {
+    return null;
+  }
+
+  const fileFingerprint = await fingerprintFile(path.join(dataDir, csvFile));
+  if (fileFingerprint !== previous.files[csvFile]) return null;
+
+  logger.info(`${csvFile} is unchanged since the last run, skipping`);
+  return {
+    success: true,
+    skipped: true,
+    file: csvFile,
+    fingerprint: fileFingerprint,
+    outputPath: outputs[0],
+    outputs,
+  };
+}
+
+/**
+ * Process a single CSV file and stream it to JSON one record at a time
  * @param {string} csvFile - Filename of the CSV file to process
  * @param {string} dataDir - Data directory path
  * @param {string} resultsDir - Results directory path
+ * @param {object} options - Conversion options
+ * @param {OutputTransaction} outputs - Output transaction to stage the
+ *   converted files in (default: write them in place)
  * @returns {Promise<object>} Processing result
  */
-function processFile(csvFile, dataDir, resultsDir) {
-  return new Promise((resolve) => {
-    const csvFilePath = path.join(dataDir, csvFile);
-    const jsonFileName = csvFile.replace(".csv", ".json");
-    const outputFilePath = path.join(resultsDir, jsonFileName);
+async function processFile(
+  csvFile,
+  dataDir,
+  resultsDir,
+  options = {},
+  outputs = null
+) {
+  const csvFilePath = path.join(dataDir, csvFile);
+  const { conversion } = getConfig();
+  const formats = options.formats || conversion.formats;
+  const progressInterval =
+    options.progressInterval || conversion.progressInterval;
+  const normalize = options.normalize !== false;
+
+  logger.info(`Processing ${csvFile}...`);
+
+  let writers = [];
+
+  try {
+    const totalBytes = fs.statSync(csvFilePath).size;
+    const readStream = fs.createReadStream(csvFilePath);
 
-    logger.info(`Processing ${csvFile}...`);
+    // Fingerprint the file as it is read, for incremental runs
+    const hash = crypto.createHash("sha1");
+    readStream.on("data", (chunk) => hash.update(chunk));
+
+    writers = formats.map((format) =>
+      createJsonWriter(
+        path.join(
+          resultsDir,
+          csvFile.replace(/\.csv$/, FORMAT_EXTENSIONS[format])
+        ),
+        { format, outputs }
+      )
+    );
+
+    // pipeline() forwards read errors to the parser so the loop below rejects
+    const rows = pipeline(readStream, csvParser(), () => {});
 
-    const finalData = [];
     let processedCount = 0;
+    let warningCount = 0;
 
-    fs.createReadStream(csvFilePath)
-      .pipe(csvParser())
-      .on("data", (data) => {
-        finalData.push(data);
-        processedCount++;
-      })
-      .on("end", () => {
-        try {
-          // Save data with proper JSON formatting
-          const jsonData = JSON.stringify(finalData, null, 2) + "\n";
-          fs.writeFileSync(outputFilePath, jsonData);
-          logger.info(`Saved ${finalData.length} records to ${outputFilePath}`);
-
-          // Verify JSON is valid
-          const readBack = fs.readFileSync(outputFilePath, "utf8");
-          JSON.parse(readBack); // Will throw if invalid
-
-          resolve({
-            success: true,
-            file: csvFile,
-            recordCount: finalData.length,
-            outputPath: outputFilePath,
-          });
-        } catch (err) {
-          logger.error(
-            `Error saving JSON file ${outputFilePath}: ${err.message}`
-          );
-          resolve({ success: false, file: csvFile, error: err.message });
-        }
-      })
-      .on("error", (err) => {
-        logger.error(
-          `Error processing CSV file ${csvFilePath}: ${err.message}`
+    for await (const row of rows) {
+      const record = normalize
+        ? normalizeRecord(row, {
+            onWarning: (field, message) => {
+              warningCount++;
+              logger.warn(
+                `${csvFile} record ${processedCount + 1} (id ${
+                  row.id || "unknown"
+                }): could not parse ${field}: ${message}`
+              );
+            },
+          })
+        : row;
+
+      await Promise.all(writers.map((writer) => writer.write(record)));
+      processedCount++;
+
+      if (processedCount % progressInterval === 0) {
+        const percent = totalBytes
+          ? ((readStream.bytesRead / totalBytes) * 100).toFixed(1)
+          : "100.0";
+        logger.info(
+          `${csvFile}: ${processedCount} records converted (${percent}%)`
         );
-        resolve({ success: false, file: csvFile, error: err.message });
-      });
-  });
+      }
+    }
+
+    const written = [];
+    for (const writer of writers) {
+      written.push(await writer.end());
+    }
+
+    written.forEach((output) => {
+      logger.info(`Saved ${output.recordCount} records to ${output.filePath}`);
+    });
+
+    if (warningCount > 0) {
+      logger.warn(
+        `${csvFile}: ${warningCount} field values could not be parsed`
+      );
+    }
+
+    return {
+      success: true,
+      file: csvFile,
+      recordCount: processedCount,
+      warningCount,
+      fingerprint: hash.digest("hex"),
+      outputPath: written[0].filePath,
+      outputs: written.map((output) => output.filePath),
+    };
+  } catch (err) {
+    writers.forEach((writer) => writer.destroy());
+    logger.error(`Error processing CSV file ${csvFilePath}: ${err.message}`);
+    return {
+      success: false,
+      file: csvFile,
+      error: err.message,
+      errorType: errorTypeOf(err),
+    };
+  }
 }
 
 // For standalone usage
@@ -128,12 +310,12 @@ if (require.main === module) {
   convertCsvToJson()
     .then((result) => {
       if (!result.success) {
-        process.exit(1);
+        flushLogs().then(() => process.exit(1));
       }
     })
     .catch((err) => {
       logger.error(`Fatal error: ${err.message}`);
-      process.exit(1);
+      flushLogs().then(() => process.exit(1));
     });
 }
 
@@ -1,42 +1,179 @@
 const fs = require("fs");
-const path = require("path");
+
+const { validateAnimeData } = require("./utils/validation");
+const {
+  CONFLICT_RESOLUTION_MODES,
+  getConfig,
+  getPath,
+} = require("./utils/config");
+const { SeriesIdRegistry } = require("./utils/series-ids");
+const { OutputTransaction } = require("./utils/atomic-writer");
+const { aggregateSeriesMetadata } = require("./utils/series-metadata");
+const { SeriesNamer } = require("./utils/series-naming");
+const { errorTypeOf, usageError } = require("./utils/exit-codes");
+const {
+  GROUPING_RULES,
+  CurationOverrides,
+} = require("./utils/curation-overrides");
+const {
+  fingerprint,
+  fingerprintRecords,
+  diffFingerprints,
+  loadState,
+  updateState,
+} = require("./utils/change-detection");
+const {
+  DisjointSet,
+  depthFirstOrder,
+  findDirectedCycles,
+} = require("./utils/graph");
 
 // Setup logger
-const logger = require("./utils/logger").getLogger("series-grouping");
+const { getLogger, flushLogs } = require("./utils/logger");
+const logger = getLogger("series-grouping");
+
+const DEFAULT_CONFLICT_RESOLUTION = "merge";
 
 /**
  * Groups anime data into series based on relations
+ * @param {object} options - Grouping options
+ * @param {string} options.validationPolicy - What to do with rows that fail
+ *   input validation ('fail', 'skip' or 'quarantine'); defaults to the
+ *   configured policy
+ * @param {string} options.conflictResolution - How to resolve anime shared
+ *   between series ('merge', 'split' or 'keep'); defaults to the configured
+ *   mode
+ * @param {boolean} options.incremental - Regroup only the series touched by
+ *   anime added, modified or removed since the previous run
  * @returns {Promise<object>} Processing results
  */
-async function groupAnimeIntoSeries() {
+async function groupAnimeIntoSeries(options = {}) {
   logger.info("Starting anime series grouping process");
 
+  // The outputs replace the previous ones together once the grouping
+  // succeeded
+  const outputs = new OutputTransaction();
+
   try {
     // Paths for the files
-    const RESULTS_DIR = path.join(process.cwd(), "results");
-    const ANIME_DATA_PATH = path.join(
-      RESULTS_DIR,
-      "anilist_anime_data_complete.json"
-    );
-    const SERIES_OUTPUT_PATH = path.join(RESULTS_DIR, "main_series.json");
-    const EDGE_CASES_PATH = path.join(RESULTS_DIR, "edge_cases.json");
-    const UPDATED_ANIME_PATH = path.join(
-      RESULTS_DIR,
-      "anime_data_updated.json"
+    const { grouping, naming } = getConfig();
+    const RESULTS_DIR = getPath("resultsDir");
+    const ANIME_DATA_PATH = getPath("resultsDir", "animeData");
+    const SERIES_OUTPUT_PATH = getPath("resultsDir", "mainSeries");
+    const EDGE_CASES_PATH = getPath("resultsDir", "edgeCases");
+    const UPDATED_ANIME_PATH = getPath("resultsDir", "updatedAnimeData");
+    const DB_DIR = getPath("dbDir");
+    const DB_SERIES_PATH = getPath("dbDir", "seriesDb");
+    const REGISTRY_PATH = getPath("dbDir", "seriesRegistry");
+    const STATE_PATH = getPath("dbDir", "pipelineState");
+    const OVERRIDES_PATH = getPath("dbDir", "overrides");
+
+    // Ensure results and db directories exist
+    [RESULTS_DIR, DB_DIR].forEach((dir) => {
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+        logger.info(`Created directory: ${dir}`);
+      }
+    });
+
+    // Read anime data
+    const rawAnimeData = readAnimeData(ANIME_DATA_PATH);
+    logger.info(`Read ${rawAnimeData.length} anime records`);
+
+    // Validate against the input schema before grouping
+    const validation = validateAnimeData(rawAnimeData, {
+      policy: options.validationPolicy || grouping.validationPolicy,
+      resultsDir: RESULTS_DIR,
+    });
+    if (!validation.success) {
+      return {
+        success: false,
+        error: validation.error,
+        errorType: validation.errorType,
+      };
+    }
+    const animeData = validation.records;
+
+    // Series keep the IDs they were given in previous runs
+    const registry = SeriesIdRegistry.load(REGISTRY_PATH);
+
+    // Fingerprint the input before grouping annotates the records
+    const mode = options.conflictResolution || grouping.conflictResolution;
+    const namer = new SeriesNamer(naming);
+    const namingFingerprint = fingerprint(naming);
+    const overrides = CurationOverrides.load(OVERRIDES_PATH);
+    if (overrides.rules.length > 0) {
+      logger.info(
+        `Loaded ${overrides.rules.length} curation overrides from ${OVERRIDES_PATH}`
+      );
+    }
+    const recordFingerprints = fingerprintRecords(animeData);
+    const previousState = loadState(STATE_PATH).grouping;
+    const previousOutput = readPreviousOutput(
+      SERIES_OUTPUT_PATH,
+      EDGE_CASES_PATH
     );
 
-    // Ensure results directory exists
-    if (!fs.existsSync(RESULTS_DIR)) {
-      fs.mkdirSync(RESULTS_DIR, { recursive: true });
-      logger.info(`Created directory: ${RESULTS_DIR}`);
+    // Group anime into series, reusing unchanged series when possible
+    let series;
+    let edgeCases;
+    let changes;
+    if (
+      options.incremental &&
+      previousOutput &&
+      previousState &&
+      previousState.conflictResolution === mode &&
+      previousState.naming === namingFingerprint &&
+      previousState.overrides === overrides.fingerprint
+    ) {
+      ({ series, edgeCases, changes } = regroupChangedComponents(
+        animeData,
+        previousOutput,
+        {
+          conflictResolution: mode,
+          registry,
+          namer,
+          overrides,
+          previousFingerprints: previousState.records,
+          recordFingerprints,
+        }
+      ));
+    } else {
+      if (options.incremental) {
+        logger.info("No compatible previous run found, grouping everything");
+      }
+      ({ series, edgeCases } = groupAnimeIntoSeries_internal(animeData, {
+        conflictResolution: mode,
+        registry,
+        namer,
+        overrides,
+      }));
+      changes = {
+        incremental: false,
+        anime: diffFingerprints(
+          (previousState && previousState.records) || {},
+          recordFingerprints
+        ),
+        recomputedAnime: animeData.length,
+        series: { recomputed: series.length, reused: 0 },
+      };
     }
 
-    // Read anime data
-    const animeData = readAnimeData(ANIME_DATA_PATH);
-    logger.info(`Read ${animeData.length} anime records`);
+    // Series that appeared or disappeared since the previous run
+    const previousSeriesIds = new Set(
+      previousOutput ? previousOutput.series.map((s) => s.seriesId) : []
+    );
+    const seriesIds = new Set(series.map((s) => s.seriesId));
+    changes.series.created = [...seriesIds].filter(
+      (id) => !previousSeriesIds.has(id)
+    );
+    changes.series.removed = [...previousSeriesIds].filter(
+      (id) => !seriesIds.has(id)
+    );
+    logger.info(
+      `Anime changes: ${changes.anime.added.length} added, ${changes.anime.modified.length} modified, ${changes.anime.removed.length} removed`
+    );
 
-    // Group anime into series
-    const { series, edgeCases } = groupAnimeIntoSeries_internal(animeData);
     logger.info(`Created ${series.length} series groups`);
     logger.info(
       `Found ${edgeCases.animeInMultipleSeries.length} anime in multiple series`
@@ -45,39 +182,40 @@ async function groupAnimeIntoSeries() {
     logger.info(
       `Found ${edgeCases.circularRelations.length} circular relations`
     );
+    const overridesReport = reportOverrides(
+      overrides,
+      GROUPING_RULES,
+      "series"
+    );
 
     // Update anime data with series IDs
     const updatedAnimeData = updateAnimeData(animeData, { series });
 
     // Save the results
-    fs.writeFileSync(
-      SERIES_OUTPUT_PATH,
-      JSON.stringify({ series }, null, 2) + "\n"
+    const seriesJson = JSON.stringify({ series }, null, 2) + "\n";
+    outputs.writeFile(SERIES_OUTPUT_PATH, seriesJson);
+    // Series data for the advanced split
+    outputs.writeFile(DB_SERIES_PATH, seriesJson);
+    outputs.writeJson(EDGE_CASES_PATH, edgeCases);
+    outputs.writeJson(UPDATED_ANIME_PATH, updatedAnimeData);
+    registry.save(REGISTRY_PATH, outputs);
+    updateState(
+      STATE_PATH,
+      "grouping",
+      {
+        conflictResolution: mode,
+        naming: namingFingerprint,
+        overrides: overrides.fingerprint,
+        records: recordFingerprints,
+      },
+      outputs
     );
+    outputs.commit();
     logger.info(`Saved series data to ${SERIES_OUTPUT_PATH}`);
-
-    fs.writeFileSync(
-      EDGE_CASES_PATH,
-      JSON.stringify(edgeCases, null, 2) + "\n"
-    );
     logger.info(`Saved edge cases to ${EDGE_CASES_PATH}`);
-
-    fs.writeFileSync(
-      UPDATED_ANIME_PATH,
-      JSON.stringify(updatedAnimeData, null, 2) + "\n"
-    );
     logger.info(`Saved updated anime data to ${UPDATED_ANIME_PATH}`);
-
-    // Copy to db directory for advanced split
-    const DB_DIR = path.join(process.cwd(), "db");
-    if (!fs.existsSync(DB_DIR)) {
-      fs.mkdirSync(DB_DIR, { recursive: true });
-      logger.info(`Created directory: ${DB_DIR}`);
-    }
-
-    const DB_SERIES_PATH = path.join(DB_DIR, "series.json");
-    fs.copyFileSync(SERIES_OUTPUT_PATH, DB_SERIES_PATH);
-    logger.info(`Copied series data to ${DB_SERIES_PATH}`);
+    logger.info(`Saved series data for the split to ${DB_SERIES_PATH}`);
+    logger.info(`Saved series ID registry to ${REGISTRY_PATH}`);
 
     // Log summary for important series
     logSeriesSummary(series);
@@ -85,16 +223,30 @@ async function groupAnimeIntoSeries() {
     return {
       success: true,
       seriesCount: series.length,
+      validation: {
+        policy: validation.report.policy,
+        rowsWithErrors: validation.report.rowsWithErrors,
+        rowsWithWarnings: validation.report.rowsWithWarnings,
+      },
       edgeCasesCount: {
         animeInMultipleSeries: edgeCases.animeInMultipleSeries.length,
         orphanedAnime: edgeCases.orphanedAnime.length,
         circularRelations: edgeCases.circularRelations.length,
       },
+      changes,
+      overrides: overridesReport,
+      // In-memory output for later stages; not recorded in the run manifest
+      output: { series, edgeCases },
     };
   } catch (error) {
     logger.error(`Error in anime series grouping: ${error.message}`);
     logger.error(error.stack);
-    return { success: false, error: error.message };
+    outputs.abort();
+    return {
+      success: false,
+      error: error.message,
+      errorType: errorTypeOf(error),
+    };
   }
 }
 
@@ -113,6 +265,47 @@ function readAnimeData(dataPath) {
   }
 }
 
+/**
+ * Read the series and edge cases written by the previous run
+ * @param {string} seriesPath - Path to main_series.json
+ * @param {string} edgeCasesPath - Path to edge_cases.json
+ * @returns {object|null} Previous output, or null if it is missing or unreadable
+ */
+function readPreviousOutput(seriesPath, edgeCasesPath) {
+  if (!fs.existsSync(seriesPath) || !fs.existsSync(edgeCasesPath)) {
+    return null;
+  }
+
+  try {
+    return {
+      series: JSON.parse(fs.readFileSync(seriesPath, "utf8")).series,
+      edgeCases: JSON.parse(fs.readFileSync(edgeCasesPath, "utf8")),
+    };
+  } catch (error) {
+    logger.warn(`Ignoring unreadable previous output: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Log the curation overrides that took effect and warn about the others
+ * @param {CurationOverrides} overrides - Curation overrides
+ * @param {Array<string>} types - Rule types the stage applies
+ * @param {string} scope - Pin scope of the stage
+ * @returns {object} IDs of the applied and unused rules
+ */
+function reportOverrides(overrides, types, scope) {
+  const { applied, unused } = overrides.report(types, scope);
+
+  if (applied.length > 0) {
+    logger.info(`Applied curation overrides: ${applied.join(", ")}`);
+  }
+  unused.forEach((ruleId) => {
+    logger.warn(`Curation override ${ruleId} matched nothing`);
+  });
+  return { applied, unused };
+}
+
 /**
  * Log summary information for important series
  * @param {Array} series - Array of series objects
@@ -137,124 +330,301 @@ function logSeriesSummary(series) {
 }
 
 /**
- * Generate a unique series ID based on the first anime's title
- * @param {Array} animeDetails - Array of anime objects
- * @param {Set} existingIds - Set of existing series IDs
- * @returns {string} Unique series ID
+ * Get the display title of an anime record
+ * @param {object} anime - Anime object
+ * @returns {string|undefined} Romaji title, falling back to the plain title
  */
-function generateSeriesId(animeDetails, existingIds = new Set()) {
-  // Get the first anime in the group
-  const firstAnime = animeDetails[0];
-
-  if (!firstAnime || !firstAnime.title) {
-    return `series_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
-  }
+function getAnimeTitle(anime) {
+  return anime.titleRomaji || anime.title;
+}
 
-  // Create a slug from the title
-  let slug = firstAnime.title
-    .toLowerCase()
-    .replace(/[^a-z0-9]/g, "_")
-    .replace(/_+/g, "_")
-    .replace(/^_|_$/g, "");
+/**
+ * Detect directed cycles in the chronological relations of a series.
+ *
+ * Each configured chronological relation type points in time:
+ * "forward": the target comes after the source (A SEQUEL B: A before B)
+ * "backward": the target comes before the source (A PREQUEL B: B before A)
+ * Expected inverse pairs (SEQUEL/PREQUEL, SIDE_STORY/PARENT) map to the same
+ * edge, so only contradictory chains form cycles.
+ * @param {object} seriesGroup - Series object with relations
+ * @param {object} animeMap - Map of anime objects by ID
+ * @returns {Array} Circular relation edge cases
+ */
+function findCircularRelations(seriesGroup, animeMap) {
+  const chronologicalRelations = getConfig().relations.chronological;
+  const adjacency = new Map();
+  const edgeRelations = new Map();
+
+  seriesGroup.relations.forEach((relation) => {
+    const direction = chronologicalRelations[relation.relationType];
+    if (!direction || !relation.targetAnimeId) return;
+
+    const [earlier, later] =
+      direction === "forward"
+        ? [relation.sourceAnimeId, relation.targetAnimeId]
+        : [relation.targetAnimeId, relation.sourceAnimeId];
+    const edgeKey = `${earlier}->${later}`;
+
+    if (!edgeRelations.has(edgeKey)) {
+      edgeRelations.set(edgeKey, []);
+      addNeighbor(adjacency, earlier, later);
+    }
+    edgeRelations.get(edgeKey).push(relation);
+  });
 
-  // Limit the length
-  slug = slug.substring(0, 30);
+  return findDirectedCycles(adjacency).map(({ path, vertices }) => {
+    const steps = [];
+    const relations = [];
+
+    for (let i = 0; i < path.length - 1; i++) {
+      const stepRelations = edgeRelations
+        .get(`${path[i]}->${path[i + 1]}`)
+        .map((relation) => ({
+          sourceAnimeId: relation.sourceAnimeId,
+          targetAnimeId: relation.targetAnimeId,
+          relationType: relation.relationType,
+        }));
+
+      steps.push({
+        fromAnimeId: path[i],
+        toAnimeId: path[i + 1],
+        relationTypes: stepRelations.map((relation) => relation.relationType),
+      });
+      relations.push(...stepRelations);
+    }
 
-  // Add a unique suffix if needed
-  let seriesId = slug;
-  let counter = 1;
+    return {
+      seriesId: seriesGroup.seriesId,
+      seriesName: seriesGroup.seriesName,
+      path,
+      titles: path.map(
+        (id) => (animeMap[id] && getAnimeTitle(animeMap[id])) || "Unknown"
+      ),
+      steps,
+      relations,
+      involvedAnimeIds: vertices.sort((a, b) => Number(a) - Number(b)),
+    };
+  });
+}
 
-  while (existingIds.has(seriesId)) {
-    seriesId = `${slug}_${counter}`;
-    counter++;
+/**
+ * Append a neighbor to a vertex's adjacency list
+ * @param {Map} adjacency - Map of vertex to array of neighbors
+ * @param {string} vertex - Vertex ID
+ * @param {string} neighbor - Neighbor ID
+ */
+function addNeighbor(adjacency, vertex, neighbor) {
+  if (!adjacency.has(vertex)) {
+    adjacency.set(vertex, []);
   }
-
-  return seriesId;
+  adjacency.get(vertex).push(neighbor);
 }
 
 /**
- * Find all related anime IDs recursively
- * @param {string} animeId - Anime ID to start from
- * @param {object} animeMap - Map of anime objects by ID
- * @param {Set} processedIds - Set of already processed anime IDs
- * @param {Map} relationChains - Map of relation chains for circular detection
- * @returns {Set} Set of related anime IDs
+ * Claim the anime of each series, in data order, as the original recursive
+ * grouping did: every anime not processed yet claims the anime it reaches
+ * by following relations in their direction (depth-first, in relation
+ * order), including anime outside the dataset. Reaching an anime that
+ * already belongs to a series is an overlap, resolved according to the
+ * conflict mode:
+ * - merge: the claimed anime join that series (and any other they reach)
+ * - split: the claimed anime form a series without the shared anime
+ * - keep: the claim creates no series, as in the original grouping
+ *
+ * Series members are kept in a disjoint set. The anime reachable from a
+ * series member always belong to a series already, so a claim stops there
+ * and each anime is traversed once in the merge and split modes.
+ * @param {Array} animeData - Array of anime objects with normalized relations
+ * @param {string} mode - Conflict resolution mode
+ * @returns {object} Claims in data order, overlaps, orphaned anime and a
+ *   lookup of the claim an anime belongs to
  */
-function findAllRelatedIds(
-  animeId,
-  animeMap,
-  processedIds = new Set(),
-  relationChains = new Map()
-) {
-  if (processedIds.has(animeId)) return processedIds;
+function claimSeries(animeData, mode) {
+  const members = new DisjointSet();
+  const claimsByRoot = new Map();
+  const processedIds = new Set();
+  const claims = [];
+  const overlaps = [];
+  const orphans = [];
+
+  const adjacency = new Map();
+  animeData.forEach((anime) => {
+    adjacency.set(
+      anime.id,
+      anime.relations.filter((relation) => relation.targetAnimeId)
+    );
+  });
 
-  processedIds.add(animeId);
-  const anime = animeMap[animeId];
+  const claimOf = (animeId) =>
+    members.has(animeId) ? claimsByRoot.get(members.find(animeId)) : null;
 
-  if (!anime || !anime.relations) return processedIds;
+  const addMembers = (claim, animeIds) => {
+    const anchorId = claim.animeIds[0];
+    animeIds.forEach((animeId) => members.union(anchorId, animeId));
+    claimsByRoot.set(members.find(anchorId), claim);
+  };
 
-  // Process all relations
-  anime.relations.forEach((relation) => {
-    const targetId = relation.targetAnimeId || relation.id;
+  animeData.forEach((anime) => {
+    // Skip if already processed
+    if (processedIds.has(anime.id)) return;
 
-    if (!targetId) return;
+    // Skip if no relations (handle as orphaned)
+    if (anime.relations.length === 0) {
+      orphans.push({ anime, reason: "No relations found" });
+      processedIds.add(anime.id);
+      return;
+    }
 
-    // Track relation chain for circular detection
-    const currentChain = relationChains.get(animeId) || [];
-    const newChain = [...currentChain, animeId];
+    // Anime reachable from this one, stopping at members of other series
+    const reachedIds = [anime.id];
+    const visited = new Set(reachedIds);
+    const links = [];
+    const stack = [{ animeId: anime.id, next: 0 }];
+    while (stack.length > 0) {
+      const frame = stack[stack.length - 1];
+      const relations = adjacency.get(frame.animeId) || [];
+      if (frame.next >= relations.length) {
+        stack.pop();
+        continue;
+      }
 
-    // Check for circular relations
-    if (currentChain.includes(targetId)) {
-      logger.warn(
-        `Circular relation detected: ${currentChain.join("->")}->${targetId}`
-      );
-      // This will be handled later in the edge cases
+      const relation = relations[frame.next++];
+      const targetId = relation.targetAnimeId;
+      if (claimOf(targetId)) {
+        links.push({
+          sourceAnimeId: frame.animeId,
+          targetAnimeId: targetId,
+          relationType: relation.relationType || "UNKNOWN",
+          seedId: anime.id,
+        });
+      } else if (!visited.has(targetId)) {
+        visited.add(targetId);
+        reachedIds.push(targetId);
+        stack.push({ animeId: targetId, next: 0 });
+      }
     }
+    reachedIds.forEach((animeId) => processedIds.add(animeId));
 
-    relationChains.set(targetId, newChain);
+    // Skip if only the anime itself is found
+    if (reachedIds.length === 1 && links.length === 0) {
+      orphans.push({ anime, reason: "No reciprocal relations found" });
+      return;
+    }
 
-    if (!processedIds.has(targetId)) {
-      findAllRelatedIds(targetId, animeMap, processedIds, relationChains);
+    let claim = null;
+    if (links.length === 0 || mode === "split") {
+      if (reachedIds.length > 1) {
+        claim = {
+          index: claims.length,
+          seedId: anime.id,
+          animeIds: reachedIds,
+          merged: false,
+        };
+        addMembers(claim, reachedIds);
+        claims.push(claim);
+      } else {
+        orphans.push({
+          anime,
+          reason: "Relations only lead into another series",
+        });
+      }
+    } else if (mode === "merge") {
+      // Everything joins the earliest of the series reached
+      const reached = [
+        ...new Set(links.map((link) => claimOf(link.targetAnimeId))),
+      ].sort((a, b) => a.index - b.index);
+      claim = reached[0];
+      reached.slice(1).forEach((other) => {
+        addMembers(claim, other.animeIds);
+        claim.animeIds.push(...other.animeIds);
+        other.merged = true;
+      });
+      addMembers(claim, reachedIds);
+      claim.animeIds.push(...reachedIds);
     }
+
+    links.forEach((link) => overlaps.push({ ...link, linkingClaim: claim }));
   });
 
-  return processedIds;
+  return {
+    claims: claims.filter((claim) => !claim.merged),
+    overlaps,
+    // Anime claimed after being found alone are no longer orphaned
+    orphans: orphans.filter((orphan) => !claimOf(orphan.anime.id)),
+    claimOf,
+  };
 }
 
 /**
- * Internal function to group anime into series based on relations
- * @param {Array} animeData - Array of anime objects
- * @returns {object} Object containing series and edge cases
+ * Describe an overlap between two series for the edge case report
+ * @param {object} overlap - Relation leading into another series, with the
+ *   claim that followed it
+ * @param {object} context - Grouping state (mode, maps and created series)
+ * @returns {object} Edge case entry
  */
-function groupAnimeIntoSeries_internal(animeData) {
-  const animeMap = {};
-  const series = [];
-  const processedIds = new Set();
-  const seriesIds = new Set();
-  const edgeCases = {
-    animeInMultipleSeries: [],
-    orphanedAnime: [],
-    circularRelations: [],
+function describeOverlap(overlap, context) {
+  const { mode, animeMap, claimOf, seriesByClaim } = context;
+  const sharedAnime = animeMap[overlap.targetAnimeId];
+  const sharedTitle =
+    (sharedAnime && getAnimeTitle(sharedAnime)) || overlap.targetAnimeId;
+
+  const existingSeries = seriesByClaim.get(claimOf(overlap.targetAnimeId));
+  const existing = {
+    seriesId: existingSeries.seriesId,
+    seriesName: existingSeries.seriesName,
   };
 
-  // Track anime-to-series mapping
-  const animeToSeries = new Map();
+  // A merged claim is named after the anime it started from
+  const seed = animeMap[overlap.seedId];
+  const linkingSeries =
+    mode === "split" ? seriesByClaim.get(overlap.linkingClaim) : null;
+  // The source anime belongs to the claim that followed the relation, or to
+  // the series it was merged into since
+  const linking = {
+    seriesId: overlap.linkingClaim
+      ? seriesByClaim.get(claimOf(overlap.sourceAnimeId)).seriesId
+      : null,
+    seriesName: linkingSeries
+      ? linkingSeries.seriesName
+      : getAnimeTitle(seed) || `Series ${overlap.seedId}`,
+  };
+  const link = `"${linking.seriesName}" links to ${sharedTitle} (${overlap.relationType}) in "${existing.seriesName}"`;
+
+  let resolution;
+  let explanation;
+  if (mode === "merge") {
+    resolution = "merged";
+    explanation = `${link}; both were merged into series ${existing.seriesId}`;
+  } else if (mode === "split") {
+    resolution = "split";
+    explanation = `${link}; the series were split at ${sharedTitle}, which stays in "${existing.seriesName}"`;
+  } else {
+    resolution = "skipped";
+    explanation = `${link}; "${linking.seriesName}" was not created because it overlaps an existing series`;
+  }
 
-  // Create a map of anime by ID for quick lookup
-  animeData.forEach((anime) => {
-    // Parse string representations of arrays
-    try {
-      if (anime.relations && typeof anime.relations === "string") {
-        anime.relations = JSON.parse(anime.relations);
-      }
-    } catch (error) {
-      logger.warn(
-        `Error parsing relations for anime ${anime.id}: ${error.message}`
-      );
-      anime.relations = [];
-    }
+  return {
+    animeId: overlap.targetAnimeId,
+    title: sharedTitle,
+    foundInSeries: [existing, linking],
+    relation: {
+      sourceAnimeId: overlap.sourceAnimeId,
+      targetAnimeId: overlap.targetAnimeId,
+      relationType: overlap.relationType,
+    },
+    resolution,
+    explanation,
+  };
+}
 
-    // Normalize relations if they exist
+/**
+ * Bring the relations of every anime into the { targetAnimeId, relationType }
+ * shape, in place. Running it again on normalized data changes nothing.
+ * @param {Array} animeData - Array of anime objects
+ */
+function normalizeRelations(animeData) {
+  animeData.forEach((anime) => {
+    // Relations arrive parsed from stage 1; normalize their shape
     if (anime.relations && Array.isArray(anime.relations)) {
       anime.relations = anime.relations.map((rel) => {
         // If relation is just an ID, convert it to object format
@@ -282,119 +652,129 @@ function groupAnimeIntoSeries_internal(animeData) {
           };
         }
 
-        return rel;
+        return {
+          ...rel,
+          targetAnimeId:
+            rel.targetAnimeId !== undefined && rel.targetAnimeId !== null
+              ? rel.targetAnimeId.toString()
+              : rel.targetAnimeId,
+        };
       });
     } else {
+      if (anime.relations) {
+        logger.warn(`Ignoring non-array relations for anime ${anime.id}`);
+      }
       anime.relations = [];
     }
-
-    animeMap[anime.id] = anime;
   });
+}
 
-  // Process each anime
-  animeData.forEach((anime) => {
-    // Skip if already processed
-    if (processedIds.has(anime.id)) return;
+/**
+ * Internal function to group anime into series based on relations.
+ *
+ * Series are claimed in data order by following relations in their
+ * direction, as the original recursive grouping did (see claimSeries()), so
+ * the "keep" mode gives the same series as before; the traversal is
+ * iterative and near-linear over the whole dataset.
+ * @param {Array} animeData - Array of anime objects
+ * @param {object} options - Grouping options
+ * @param {string} options.conflictResolution - How to resolve anime shared
+ *   between series ('merge', 'split' or 'keep')
+ * @param {SeriesIdRegistry} options.registry - Registry of series IDs from
+ *   previous runs
+ * @param {SeriesNamer} options.namer - Series naming (default: from the
+ *   config)
+ * @param {CurationOverrides} options.overrides - Curation overrides (default:
+ *   none)
+ * @returns {object} Object containing series and edge cases
+ */
+function groupAnimeIntoSeries_internal(animeData, options = {}) {
+  const mode = options.conflictResolution || DEFAULT_CONFLICT_RESOLUTION;
+  if (!CONFLICT_RESOLUTION_MODES.includes(mode)) {
+    throw usageError(
+      `Unknown conflict resolution mode "${mode}" (expected ${CONFLICT_RESOLUTION_MODES.join(
+        ", "
+      )})`
+    );
+  }
 
-    // Skip if no relations (handle as orphaned)
-    if (!anime.relations || anime.relations.length === 0) {
-      edgeCases.orphanedAnime.push({
-        animeId: anime.id,
-        title: anime.title,
-        reason: "No relations found",
-      });
-      processedIds.add(anime.id);
-      return;
-    }
+  const animeMap = {};
+  const series = [];
+  const registry = options.registry || new SeriesIdRegistry();
+  const namer = options.namer || new SeriesNamer(getConfig().naming);
+  const overrides = options.overrides || new CurationOverrides();
+  const edgeCases = {
+    animeInMultipleSeries: [],
+    orphanedAnime: [],
+    circularRelations: [],
+  };
 
-    // Find all related anime IDs
-    const relationChains = new Map();
-    const relatedIds = findAllRelatedIds(
-      anime.id,
-      animeMap,
-      new Set(),
-      relationChains
-    );
+  normalizeRelations(animeData);
 
-    // Skip if only the anime itself is found
-    if (relatedIds.size === 1) {
-      edgeCases.orphanedAnime.push({
-        animeId: anime.id,
-        title: anime.title,
-        reason: "No reciprocal relations found",
-      });
-      processedIds.add(anime.id);
-      return;
-    }
+  // Curated relations replace the raw ones from here on
+  animeData = overrides.applyToRelations(animeData);
 
-    // Check for conflicts (anime already in another series)
-    const conflictingAnime = Array.from(relatedIds).filter((id) =>
-      animeToSeries.has(id)
-    );
+  // Create a map of anime by ID for quick lookup
+  animeData.forEach((anime) => {
+    animeMap[anime.id] = anime;
+  });
 
-    if (conflictingAnime.length > 0) {
-      conflictingAnime.forEach((id) => {
-        const existingSeries = animeToSeries.get(id);
-
-        edgeCases.animeInMultipleSeries.push({
-          animeId: id,
-          title: animeMap[id]?.title || "Unknown",
-          foundInSeries: [
-            {
-              seriesId: existingSeries,
-              seriesName: existingSeries, // Could look up the actual name here
-            },
-            {
-              seriesId: "proposed_new_series",
-              seriesName: "Proposed New Series",
-            },
-          ],
-        });
-      });
+  // Claim the series and resolve anime shared between them
+  const { claims, overlaps, orphans, claimOf } = claimSeries(animeData, mode);
+  const seriesByClaim = new Map();
 
-      // Skip creating this series due to conflicts
-      // Mark all as processed so we don't create redundant edge cases
-      relatedIds.forEach((id) => processedIds.add(id));
-      return;
-    }
+  orphans.forEach(({ anime, reason }) => {
+    edgeCases.orphanedAnime.push({
+      animeId: anime.id,
+      title: getAnimeTitle(anime),
+      reason,
+    });
+  });
+
+  claims.forEach((claim) => {
+    const relatedIds = claim.animeIds;
 
     // Get anime details for all related IDs
-    const animeDetails = Array.from(relatedIds)
-      .map((id) => animeMap[id])
-      .filter(Boolean);
+    const animeDetails = relatedIds.map((id) => animeMap[id]).filter(Boolean);
 
-    // Generate a unique series ID
-    const seriesId = generateSeriesId(animeDetails, seriesIds);
-    seriesIds.add(seriesId);
+    // Assign a stable series ID anchored on the lowest anime ID, unless a
+    // curator pinned one
+    const pin = overrides.pinFor(relatedIds, "series");
+    const seriesId = pin.seriesId || registry.assign("series", relatedIds);
+    if (pin.seriesId) registry.claim(pin.seriesId);
 
     // Create a new series object
     const seriesGroup = {
       seriesId: seriesId,
-      seriesName: animeDetails[0]?.title || `Series ${series.length + 1}`,
-      animeIds: Array.from(relatedIds),
+      seriesName: pin.name || namer.nameSeries(seriesId, relatedIds, animeMap),
+      animeIds: relatedIds,
       animeDetails: {},
       relations: [],
       relationTypes: {},
+      metadata: aggregateSeriesMetadata(
+        relatedIds,
+        animeMap,
+        namer.selectAnchor(relatedIds, animeMap)
+      ),
     };
 
+    const relationKeys = {};
+
     // Add anime details to the series
     animeDetails.forEach((anime) => {
       // Add to animeDetails
       seriesGroup.animeDetails[anime.id] = {
         id: anime.id,
-        title: anime.title_romaji || anime.title || "Unknown Title",
+        title: getAnimeTitle(anime) || "Unknown Title",
       };
 
       // Update the anime with seriesId
       anime.seriesId = seriesId;
 
-      // Track which series this anime belongs to
-      animeToSeries.set(anime.id, seriesId);
-
       // Process relations for each anime
       if (anime.relations) {
         anime.relations.forEach((relation) => {
-          const targetId = relation.targetAnimeId || relation.id;
+          const targetId = relation.targetAnimeId;
           const relationType =
             relation.relationType || relation.type || "UNKNOWN";
 
@@ -409,24 +789,199 @@ function groupAnimeIntoSeries_internal(animeData) {
           // Initialize relation type array if not exists
           if (!seriesGroup.relationTypes[relationType]) {
             seriesGroup.relationTypes[relationType] = [];
+            relationKeys[relationType] = new Set();
           }
 
           // Add to relationTypes if not already present
           const relationKey = `${anime.id}->${targetId}`;
-          if (!seriesGroup.relationTypes[relationType].includes(relationKey)) {
+          if (!relationKeys[relationType].has(relationKey)) {
+            relationKeys[relationType].add(relationKey);
             seriesGroup.relationTypes[relationType].push(relationKey);
           }
         });
       }
     });
 
+    const appliedOverrides = overrides.appliedTo(relatedIds, GROUPING_RULES);
+    if (appliedOverrides.length > 0) {
+      seriesGroup.overrides = appliedOverrides;
+    }
+
+    // Record contradictory chronological chains for the data team
+    findCircularRelations(seriesGroup, animeMap).forEach((cycle) => {
+      const description = cycle.steps
+        .map(
+          (step) =>
+            `${step.fromAnimeId} -[${step.relationTypes.join("/")}]-> ${
+              step.toAnimeId
+            }`
+        )
+        .join(", ");
+      logger.warn(
+        `Circular relation in ${seriesGroup.seriesName}: ${description}`
+      );
+      edgeCases.circularRelations.push(cycle);
+    });
+
     series.push(seriesGroup);
-    relatedIds.forEach((id) => processedIds.add(id));
+    seriesByClaim.set(claim, seriesGroup);
+  });
+
+  // Report every overlap with the real names of both series
+  overlaps.forEach((overlap) => {
+    edgeCases.animeInMultipleSeries.push(
+      describeOverlap(overlap, { mode, animeMap, claimOf, seriesByClaim })
+    );
   });
 
   return { series, edgeCases };
 }
 
+/**
+ * Regroup only the components touched by changed anime and merge them with
+ * the unchanged series of the previous run.
+ *
+ * The anime to regroup are the changed ones, the members of the series they
+ * belonged to, and everything connected to either in the current relation
+ * graph. Grouping is local to a component, so the result is the same as
+ * grouping the whole dataset.
+ * @param {Array} animeData - Array of anime objects
+ * @param {object} previousOutput - Series and edge cases of the previous run
+ * @param {object} options - Grouping options
+ * @param {string} options.conflictResolution - Conflict resolution mode
+ * @param {SeriesIdRegistry} options.registry - Registry of series IDs
+ * @param {SeriesNamer} options.namer - Series naming
+ * @param {CurationOverrides} options.overrides - Curation overrides
+ * @param {object} options.previousFingerprints - Record fingerprints of the
+ *   previous run
+ * @param {object} options.recordFingerprints - Record fingerprints of this run
+ * @returns {object} Series, edge cases and a description of the changes
+ */
+function regroupChangedComponents(animeData, previousOutput, options) {
+  const anime = diffFingerprints(
+    options.previousFingerprints,
+    options.recordFingerprints
+  );
+  const changedIds = [...anime.added, ...anime.modified, ...anime.removed];
+
+  // Changed anime and the series they used to belong to
+  const previousSeriesByAnime = new Map();
+  previousOutput.series.forEach((seriesGroup) => {
+    seriesGroup.animeIds.forEach((animeId) => {
+      previousSeriesByAnime.set(String(animeId), seriesGroup);
+    });
+  });
+
+  const seeds = new Set(changedIds);
+  changedIds.forEach((animeId) => {
+    const seriesGroup = previousSeriesByAnime.get(animeId);
+    if (seriesGroup) {
+      seriesGroup.animeIds.forEach((memberId) => seeds.add(String(memberId)));
+    }
+  });
+
+  // Everything connected to them now, following links in both directions
+  normalizeRelations(animeData);
+  const adjacency = new Map();
+  animeData.forEach((record) => {
+    record.relations.forEach((relation) => {
+      if (!relation.targetAnimeId) return;
+      addNeighbor(adjacency, record.id, relation.targetAnimeId);
+      addNeighbor(adjacency, relation.targetAnimeId, record.id);
+    });
+  });
+
+  const affectedIds = new Set();
+  seeds.forEach((animeId) => depthFirstOrder(animeId, adjacency, affectedIds));
+
+  const changedData = animeData.filter((record) => affectedIds.has(record.id));
+  const reusedSeries = previousOutput.series.filter(
+    (seriesGroup) =>
+      !seriesGroup.animeIds.some((animeId) => affectedIds.has(String(animeId)))
+  );
+  reusedSeries.forEach((seriesGroup) => {
+    options.registry.claim(seriesGroup.seriesId);
+    options.overrides.markApplied(seriesGroup.overrides || []);
+  });
+
+  logger.info(
+    `Regrouping ${changedData.length} of ${animeData.length} anime, reusing ${reusedSeries.length} unchanged series`
+  );
+
+  const regrouped = groupAnimeIntoSeries_internal(changedData, {
+    conflictResolution: options.conflictResolution,
+    registry: options.registry,
+    namer: options.namer,
+    overrides: options.overrides,
+  });
+
+  // Restore the order a full run produces: by first anime in the data
+  const dataIndex = new Map();
+  animeData.forEach((record, index) => dataIndex.set(record.id, index));
+  const indexOf = (animeId) =>
+    dataIndex.has(String(animeId)) ? dataIndex.get(String(animeId)) : Infinity;
+
+  const firstIndex = new Map();
+  const series = [...reusedSeries, ...regrouped.series];
+  series.forEach((seriesGroup) => {
+    firstIndex.set(
+      seriesGroup.seriesId,
+      seriesGroup.animeIds.reduce(
+        (lowest, animeId) => Math.min(lowest, indexOf(animeId)),
+        Infinity
+      )
+    );
+  });
+  series.sort(
+    (a, b) => firstIndex.get(a.seriesId) - firstIndex.get(b.seriesId)
+  );
+
+  const seriesIndex = new Map();
+  series.forEach((seriesGroup, index) => {
+    seriesIndex.set(seriesGroup.seriesId, index);
+  });
+
+  const previousEdgeCases = previousOutput.edgeCases;
+  const edgeCases = {
+    animeInMultipleSeries: [
+      ...previousEdgeCases.animeInMultipleSeries.filter(
+        (entry) => !affectedIds.has(entry.relation.sourceAnimeId)
+      ),
+      ...regrouped.edgeCases.animeInMultipleSeries,
+    ].sort(
+      (a, b) =>
+        indexOf(a.relation.sourceAnimeId) - indexOf(b.relation.sourceAnimeId)
+    ),
+    orphanedAnime: [
+      ...previousEdgeCases.orphanedAnime.filter(
+        (entry) => !affectedIds.has(entry.animeId)
+      ),
+      ...regrouped.edgeCases.orphanedAnime,
+    ].sort((a, b) => indexOf(a.animeId) - indexOf(b.animeId)),
+    circularRelations: [
+      ...previousEdgeCases.circularRelations.filter(
+        (entry) =>
+          !entry.involvedAnimeIds.some((animeId) => affectedIds.has(animeId))
+      ),
+      ...regrouped.edgeCases.circularRelations,
+    ].sort((a, b) => seriesIndex.get(a.seriesId) - seriesIndex.get(b.seriesId)),
+  };
+
+  return {
+    series,
+    edgeCases,
+    changes: {
+      incremental: true,
+      anime,
+      recomputedAnime: changedData.length,
+      series: {
+        recomputed: regrouped.series.length,
+        reused: reusedSeries.length,
+      },
+    },
+  };
+}
+
 /**
  * Update the anime data with series IDs
  * @param {Array} animeData - Array of anime objects
@@ -445,7 +1000,7 @@ function updateAnimeData(animeData, seriesData) {
 
   // Update anime data with series IDs
   return animeData.map((anime) => {
-    const seriesId = seriesMap.get(anime.id.toString());
+    const seriesId = seriesMap.get(String(anime.id));
     if (seriesId) {
       return { ...anime, seriesId };
     }
@@ -458,13 +1013,18 @@ if (require.main === module) {
   groupAnimeIntoSeries()
     .then((result) => {
       if (!result.success) {
-        process.exit(1);
+        flushLogs().then(() => process.exit(1));
       }
     })
     .catch((err) => {
       logger.error(`Fatal error: ${err.message}`);
-      process.exit(1);
+      flushLogs().then(() => process.exit(1));
     });
 }
 
-module.exports = { groupAnimeIntoSeries };
+module.exports = {
+  CONFLICT_RESOLUTION_MODES,
+  groupAnimeIntoSeries,
+  groupAnimeIntoSeries_internal,
+  readAnimeData,
+};
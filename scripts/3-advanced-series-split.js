@@ -1,26 +1,78 @@
 const fs = require("fs");
-const path = require("path");
+
+const { Graph } = require("./utils/graph");
+const { SeriesIdRegistry } = require("./utils/series-ids");
+const { computeWatchOrder } = require("./utils/watch-order");
+const { aggregateSeriesMetadata } = require("./utils/series-metadata");
+const { SeriesNamer } = require("./utils/series-naming");
+const { OutputTransaction } = require("./utils/atomic-writer");
+const { errorTypeOf, missingFileError } = require("./utils/exit-codes");
+const {
+  SPLIT_RULES,
+  CurationOverrides,
+} = require("./utils/curation-overrides");
+const { getConfig, getPath } = require("./utils/config");
+const {
+  MAIN_CATEGORY,
+  SATELLITE_CATEGORY,
+  RelationTaxonomy,
+} = require("./utils/relation-taxonomy");
+const {
+  fingerprint,
+  loadState,
+  updateState,
+} = require("./utils/change-detection");
 
 // Setup logger
-const logger = require("./utils/logger").getLogger("advanced-series-split");
+const { getLogger, flushLogs } = require("./utils/logger");
+const logger = getLogger("advanced-series-split");
 
 /**
  * Split series into different categories based on relation types
+ * @param {object} options - Split options
+ * @param {boolean} options.incremental - Reuse the split groups of series
+ *   that are unchanged since the previous run
  * @returns {Promise<object>} Processing results
  */
-async function advancedSeriesSplit() {
+async function advancedSeriesSplit(options = {}) {
   logger.info("Starting advanced series split process");
 
+  // The outputs replace the previous ones together once the split succeeded
+  const outputs = new OutputTransaction();
+
   try {
     // Constants
-    const DB_DIR = path.join(process.cwd(), "db");
-    const SERIES_DB_PATH = path.join(DB_DIR, "series.json");
-    const OUTPUT_PATH = path.join(DB_DIR, "advanced_split_series.json");
-    const ANIME_DATA_PATH = path.join(
-      process.cwd(),
-      "results",
-      "anilist_anime_data_complete.json"
-    );
+    const DB_DIR = getPath("dbDir");
+    const SERIES_DB_PATH = getPath("dbDir", "seriesDb");
+    const OUTPUT_PATH = getPath("dbDir", "advancedSplit");
+    const REGISTRY_PATH = getPath("dbDir", "seriesRegistry");
+    const STATE_PATH = getPath("dbDir", "pipelineState");
+    const OVERRIDES_PATH = getPath("dbDir", "overrides");
+    const SPLIT_ANIME_PATH = getPath("resultsDir", "splitAnimeData");
+    // Prefer the grouped anime data, which leaves out rows rejected by
+    // validation
+    const UPDATED_ANIME_PATH = getPath("resultsDir", "updatedAnimeData");
+    const ANIME_DATA_PATH = fs.existsSync(UPDATED_ANIME_PATH)
+      ? UPDATED_ANIME_PATH
+      : getPath("resultsDir", "animeData");
+
+    // Which relation types stay in the main series and which are split off
+    const { relations, naming } = getConfig();
+    const taxonomy = new RelationTaxonomy(relations.taxonomy);
+    const taxonomyFingerprint = fingerprint(relations.taxonomy);
+    const namer = new SeriesNamer(naming);
+    const namingFingerprint = fingerprint(naming);
+    const overrides = CurationOverrides.load(OVERRIDES_PATH);
+    overrides.rules
+      .filter((rule) => rule.type === "moveToBucket")
+      .forEach((rule) => {
+        if (!taxonomy.isBucket(rule.bucket)) {
+          throw new Error(
+            `Curation override ${rule.id} moves anime ${rule.animeId} to unknown bucket "${rule.bucket}"`
+          );
+        }
+      });
+    const categories = [MAIN_CATEGORY, ...taxonomy.bucketKeys];
 
     // Ensure db directory exists
     if (!fs.existsSync(DB_DIR)) {
@@ -32,12 +84,15 @@ async function advancedSeriesSplit() {
     logger.info("Reading data files...");
 
     if (!fs.existsSync(SERIES_DB_PATH)) {
-      throw new Error(`Series database file not found: ${SERIES_DB_PATH}`);
+      throw missingFileError(
+        `Series database file not found: ${SERIES_DB_PATH}`
+      );
     }
 
     const seriesDb = JSON.parse(fs.readFileSync(SERIES_DB_PATH, "utf8"));
     logger.info(`Loaded ${seriesDb.series.length} series records`);
 
+    let animeData = [];
     let animeMap = {};
 
     try {
@@ -45,7 +100,7 @@ async function advancedSeriesSplit() {
         logger.warn(`Anime data file not found: ${ANIME_DATA_PATH}`);
         logger.warn("Series names will use IDs instead of titles");
       } else {
-        const animeData = JSON.parse(fs.readFileSync(ANIME_DATA_PATH, "utf8"));
+        animeData = JSON.parse(fs.readFileSync(ANIME_DATA_PATH, "utf8"));
         logger.info(`Loaded ${animeData.length} anime records`);
 
         // Create a map of anime by ID for quick lookup
@@ -58,134 +113,324 @@ async function advancedSeriesSplit() {
       logger.warn("Series names will use IDs instead of titles");
     }
 
+    // Split groups keep the IDs they were given in previous runs
+    const registry = SeriesIdRegistry.load(REGISTRY_PATH);
+
+    // Split groups of the previous run, for series that did not change. A
+    // changed taxonomy or overrides file changes every split, changed naming
+    // every name.
+    const previousState = loadState(STATE_PATH).split;
+    const previousGroups =
+      options.incremental &&
+      previousState &&
+      previousState.taxonomy === taxonomyFingerprint &&
+      previousState.naming === namingFingerprint &&
+      previousState.overrides === overrides.fingerprint
+        ? readPreviousGroups(OUTPUT_PATH, categories)
+        : null;
+    if (options.incremental && !previousGroups) {
+      logger.info("No previous split found, splitting every series");
+    }
+    const componentFingerprints = {};
+    let reusedCount = 0;
+
     // Process all series
     logger.info("Processing series data...");
-    const splitSeriesResults = {
-      main: [],
-      character: [],
-      adaptation: [],
-      spinOff: [],
-      other: [],
-      parent: [],
-    };
+    const output = emptySplitResults(categories);
 
     for (let i = 0; i < seriesDb.series.length; i++) {
       const series = seriesDb.series[i];
+      const seriesFingerprint = fingerprintSeries(series, animeMap);
+      componentFingerprints[series.seriesId] = seriesFingerprint;
+
+      let results;
+      if (
+        previousGroups &&
+        previousState.components[series.seriesId] === seriesFingerprint
+      ) {
+        results =
+          previousGroups.get(series.seriesId) || emptySplitResults(categories);
+        categories.forEach((category) => {
+          results[category].forEach((group) => {
+            registry.claim(group.seriesId);
+            overrides.markApplied(group.overrides || []);
+          });
+        });
+        reusedCount++;
+      } else {
+        logger.debug(
+          `Processing series ${i + 1}/${seriesDb.series.length}: ${
+            series.seriesName
+          }`,
+          { seriesId: series.seriesId, index: i + 1 }
+        );
+        results = processSeriesData(
+          series,
+          animeMap,
+          registry,
+          taxonomy,
+          namer,
+          overrides
+        );
+      }
+
+      categories.forEach((category) => {
+        output[category].push(...results[category]);
+      });
+    }
+
+    // Write the results to the new file
+    logger.info("Writing results to file...");
+    outputs.writeFile(OUTPUT_PATH, JSON.stringify(output, null, 2));
+    registry.save(REGISTRY_PATH, outputs);
+
+    // Write the final split series of each anime back into the anime data
+    const splitAnimeData = assignSplitSeries(
+      animeData,
+      seriesDb,
+      output,
+      categories
+    );
+    outputs.writeJson(SPLIT_ANIME_PATH, splitAnimeData);
+
+    // Report the curation overrides that took effect and those that did not
+    const overridesReport = overrides.report(SPLIT_RULES, MAIN_CATEGORY);
+    if (overridesReport.applied.length > 0) {
       logger.info(
-        `Processing series ${i + 1}/${seriesDb.series.length}: ${
-          series.seriesName
-        }`
+        `Applied curation overrides: ${overridesReport.applied.join(", ")}`
       );
-      const results = processSeriesData(series, animeMap);
-
-      splitSeriesResults.main.push(...results.main);
-      splitSeriesResults.character.push(...results.character);
-      splitSeriesResults.adaptation.push(...results.adaptation);
-      splitSeriesResults.spinOff.push(...results.spinOff);
-      splitSeriesResults.other.push(...results.other);
-      splitSeriesResults.parent.push(...results.parent);
     }
+    overridesReport.unused.forEach((ruleId) => {
+      logger.warn(`Curation override ${ruleId} matched nothing`);
+    });
 
-    // Prepare output
-    const output = {
-      main: splitSeriesResults.main,
-      character: splitSeriesResults.character,
-      adaptation: splitSeriesResults.adaptation,
-      spinOff: splitSeriesResults.spinOff,
-      other: splitSeriesResults.other,
-      parent: splitSeriesResults.parent,
-    };
+    // Report watch orders that rest on guesses or contradictory data
+    let watchOrderIssueCount = 0;
+    output.main.forEach((mainSeries) => {
+      (mainSeries.watchOrderIssues || []).forEach((issue) => {
+        logger.warn(
+          `Watch order of ${mainSeries.seriesName}: ${issue.explanation}`
+        );
+        watchOrderIssueCount++;
+      });
+    });
 
-    // Write the results to the new file
-    logger.info("Writing results to file...");
-    fs.writeFileSync(OUTPUT_PATH, JSON.stringify(output, null, 2));
+    const unassignedCount = splitAnimeData.filter(
+      (anime) => anime.unassigned
+    ).length;
+    if (unassignedCount > 0) {
+      logger.warn(`${unassignedCount} anime are not in any split series`);
+    }
+
+    updateState(
+      STATE_PATH,
+      "split",
+      {
+        taxonomy: taxonomyFingerprint,
+        naming: namingFingerprint,
+        overrides: overrides.fingerprint,
+        components: componentFingerprints,
+      },
+      outputs
+    );
+    outputs.commit();
     logger.info(`Results written to: ${OUTPUT_PATH}`);
+    logger.info(`Saved series ID registry to ${REGISTRY_PATH}`);
+    logger.info(`Saved split anime data to ${SPLIT_ANIME_PATH}`);
 
     // Print summary
     logger.info("\nSummary:");
     logger.info(`- Original series: ${seriesDb.series.length}`);
+    if (reusedCount > 0) {
+      logger.info(`- Unchanged series reused: ${reusedCount}`);
+    }
     logger.info(`- Main series groups: ${output.main.length}`);
-    logger.info(`- Character relation groups: ${output.character.length}`);
-    logger.info(`- Adaptation relation groups: ${output.adaptation.length}`);
-    logger.info(`- Spin-off relation groups: ${output.spinOff.length}`);
-    logger.info(`- Other relation groups: ${output.other.length}`);
-    logger.info(`- Parent relation groups: ${output.parent.length}`);
+    if (watchOrderIssueCount > 0) {
+      logger.info(`- Watch order issues: ${watchOrderIssueCount}`);
+    }
+    taxonomy.buckets.forEach((bucket) => {
+      logger.info(
+        `- ${bucket.label} relation groups: ${output[bucket.key].length}`
+      );
+    });
+
+    const splitResults = {};
+    categories.forEach((category) => {
+      splitResults[category] = output[category].length;
+    });
 
     return {
       success: true,
       originalSeriesCount: seriesDb.series.length,
-      splitResults: {
-        main: output.main.length,
-        character: output.character.length,
-        adaptation: output.adaptation.length,
-        spinOff: output.spinOff.length,
-        other: output.other.length,
-        parent: output.parent.length,
+      splitResults,
+      unassignedAnime: unassignedCount,
+      watchOrderIssues: watchOrderIssueCount,
+      overrides: overridesReport,
+      changes: {
+        incremental: Boolean(previousGroups),
+        recomputed: seriesDb.series.length - reusedCount,
+        reused: reusedCount,
       },
+      // In-memory output for later stages; not recorded in the run manifest
+      output: { splitSeries: output, animeData: splitAnimeData },
     };
   } catch (error) {
     logger.error(`Error in advanced series split: ${error.message}`);
     logger.error(error.stack);
-    return { success: false, error: error.message };
+    outputs.abort();
+    return {
+      success: false,
+      error: error.message,
+      errorType: errorTypeOf(error),
+    };
   }
 }
 
 /**
- * Graph utility class for finding connected components
+ * Create empty split results
+ * @param {Array<string>} categories - Result categories, in output order
+ * @returns {object} Results object with an empty array per category
  */
-class Graph {
-  constructor() {
-    this.adjacencyList = new Map();
-  }
+function emptySplitResults(categories) {
+  const results = {};
+  categories.forEach((category) => {
+    results[category] = [];
+  });
+  return results;
+}
 
-  addVertex(vertex) {
-    if (!this.adjacencyList.has(vertex)) {
-      this.adjacencyList.set(vertex, []);
-    }
-  }
+/**
+ * Fingerprint everything the split of a series depends on: the series itself
+ * and the records of its anime
+ * @param {object} series - Series object
+ * @param {object} animeMap - Map of anime objects by ID
+ * @returns {string} Series fingerprint
+ */
+function fingerprintSeries(series, animeMap) {
+  return fingerprint({
+    series,
+    anime: series.animeIds.map((animeId) => animeMap[animeId] || null),
+  });
+}
+
+/**
+ * Read the previous split output, grouped by original series ID
+ * @param {string} outputPath - Path to advanced_split_series.json
+ * @param {Array<string>} categories - Result categories
+ * @returns {Map|null} Split results by series ID, or null if unavailable
+ */
+function readPreviousGroups(outputPath, categories) {
+  if (!fs.existsSync(outputPath)) return null;
 
-  addEdge(source, target) {
-    this.addVertex(source);
-    this.addVertex(target);
-    this.adjacencyList.get(source).push(target);
-    this.adjacencyList.get(target).push(source); // Undirected graph
+  let output;
+  try {
+    output = JSON.parse(fs.readFileSync(outputPath, "utf8"));
+  } catch (error) {
+    logger.warn(`Ignoring unreadable previous split: ${error.message}`);
+    return null;
   }
 
-  dfs(start, visited = new Set()) {
-    const group = new Set();
-    const stack = [start];
+  const groupsBySeries = new Map();
+  categories.forEach((category) => {
+    (output[category] || []).forEach((group) => {
+      if (!groupsBySeries.has(group.originalSeriesId)) {
+        groupsBySeries.set(
+          group.originalSeriesId,
+          emptySplitResults(categories)
+        );
+      }
+      groupsBySeries.get(group.originalSeriesId)[category].push(group);
+    });
+  });
+  return groupsBySeries;
+}
 
-    while (stack.length > 0) {
-      const vertex = stack.pop();
-      if (!visited.has(vertex)) {
-        visited.add(vertex);
-        group.add(vertex);
+/**
+ * Assign each anime its final split series
+ *
+ * Every anime gets the ID and type of the split group it ended up in (main
+ * groups have type MAIN), the stage-2 series it came from, and the other
+ * split series it is related to. Anime in several bucket groups are assigned
+ * to the first in output order; the others count as related series, as do
+ * the main series listing the anime in their satellite or bucket IDs. Anime
+ * in no split group are flagged as unassigned.
+ * @param {Array} animeData - Anime records
+ * @param {object} seriesDb - Series database from the grouping stage
+ * @param {object} output - Split results by category
+ * @param {Array<string>} categories - Result categories, in output order
+ * @returns {Array} Anime records with their split series
+ */
+function assignSplitSeries(animeData, seriesDb, output, categories) {
+  const originalSeries = new Map();
+  seriesDb.series.forEach((series) => {
+    series.animeIds.forEach((animeId) => {
+      originalSeries.set(String(animeId), series.seriesId);
+    });
+  });
 
-        const neighbors = this.adjacencyList.get(vertex) || [];
-        for (const neighbor of neighbors) {
-          if (!visited.has(neighbor)) {
-            stack.push(neighbor);
-          }
-        }
-      }
-    }
+  const assignments = new Map();
+  const satellites = new Map();
+  const addSatellite = (animeId, seriesId) => {
+    if (!satellites.has(animeId)) satellites.set(animeId, new Set());
+    satellites.get(animeId).add(seriesId);
+  };
 
-    return group;
-  }
+  categories.forEach((category) => {
+    output[category].forEach((group) => {
+      const seriesType = category === MAIN_CATEGORY ? "MAIN" : group.seriesType;
+      group.animeIds.forEach((animeId) => {
+        const key = String(animeId);
+        if (!assignments.has(key)) {
+          assignments.set(key, { seriesId: group.seriesId, seriesType });
+        } else {
+          addSatellite(key, group.seriesId);
+        }
+      });
+    });
+  });
 
-  findConnectedGroups() {
-    const visited = new Set();
-    const groups = [];
+  // Main series link the anime they list as satellites or bucket entries,
+  // including lone bucket entries that form no group of their own
+  const linkedCategories = [
+    SATELLITE_CATEGORY,
+    ...categories.filter((category) => category !== MAIN_CATEGORY),
+  ];
+  output[MAIN_CATEGORY].forEach((group) => {
+    linkedCategories.forEach((category) => {
+      (group[`${category}Ids`] || []).forEach((animeId) => {
+        const key = String(animeId);
+        const assignment = assignments.get(key);
+        if (!assignment || assignment.seriesId !== group.seriesId) {
+          addSatellite(key, group.seriesId);
+        }
+      });
+    });
+  });
 
-    for (const vertex of this.adjacencyList.keys()) {
-      if (!visited.has(vertex)) {
-        const group = this.dfs(vertex, visited);
-        groups.push(Array.from(group));
+  // Related anime that ended up in different split series link those series
+  seriesDb.series.forEach((series) => {
+    series.relations.forEach(({ sourceAnimeId, targetAnimeId }) => {
+      const source = assignments.get(String(sourceAnimeId));
+      const target = assignments.get(String(targetAnimeId));
+      if (source && target && source.seriesId !== target.seriesId) {
+        addSatellite(String(sourceAnimeId), target.seriesId);
+        addSatellite(String(targetAnimeId), source.seriesId);
       }
-    }
+    });
+  });
 
-    return groups;
-  }
+  return animeData.map((anime) => {
+    const key = String(anime.id);
+    const assignment = assignments.get(key);
+    return {
+      ...anime,
+      seriesId: assignment ? assignment.seriesId : null,
+      seriesType: assignment ? assignment.seriesType : null,
+      originalSeriesId: originalSeries.get(key) || null,
+      satelliteSeriesIds: Array.from(satellites.get(key) || []).sort(),
+      unassigned: !assignment,
+    };
+  });
 }
 
 /**
@@ -204,348 +449,267 @@ function findConnectedGroupsFromRelations(relationMap) {
 }
 
 /**
- * Function to get series name from the oldest anime in the group
- * @param {Array} animeIds - Array of anime IDs
- * @param {object} animeMap - Map of anime objects by ID
- * @returns {string} Series name
+ * Link two anime in a relation map, in both directions
+ * @param {Map} relationMap - Map of anime IDs to Set of linked IDs
+ * @param {string} sourceId - Source anime ID
+ * @param {string} targetId - Target anime ID
  */
-function getSeriesNameFromOldestAnime(animeIds, animeMap) {
-  if (!animeIds || animeIds.length === 0) return "Unknown Series";
-
-  // Sort by ID or start_date if available (assuming lower ID = older anime)
-  const sortedIds = [...animeIds].sort((a, b) => {
-    const animeA = animeMap[a];
-    const animeB = animeMap[b];
-
-    if (!animeA || !animeB) return Number(a) - Number(b);
-
-    // If start_date is available, use it
-    if (animeA.start_date && animeB.start_date) {
-      const dateA = new Date(animeA.start_date);
-      const dateB = new Date(animeB.start_date);
-
-      if (!isNaN(dateA) && !isNaN(dateB)) {
-        return dateA - dateB;
-      }
-    }
-
-    // Otherwise sort by ID (assuming lower ID = older anime)
-    return Number(a) - Number(b);
-  });
-
-  const oldestId = sortedIds[0];
-  const oldestAnime = animeMap[oldestId];
+function linkAnime(relationMap, sourceId, targetId) {
+  if (!relationMap.has(sourceId)) {
+    relationMap.set(sourceId, new Set());
+  }
+  if (!relationMap.has(targetId)) {
+    relationMap.set(targetId, new Set());
+  }
+  relationMap.get(sourceId).add(targetId);
+  relationMap.get(targetId).add(sourceId);
+}
 
-  if (!oldestAnime) return `Series ${oldestId}`;
+/**
+ * Get the categories of a relation. Relations of an anime a curator moved to
+ * a bucket belong to that bucket only.
+ * @param {object} relation - Relation
+ * @param {RelationTaxonomy} taxonomy - Category of each relation type
+ * @param {CurationOverrides} overrides - Curation overrides
+ * @returns {Array<string>} Categories
+ */
+function relationCategories(relation, taxonomy, overrides) {
+  const moveRule =
+    overrides.moveRuleOf(relation.sourceAnimeId) ||
+    overrides.moveRuleOf(relation.targetAnimeId);
+  return moveRule
+    ? [moveRule.bucket]
+    : taxonomy.categoriesOf(relation.relationType);
+}
 
-  // Use title_romaji if available, otherwise fallback to title
-  return oldestAnime.title_romaji || oldestAnime.title || `Series ${oldestId}`;
+/**
+ * Sort relations by source, then target anime ID
+ * @param {Array} relations - Relations to sort
+ * @returns {Array} Sorted relations
+ */
+function sortRelations(relations) {
+  return relations.sort(
+    (a, b) =>
+      Number(a.sourceAnimeId) - Number(b.sourceAnimeId) ||
+      Number(a.targetAnimeId) - Number(b.targetAnimeId)
+  );
 }
 
 /**
  * Process a single series to split it into different categories
  * @param {object} series - Series object
  * @param {object} animeMap - Map of anime objects by ID
+ * @param {SeriesIdRegistry} registry - Registry of stable series IDs
+ * @param {RelationTaxonomy} taxonomy - Category of each relation type
+ * @param {SeriesNamer} namer - Series naming
+ * @param {CurationOverrides} overrides - Curation overrides
  * @returns {object} Split series results
  */
-function processSeriesData(series, animeMap) {
+function processSeriesData(
+  series,
+  animeMap,
+  registry = new SeriesIdRegistry(),
+  taxonomy = new RelationTaxonomy(getConfig().relations.taxonomy),
+  namer = new SeriesNamer(getConfig().naming),
+  overrides = new CurationOverrides()
+) {
   const graph = new Graph();
-  const characterRelations = new Map(); // Store CHARACTER relations
-  const adaptationRelations = new Map(); // Store ADAPTATION relations
-  const spinOffRelations = new Map(); // Store SPIN_OFF relations
-  const otherRelations = new Map(); // Store OTHER relations
-  const parentRelations = new Map(); // Store PARENT relations
-  const allRelations = new Map(); // Store all relations for quick lookup
-
-  // First pass: build the graph with non-special relations
-  for (const relation of series.relations) {
-    const { sourceAnimeId, targetAnimeId, relationType } = relation;
-
-    // Store all relations for later reference
-    const relationKey = `${sourceAnimeId}-${targetAnimeId}`;
-    if (!allRelations.has(relationKey)) {
-      allRelations.set(relationKey, relation);
-    }
+  // Relations of each bucket, as maps of anime ID to linked IDs
+  const bucketRelations = new Map(
+    taxonomy.bucketKeys.map((key) => [key, new Map()])
+  );
 
-    // Handle special relation types
-    if (relationType === "CHARACTER") {
-      if (!characterRelations.has(sourceAnimeId)) {
-        characterRelations.set(sourceAnimeId, new Set());
-      }
-      if (!characterRelations.has(targetAnimeId)) {
-        characterRelations.set(targetAnimeId, new Set());
-      }
-      characterRelations.get(sourceAnimeId).add(targetAnimeId);
-      characterRelations.get(targetAnimeId).add(sourceAnimeId);
-    } else if (relationType === "ADAPTATION") {
-      if (!adaptationRelations.has(sourceAnimeId)) {
-        adaptationRelations.set(sourceAnimeId, new Set());
-      }
-      if (!adaptationRelations.has(targetAnimeId)) {
-        adaptationRelations.set(targetAnimeId, new Set());
-      }
-      adaptationRelations.get(sourceAnimeId).add(targetAnimeId);
-      adaptationRelations.get(targetAnimeId).add(sourceAnimeId);
-    } else if (relationType === "SPIN_OFF") {
-      if (!spinOffRelations.has(sourceAnimeId)) {
-        spinOffRelations.set(sourceAnimeId, new Set());
-      }
-      if (!spinOffRelations.has(targetAnimeId)) {
-        spinOffRelations.set(targetAnimeId, new Set());
-      }
-      spinOffRelations.get(sourceAnimeId).add(targetAnimeId);
-      spinOffRelations.get(targetAnimeId).add(sourceAnimeId);
-    } else if (relationType === "OTHER" || relationType === "PARENT") {
-      if (!otherRelations.has(sourceAnimeId)) {
-        otherRelations.set(sourceAnimeId, new Set());
-      }
-      if (!otherRelations.has(targetAnimeId)) {
-        otherRelations.set(targetAnimeId, new Set());
-      }
-      otherRelations.get(sourceAnimeId).add(targetAnimeId);
-      otherRelations.get(targetAnimeId).add(sourceAnimeId);
+  // First pass: build the graph with main relations and collect the
+  // relations of each bucket
+  for (const relation of series.relations) {
+    const { sourceAnimeId, targetAnimeId } = relation;
 
-      // Also handle PARENT relations in a separate map
-      if (relationType === "PARENT") {
-        if (!parentRelations.has(sourceAnimeId)) {
-          parentRelations.set(sourceAnimeId, new Set());
-        }
-        if (!parentRelations.has(targetAnimeId)) {
-          parentRelations.set(targetAnimeId, new Set());
-        }
-        parentRelations.get(sourceAnimeId).add(targetAnimeId);
-        parentRelations.get(targetAnimeId).add(sourceAnimeId);
+    relationCategories(relation, taxonomy, overrides).forEach((category) => {
+      if (category === MAIN_CATEGORY) {
+        graph.addEdge(sourceAnimeId, targetAnimeId);
+      } else if (taxonomy.isBucket(category)) {
+        linkAnime(bucketRelations.get(category), sourceAnimeId, targetAnimeId);
       }
-    } else {
-      // Add other relations to the graph
-      graph.addEdge(sourceAnimeId, targetAnimeId);
-    }
+    });
   }
 
   // Find connected components (groups)
   const connectedGroups = graph.findConnectedGroups();
 
   // Process all results together
-  const results = {
-    main: [],
-    character: [],
-    adaptation: [],
-    spinOff: [],
-    other: [],
-    parent: [],
-  };
+  const results = emptySplitResults([MAIN_CATEGORY, ...taxonomy.bucketKeys]);
 
   // Process each main group
-  connectedGroups.forEach((group, index) => {
+  connectedGroups.forEach((group) => {
     const groupSet = new Set(group);
-    const otherIds = new Set();
-    const characterIds = new Set();
-    const adaptationIds = new Set();
-    const spinOffIds = new Set();
+    const linkedIds = new Map(
+      [SATELLITE_CATEGORY, ...taxonomy.bucketKeys].map((key) => [
+        key,
+        new Set(),
+      ])
+    );
     const uniqueRelations = new Map();
 
     // Collect relations and IDs
-    for (const animeId of group) {
-      // Check all relations involving this anime
-      series.relations.forEach((relation) => {
-        const { sourceAnimeId, targetAnimeId, relationType } = relation;
-
-        if (sourceAnimeId === animeId || targetAnimeId === animeId) {
-          const otherId =
-            sourceAnimeId === animeId ? targetAnimeId : sourceAnimeId;
-
-          if (relationType === "CHARACTER") {
-            if (!groupSet.has(otherId)) {
-              characterIds.add(otherId);
-            }
-          } else if (relationType === "ADAPTATION") {
-            if (!groupSet.has(otherId)) {
-              adaptationIds.add(otherId);
-            }
-          } else if (relationType === "SPIN_OFF") {
-            if (!groupSet.has(otherId)) {
-              spinOffIds.add(otherId);
-            }
-          } else {
-            // Add non-special relations if at least one end is in the group
-            if (groupSet.has(sourceAnimeId) && groupSet.has(targetAnimeId)) {
-              // Internal relation
-              const relationKey = `${sourceAnimeId}-${targetAnimeId}-${relationType}`;
-              uniqueRelations.set(relationKey, relation);
-            } else {
-              // External relation
-              otherIds.add(otherId);
+    series.relations.forEach((relation) => {
+      const { sourceAnimeId, targetAnimeId, relationType } = relation;
+      if (!groupSet.has(sourceAnimeId) && !groupSet.has(targetAnimeId)) return;
+
+      if (groupSet.has(sourceAnimeId) && groupSet.has(targetAnimeId)) {
+        // Internal relation
+        const relationKey = `${sourceAnimeId}-${targetAnimeId}-${relationType}`;
+        uniqueRelations.set(relationKey, relation);
+      } else {
+        // Anime linked to the group by a satellite or bucket relation
+        const otherId = groupSet.has(sourceAnimeId)
+          ? targetAnimeId
+          : sourceAnimeId;
+        relationCategories(relation, taxonomy, overrides).forEach(
+          (category) => {
+            if (linkedIds.has(category)) {
+              linkedIds.get(category).add(otherId);
             }
           }
-        }
-      });
-    }
-
-    // Get series name from oldest anime
-    const seriesName = getSeriesNameFromOldestAnime(group, animeMap);
-    const seriesId = `series_${series.seriesId}_${index + 1}`;
+        );
+      }
+    });
 
-    // Create main series entry
-    results.main.push({
+    const pin = overrides.pinFor(group, MAIN_CATEGORY);
+    const seriesId = pin.seriesId || registry.assign(MAIN_CATEGORY, group);
+    if (pin.seriesId) registry.claim(pin.seriesId);
+    const mainSeries = {
       seriesId,
-      seriesName,
+      seriesName: pin.name || namer.nameSeries(seriesId, group, animeMap),
       originalSeriesId: series.seriesId,
       animeIds: Array.from(group).sort((a, b) => Number(a) - Number(b)),
-      otherIds: Array.from(otherIds).sort((a, b) => Number(a) - Number(b)),
-      characterIds: Array.from(characterIds).sort(
-        (a, b) => Number(a) - Number(b)
-      ),
-      adaptationIds: Array.from(adaptationIds).sort(
+    };
+    linkedIds.forEach((ids, category) => {
+      mainSeries[`${category}Ids`] = Array.from(ids).sort(
         (a, b) => Number(a) - Number(b)
-      ),
-      spinOffIds: Array.from(spinOffIds).sort((a, b) => Number(a) - Number(b)),
-      relations: Array.from(uniqueRelations.values()).sort(
-        (a, b) =>
-          Number(a.sourceAnimeId) - Number(b.sourceAnimeId) ||
-          Number(a.targetAnimeId) - Number(b.targetAnimeId)
-      ),
+      );
     });
-  });
+    mainSeries.relations = sortRelations(Array.from(uniqueRelations.values()));
 
-  // Create character relation groups
-  const characterGroups = findConnectedGroupsFromRelations(characterRelations);
-  characterGroups.forEach((group, index) => {
-    // Filter out any IDs that are already in a main group
-    const mainAnimeIds = new Set(
-      results.main.flatMap((mainSeries) => mainSeries.animeIds)
+    const watchOrder = computeWatchOrder(
+      mainSeries.animeIds,
+      mainSeries.relations,
+      animeMap
     );
+    mainSeries.watchOrder = watchOrder.order;
+    mainSeries.watchOrderIssues = watchOrder.issues;
+    mainSeries.metadata = aggregateSeriesMetadata(
+      mainSeries.animeIds,
+      animeMap,
+      namer.selectAnchor(group, animeMap)
+    );
+    const appliedOverrides = overrides.appliedTo(group, SPLIT_RULES);
+    if (appliedOverrides.length > 0) {
+      mainSeries.overrides = appliedOverrides;
+    }
 
-    const filteredGroup = group.filter((id) => !mainAnimeIds.has(id));
-    if (filteredGroup.length < 2) return; // Skip single-anime groups
-
-    const uniqueRelations = new Map();
-
-    // Collect character relations for this group
-    filteredGroup.forEach((animeId) => {
-      series.relations.forEach((relation) => {
-        const { sourceAnimeId, targetAnimeId, relationType } = relation;
-
-        if (
-          relationType === "CHARACTER" &&
-          filteredGroup.includes(sourceAnimeId) &&
-          filteredGroup.includes(targetAnimeId)
-        ) {
-          const relationKey = `${sourceAnimeId}-${targetAnimeId}-${relationType}`;
-          uniqueRelations.set(relationKey, relation);
-        }
-      });
-    });
-
-    const seriesName = getSeriesNameFromOldestAnime(filteredGroup, animeMap);
-    results.character.push({
-      seriesId: `character_${series.seriesId}_${index + 1}`,
-      seriesName: `${seriesName} (Character)`,
-      originalSeriesId: series.seriesId,
-      animeIds: filteredGroup.sort((a, b) => Number(a) - Number(b)),
-      seriesType: "CHARACTER",
-      relations: Array.from(uniqueRelations.values()).sort(
-        (a, b) =>
-          Number(a.sourceAnimeId) - Number(b.sourceAnimeId) ||
-          Number(a.targetAnimeId) - Number(b.targetAnimeId)
-      ),
-    });
+    results.main.push(mainSeries);
   });
 
-  // Process other relation types similarly...
-  // The rest of the function is similar patterns for each relation type
-  // Create adaptation relation groups
-  const adaptationGroups =
-    findConnectedGroupsFromRelations(adaptationRelations);
-  processRelationGroups(
-    adaptationGroups,
-    "ADAPTATION",
-    series,
-    results,
-    animeMap
-  );
-
-  // Create spin-off relation groups
-  const spinOffGroups = findConnectedGroupsFromRelations(spinOffRelations);
-  processRelationGroups(spinOffGroups, "SPIN_OFF", series, results, animeMap);
-
-  // Create other relation groups
-  const otherGroups = findConnectedGroupsFromRelations(otherRelations);
-  processRelationGroups(otherGroups, "OTHER", series, results, animeMap);
-
-  // Create parent relation groups
-  const parentGroups = findConnectedGroupsFromRelations(parentRelations);
-  processRelationGroups(parentGroups, "PARENT", series, results, animeMap);
+  // Create the relation groups of each bucket
+  taxonomy.buckets.forEach((bucket) => {
+    const groups = findConnectedGroupsFromRelations(
+      bucketRelations.get(bucket.key)
+    );
+    processRelationGroups(
+      groups,
+      bucket,
+      series,
+      results,
+      animeMap,
+      registry,
+      taxonomy,
+      namer,
+      overrides
+    );
+  });
 
   return results;
 }
 
 /**
- * Process relation groups for a specific relation type
+ * Process the relation groups of a bucket
  * @param {Array} groups - Array of connected groups
- * @param {string} relationType - Type of relation
+ * @param {object} bucket - Bucket key, label and series type
  * @param {object} series - Original series object
  * @param {object} results - Results object to update
  * @param {object} animeMap - Map of anime objects by ID
+ * @param {SeriesIdRegistry} registry - Registry of stable series IDs
+ * @param {RelationTaxonomy} taxonomy - Category of each relation type
+ * @param {SeriesNamer} namer - Series naming
+ * @param {CurationOverrides} overrides - Curation overrides
  */
 function processRelationGroups(
   groups,
-  relationType,
+  bucket,
   series,
   results,
-  animeMap
+  animeMap,
+  registry,
+  taxonomy,
+  namer,
+  overrides
 ) {
-  const resultKey = relationType.toLowerCase();
-  // Ensure the results array exists for this type
-  if (!results[resultKey]) {
-    results[resultKey] = [];
-    logger.warn(`Created missing results array for type: ${resultKey}`);
-  }
-
   const mainAnimeIds = new Set(
     results.main.flatMap((mainSeries) => mainSeries.animeIds)
   );
 
-  groups.forEach((group, index) => {
+  groups.forEach((group) => {
     const filteredGroup = group.filter((id) => !mainAnimeIds.has(id));
-    if (filteredGroup.length < 2) return; // Skip single-anime groups
-
+    // Skip single-anime groups, unless a curator moved the anime here
+    const moveRules = filteredGroup
+      .map((id) => overrides.moveRuleOf(id))
+      .filter((rule) => rule && rule.bucket === bucket.key);
+    if (filteredGroup.length < 2 && moveRules.length === 0) return;
+    moveRules.forEach((rule) => overrides.markUsed(rule));
+
+    const groupSet = new Set(filteredGroup);
     const uniqueRelations = new Map();
 
-    // Collect relations for this group
-    filteredGroup.forEach((animeId) => {
-      series.relations.forEach((relation) => {
-        const {
-          sourceAnimeId,
-          targetAnimeId,
-          relationType: relType,
-        } = relation;
-
-        if (
-          relType === relationType &&
-          filteredGroup.includes(sourceAnimeId) &&
-          filteredGroup.includes(targetAnimeId)
-        ) {
-          const relationKey = `${sourceAnimeId}-${targetAnimeId}-${relType}`;
-          uniqueRelations.set(relationKey, relation);
-        }
-      });
+    // Collect the relations of this bucket within the group
+    series.relations.forEach((relation) => {
+      const { sourceAnimeId, targetAnimeId, relationType } = relation;
+
+      if (
+        relationCategories(relation, taxonomy, overrides).includes(
+          bucket.key
+        ) &&
+        groupSet.has(sourceAnimeId) &&
+        groupSet.has(targetAnimeId)
+      ) {
+        const relationKey = `${sourceAnimeId}-${targetAnimeId}-${relationType}`;
+        uniqueRelations.set(relationKey, relation);
+      }
     });
 
-    const seriesName = getSeriesNameFromOldestAnime(filteredGroup, animeMap);
-    results[resultKey].push({
-      seriesId: `${resultKey}_${series.seriesId}_${index + 1}`,
-      seriesName: `${seriesName} (${
-        relationType.charAt(0) + relationType.slice(1).toLowerCase()
-      })`,
+    const seriesId = registry.assign(bucket.key, filteredGroup);
+    const bucketGroup = {
+      seriesId,
+      seriesName: namer.nameSeries(
+        seriesId,
+        filteredGroup,
+        animeMap,
+        bucket.label
+      ),
       originalSeriesId: series.seriesId,
       animeIds: filteredGroup.sort((a, b) => Number(a) - Number(b)),
-      seriesType: relationType,
-      relations: Array.from(uniqueRelations.values()).sort(
-        (a, b) =>
-          Number(a.sourceAnimeId) - Number(b.sourceAnimeId) ||
-          Number(a.targetAnimeId) - Number(b.targetAnimeId)
+      seriesType: bucket.seriesType,
+      relations: sortRelations(Array.from(uniqueRelations.values())),
+      metadata: aggregateSeriesMetadata(
+        filteredGroup,
+        animeMap,
+        namer.selectAnchor(filteredGroup, animeMap)
       ),
-    });
+    };
+    const appliedOverrides = overrides.appliedTo(filteredGroup, SPLIT_RULES);
+    if (appliedOverrides.length > 0) {
+      bucketGroup.overrides = appliedOverrides;
+    }
+    results[bucket.key].push(bucketGroup);
   });
 }
 
@@ -554,12 +718,12 @@ if (require.main === module) {
   advancedSeriesSplit()
     .then((result) => {
       if (!result.success) {
-        process.exit(1);
+        flushLogs().then(() => process.exit(1));
       }
     })
     .catch((err) => {
       logger.error(`Fatal error: ${err.message}`);
-      process.exit(1);
+      flushLogs().then(() => process.exit(1));
     });
 }
 
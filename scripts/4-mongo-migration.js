@@ -0,0 +1,324 @@
+const fs = require("fs");
+
+const { getConfig, getPath } = require("./utils/config");
+const { fingerprint } = require("./utils/change-detection");
+const { errorTypeOf, missingFileError } = require("./utils/exit-codes");
+
+// Setup logger
+const { getLogger, flushLogs } = require("./utils/logger");
+const logger = getLogger("mongo-migration");
+
+/**
+ * Field in every migrated document recording what the pipeline last wrote:
+ * the fingerprint of the whole document and of each field
+ */
+const SYNC_FIELD = "_pipeline";
+
+/**
+ * Load the final anime and series data into MongoDB
+ *
+ * Documents are keyed on stable IDs (the AniList ID for anime, the series ID
+ * for series) and upserted in batches. Documents whose content is unchanged
+ * since the last migration are left untouched.
+ * @param {object} options - Migration options
+ * @param {string} options.uri - Connection string (default: config mongo.uri)
+ * @param {object} options.db - Database handle to use instead of connecting,
+ *   e.g. an in-memory stand-in; needs collection(name) with find() and
+ *   bulkWrite()
+ * @param {boolean} options.preserveManualEdits - Keep fields that were changed
+ *   in the database since the pipeline last wrote them
+ * @param {number} options.batchSize - Documents per bulk write
+ * @returns {Promise<object>} Migration results
+ */
+async function migrateToMongo(options = {}) {
+  logger.info("Starting MongoDB migration");
+
+  const { mongo } = getConfig();
+  const uri = options.uri || mongo.uri;
+  if (!options.db && !uri) {
+    logger.info("No MongoDB connection string configured, skipping migration");
+    return { success: true, skipped: true };
+  }
+
+  let client = null;
+  try {
+    const ANIME_DATA_PATH = getPath("resultsDir", "splitAnimeData");
+    const SPLIT_SERIES_PATH = getPath("dbDir", "advancedSplit");
+
+    [ANIME_DATA_PATH, SPLIT_SERIES_PATH].forEach((filePath) => {
+      if (!fs.existsSync(filePath)) {
+        throw missingFileError(`Input file not found: ${filePath}`);
+      }
+    });
+
+    const animeDocuments = JSON.parse(
+      fs.readFileSync(ANIME_DATA_PATH, "utf8")
+    ).map(toAnimeDocument);
+    const seriesDocuments = toSeriesDocuments(
+      JSON.parse(fs.readFileSync(SPLIT_SERIES_PATH, "utf8"))
+    );
+    logger.info(
+      `Loaded ${animeDocuments.length} anime and ${seriesDocuments.length} series`
+    );
+
+    let db = options.db;
+    if (!db) {
+      ({ client, db } = await connect(uri, mongo.database));
+      logger.info(`Connected to database ${mongo.database}`);
+    }
+
+    const syncOptions = {
+      batchSize: options.batchSize || mongo.batchSize,
+      preserveManualEdits:
+        options.preserveManualEdits !== undefined
+          ? options.preserveManualEdits
+          : mongo.preserveManualEdits,
+    };
+    if (syncOptions.preserveManualEdits) {
+      logger.info("Preserving fields edited in the database");
+    }
+
+    const counts = {
+      anime: await syncCollection(
+        db.collection(mongo.collections.anime),
+        animeDocuments,
+        syncOptions
+      ),
+      series: await syncCollection(
+        db.collection(mongo.collections.series),
+        seriesDocuments,
+        syncOptions
+      ),
+    };
+
+    // Print summary
+    logger.info("\nSummary:");
+    Object.keys(counts).forEach((name) => {
+      const { inserted, updated, untouched, preserved } = counts[name];
+      logger.info(
+        `- ${name}: ${inserted} inserted, ${updated} updated, ${untouched} untouched` +
+          (preserved > 0 ? ` (${preserved} with manual edits kept)` : "")
+      );
+    });
+
+    return { success: true, counts };
+  } catch (error) {
+    logger.error(`Error in MongoDB migration: ${error.message}`);
+    logger.error(error.stack);
+    return {
+      success: false,
+      error: error.message,
+      errorType: errorTypeOf(error),
+    };
+  } finally {
+    if (client) {
+      await client.close();
+    }
+  }
+}
+
+/**
+ * Connect to MongoDB. The driver is only loaded here, so the rest of the
+ * pipeline runs without it.
+ * @param {string} uri - Connection string
+ * @param {string} database - Database name
+ * @returns {Promise<object>} Connected client and database handle
+ */
+async function connect(uri, database) {
+  let mongodb;
+  try {
+    mongodb = require("mongodb");
+  } catch (error) {
+    if (error.code !== "MODULE_NOT_FOUND") throw error;
+    throw new Error(
+      "The mongodb package is needed for the migration: npm install mongodb"
+    );
+  }
+
+  const client = new mongodb.MongoClient(uri);
+  await client.connect();
+  return { client, db: client.db(database) };
+}
+
+/**
+ * Build the document of an anime record
+ * @param {object} anime - Anime record with its split series
+ * @returns {object} Anime document
+ */
+function toAnimeDocument(anime) {
+  return { _id: anime.id, ...anime };
+}
+
+/**
+ * Build the series documents from the split output
+ * @param {object} splitSeries - Split groups by category
+ * @returns {Array<object>} Series documents
+ */
+function toSeriesDocuments(splitSeries) {
+  return Object.keys(splitSeries).flatMap((category) =>
+    splitSeries[category].map((group) => ({
+      _id: group.seriesId,
+      ...group,
+      category,
+      seriesType: group.seriesType || "MAIN",
+    }))
+  );
+}
+
+/**
+ * Fingerprint each field of a document
+ * @param {object} fields - Document fields
+ * @returns {object} Map of field name to fingerprint
+ */
+function fingerprintFields(fields) {
+  const fingerprints = {};
+  Object.keys(fields).forEach((key) => {
+    fingerprints[key] = fingerprint(fields[key]);
+  });
+  return fingerprints;
+}
+
+/**
+ * Find the fields of a stored document that were changed since the pipeline
+ * last wrote it: written fields with another value (or removed), and fields
+ * the pipeline never wrote
+ * @param {object} current - Stored document
+ * @param {object} written - Field fingerprints recorded at the last write
+ * @returns {Set<string>} Edited field names
+ */
+function findManualEdits(current, written) {
+  const edited = new Set();
+  Object.keys(written).forEach((key) => {
+    if (!(key in current) || fingerprint(current[key]) !== written[key]) {
+      edited.add(key);
+    }
+  });
+  Object.keys(current).forEach((key) => {
+    if (key !== "_id" && key !== SYNC_FIELD && !(key in written)) {
+      edited.add(key);
+    }
+  });
+  return edited;
+}
+
+/**
+ * Build the update of a stored document that keeps its manual edits
+ * @param {object} current - Stored document
+ * @param {object} fields - New document fields
+ * @param {string} hash - Fingerprint of the new fields
+ * @returns {object} Update operation and whether any edit was kept
+ */
+function buildPreservingUpdate(current, fields, hash) {
+  const written = (current[SYNC_FIELD] && current[SYNC_FIELD].fields) || {};
+  const edited = findManualEdits(current, written);
+  const fieldFingerprints = fingerprintFields(fields);
+
+  const $set = {};
+  const $unset = {};
+  const recorded = {};
+  let kept = false;
+
+  Object.keys(fields).forEach((key) => {
+    if (edited.has(key)) {
+      kept = true;
+      // Keep the old fingerprint so the field still counts as edited
+      if (written[key]) recorded[key] = written[key];
+    } else {
+      $set[key] = fields[key];
+      recorded[key] = fieldFingerprints[key];
+    }
+  });
+
+  // Fields the pipeline no longer writes are removed unless edited
+  Object.keys(written).forEach((key) => {
+    if (!(key in fields) && !edited.has(key)) {
+      $unset[key] = "";
+    }
+  });
+
+  $set[SYNC_FIELD] = { hash, fields: recorded, syncedAt: new Date() };
+  const update = Object.keys($unset).length > 0 ? { $set, $unset } : { $set };
+  return { update, kept };
+}
+
+/**
+ * Upsert documents into a collection in batches
+ * @param {object} collection - MongoDB collection
+ * @param {Array<object>} documents - Documents with an _id
+ * @param {object} options - Sync options
+ * @param {number} options.batchSize - Documents per bulk write
+ * @param {boolean} options.preserveManualEdits - Keep manually edited fields
+ * @returns {Promise<object>} Inserted, updated, untouched and preserved counts
+ */
+async function syncCollection(collection, documents, options) {
+  const counts = { inserted: 0, updated: 0, untouched: 0, preserved: 0 };
+
+  for (let start = 0; start < documents.length; start += options.batchSize) {
+    const batch = documents.slice(start, start + options.batchSize);
+
+    const existing = new Map();
+    const stored = await collection
+      .find({ _id: { $in: batch.map((document) => document._id) } })
+      .toArray();
+    stored.forEach((document) => existing.set(document._id, document));
+
+    const operations = [];
+    batch.forEach(({ _id, ...fields }) => {
+      const hash = fingerprint(fields);
+      const current = existing.get(_id);
+      const syncInfo = {
+        hash,
+        fields: fingerprintFields(fields),
+        syncedAt: new Date(),
+      };
+
+      if (!current) {
+        operations.push({
+          updateOne: {
+            filter: { _id },
+            update: { $set: { ...fields, [SYNC_FIELD]: syncInfo } },
+            upsert: true,
+          },
+        });
+        counts.inserted++;
+      } else if (current[SYNC_FIELD] && current[SYNC_FIELD].hash === hash) {
+        counts.untouched++;
+      } else if (options.preserveManualEdits) {
+        const { update, kept } = buildPreservingUpdate(current, fields, hash);
+        operations.push({ updateOne: { filter: { _id }, update } });
+        counts.updated++;
+        if (kept) counts.preserved++;
+      } else {
+        operations.push({
+          replaceOne: {
+            filter: { _id },
+            replacement: { ...fields, [SYNC_FIELD]: syncInfo },
+          },
+        });
+        counts.updated++;
+      }
+    });
+
+    if (operations.length > 0) {
+      await collection.bulkWrite(operations, { ordered: false });
+    }
+  }
+
+  return counts;
+}
+
+// For standalone usage
+if (require.main === module) {
+  migrateToMongo()
+    .then((result) => {
+      if (!result.success) {
+        flushLogs().then(() => process.exit(1));
+      }
+    })
+    .catch((err) => {
+      logger.error(`Fatal error: ${err.message}`);
+      flushLogs().then(() => process.exit(1));
+    });
+}
+
+module.exports = { migrateToMongo };
@@ -0,0 +1,434 @@
+const fs = require("fs");
+
+const { getPath } = require("./utils/config");
+const { OutputTransaction } = require("./utils/atomic-writer");
+const { errorTypeOf, missingFileError } = require("./utils/exit-codes");
+
+// Setup logger
+const { getLogger, flushLogs } = require("./utils/logger");
+const logger = getLogger("sqlite-export");
+
+/**
+ * Tables of the SQLite export. Anime keep their full record as JSON in the
+ * data column next to the columns most queries need.
+ */
+const SCHEMA = `
+  CREATE TABLE anime (
+    id TEXT PRIMARY KEY,
+    title_romaji TEXT,
+    title_english TEXT,
+    title_native TEXT,
+    format TEXT,
+    episodes INTEGER,
+    duration INTEGER,
+    start_date TEXT,
+    end_date TEXT,
+    average_score INTEGER,
+    popularity INTEGER,
+    is_adult INTEGER,
+    series_id TEXT,
+    series_type TEXT,
+    original_series_id TEXT,
+    unassigned INTEGER,
+    data TEXT NOT NULL
+  );
+  CREATE TABLE series (
+    series_id TEXT PRIMARY KEY,
+    series_name TEXT,
+    anime_count INTEGER NOT NULL
+  );
+  CREATE TABLE series_members (
+    series_id TEXT NOT NULL,
+    anime_id TEXT NOT NULL,
+    PRIMARY KEY (series_id, anime_id)
+  );
+  CREATE TABLE split_series (
+    series_id TEXT PRIMARY KEY,
+    original_series_id TEXT,
+    category TEXT NOT NULL,
+    series_type TEXT NOT NULL,
+    series_name TEXT
+  );
+  CREATE TABLE split_series_members (
+    series_id TEXT NOT NULL,
+    anime_id TEXT NOT NULL,
+    watch_position INTEGER,
+    PRIMARY KEY (series_id, anime_id)
+  );
+  CREATE TABLE split_series_links (
+    series_id TEXT NOT NULL,
+    anime_id TEXT NOT NULL,
+    category TEXT NOT NULL,
+    PRIMARY KEY (series_id, anime_id, category)
+  );
+  CREATE TABLE relations (
+    series_id TEXT NOT NULL,
+    source_anime_id TEXT NOT NULL,
+    target_anime_id TEXT NOT NULL,
+    relation_type TEXT NOT NULL,
+    PRIMARY KEY (series_id, source_anime_id, target_anime_id, relation_type)
+  );
+  CREATE TABLE edge_cases (
+    id INTEGER PRIMARY KEY,
+    kind TEXT NOT NULL,
+    anime_id TEXT,
+    series_id TEXT,
+    description TEXT,
+    data TEXT NOT NULL
+  );
+`;
+
+/**
+ * Indexes, created once the tables are filled
+ */
+const INDEXES = `
+  CREATE INDEX idx_anime_series ON anime (series_id);
+  CREATE INDEX idx_anime_original_series ON anime (original_series_id);
+  CREATE INDEX idx_series_members_anime ON series_members (anime_id);
+  CREATE INDEX idx_split_series_original ON split_series (original_series_id);
+  CREATE INDEX idx_split_series_category ON split_series (category);
+  CREATE INDEX idx_split_series_members_anime ON split_series_members (anime_id);
+  CREATE INDEX idx_split_series_links_anime ON split_series_links (anime_id);
+  CREATE INDEX idx_relations_source ON relations (source_anime_id);
+  CREATE INDEX idx_relations_target ON relations (target_anime_id);
+  CREATE INDEX idx_edge_cases_kind ON edge_cases (kind);
+  CREATE INDEX idx_edge_cases_anime ON edge_cases (anime_id);
+`;
+
+/**
+ * Anime columns and the record fields they are filled from
+ */
+const ANIME_COLUMNS = {
+  id: "id",
+  title_romaji: "titleRomaji",
+  title_english: "titleEnglish",
+  title_native: "titleNative",
+  format: "format",
+  episodes: "episodes",
+  duration: "duration",
+  start_date: "startDate",
+  end_date: "endDate",
+  average_score: "averageScore",
+  popularity: "popularity",
+  is_adult: "isAdult",
+  series_id: "seriesId",
+  series_type: "seriesType",
+  original_series_id: "originalSeriesId",
+  unassigned: "unassigned",
+};
+
+/**
+ * Write the grouping and split results to a SQLite database
+ *
+ * The in-memory results of the grouping and split stages are used when
+ * given; otherwise their output files are read.
+ * @param {object} options - Export options
+ * @param {object} options.grouping - Series and edge cases from the grouping
+ *   stage
+ * @param {object} options.split - Split series and anime data from the split
+ *   stage
+ * @param {string} options.outputPath - Database path (default: the configured
+ *   sqliteDb file in the results directory)
+ * @param {Function} options.openDatabase - Opens a database at a path,
+ *   returning a handle with exec(), prepare() and close() (default:
+ *   better-sqlite3)
+ * @returns {Promise<object>} Export results
+ */
+async function exportToSqlite(options = {}) {
+  logger.info("Starting SQLite export");
+
+  const outputPath = options.outputPath || getPath("resultsDir", "sqliteDb");
+  const outputs = new OutputTransaction();
+
+  let db = null;
+  try {
+    const grouping = options.grouping || readGroupingOutput();
+    const split = options.split || readSplitOutput();
+
+    // Build the database next to the old one and swap it in when complete
+    db = (options.openDatabase || openDatabase)(
+      outputs.tempPathFor(outputPath)
+    );
+
+    db.exec(SCHEMA);
+    db.exec("BEGIN");
+    const tables = {
+      anime: insertAnime(db, split.animeData),
+      ...insertSeries(db, grouping.series),
+      ...insertSplitSeries(db, split.splitSeries),
+      edge_cases: insertEdgeCases(db, grouping.edgeCases),
+    };
+    db.exec("COMMIT");
+    db.exec(INDEXES);
+    db.close();
+    db = null;
+
+    outputs.commit();
+    logger.info(`SQLite database written to: ${outputPath}`);
+
+    // Print summary
+    logger.info("\nSummary:");
+    Object.keys(tables).forEach((table) => {
+      logger.info(`- ${table}: ${tables[table]} rows`);
+    });
+
+    return { success: true, path: outputPath, tables };
+  } catch (error) {
+    logger.error(`Error in SQLite export: ${error.message}`);
+    logger.error(error.stack);
+    if (db) db.close();
+    outputs.abort();
+    return {
+      success: false,
+      error: error.message,
+      errorType: errorTypeOf(error),
+    };
+  }
+}
+
+/**
+ * Open a SQLite database with better-sqlite3. The driver is only loaded
+ * here, so the rest of the pipeline runs without it.
+ * @param {string} filePath - Database path
+ * @returns {object} Database handle
+ */
+function openDatabase(filePath) {
+  let Database;
+  try {
+    Database = require("better-sqlite3");
+  } catch (error) {
+    if (error.code !== "MODULE_NOT_FOUND") throw error;
+    throw new Error(
+      "The better-sqlite3 package is needed for the SQLite export: npm install better-sqlite3"
+    );
+  }
+  return new Database(filePath);
+}
+
+/**
+ * Read a JSON output file of an earlier stage
+ * @param {string} filePath - File path
+ * @returns {*} Parsed content
+ */
+function readOutputFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw missingFileError(`Input file not found: ${filePath}`);
+  }
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+/**
+ * Read the series and edge cases written by the grouping stage
+ * @returns {object} Series and edge cases
+ */
+function readGroupingOutput() {
+  return {
+    series: readOutputFile(getPath("resultsDir", "mainSeries")).series,
+    edgeCases: readOutputFile(getPath("resultsDir", "edgeCases")),
+  };
+}
+
+/**
+ * Read the split series and anime data written by the split stage
+ * @returns {object} Split series and anime data
+ */
+function readSplitOutput() {
+  return {
+    splitSeries: readOutputFile(getPath("dbDir", "advancedSplit")),
+    animeData: readOutputFile(getPath("resultsDir", "splitAnimeData")),
+  };
+}
+
+/**
+ * Convert a record value to a SQLite value
+ * @param {*} value - Record value
+ * @returns {*} Number, string or null
+ */
+function toSqlValue(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === "boolean") return value ? 1 : 0;
+  if (typeof value === "object") return JSON.stringify(value);
+  return value;
+}
+
+/**
+ * Insert the anime records
+ * @param {object} db - Database handle
+ * @param {Array} animeData - Anime records with their split series
+ * @returns {number} Inserted rows
+ */
+function insertAnime(db, animeData) {
+  const columns = Object.keys(ANIME_COLUMNS);
+  const statement = db.prepare(
+    `INSERT INTO anime (${columns.join(", ")}, data) VALUES (${columns
+      .map(() => "?")
+      .join(", ")}, ?)`
+  );
+
+  animeData.forEach((anime) => {
+    statement.run(
+      ...columns.map((column) => toSqlValue(anime[ANIME_COLUMNS[column]])),
+      JSON.stringify(anime)
+    );
+  });
+  return animeData.length;
+}
+
+/**
+ * Insert the series of the grouping stage, their members and relations
+ * @param {object} db - Database handle
+ * @param {Array} series - Series from the grouping stage
+ * @returns {object} Inserted rows per table
+ */
+function insertSeries(db, series) {
+  const insertSeriesRow = db.prepare(
+    "INSERT INTO series (series_id, series_name, anime_count) VALUES (?, ?, ?)"
+  );
+  const insertMember = db.prepare(
+    "INSERT OR IGNORE INTO series_members (series_id, anime_id) VALUES (?, ?)"
+  );
+  const insertRelation = db.prepare(
+    `INSERT OR IGNORE INTO relations
+      (series_id, source_anime_id, target_anime_id, relation_type)
+      VALUES (?, ?, ?, ?)`
+  );
+
+  const counts = { series: 0, series_members: 0, relations: 0 };
+  series.forEach((seriesGroup) => {
+    insertSeriesRow.run(
+      seriesGroup.seriesId,
+      seriesGroup.seriesName,
+      seriesGroup.animeIds.length
+    );
+    counts.series++;
+
+    seriesGroup.animeIds.forEach((animeId) => {
+      counts.series_members += insertMember.run(
+        seriesGroup.seriesId,
+        String(animeId)
+      ).changes;
+    });
+
+    seriesGroup.relations.forEach((relation) => {
+      counts.relations += insertRelation.run(
+        seriesGroup.seriesId,
+        String(relation.sourceAnimeId),
+        String(relation.targetAnimeId),
+        relation.relationType
+      ).changes;
+    });
+  });
+  return counts;
+}
+
+/**
+ * Insert the split series of every category, their members and the anime
+ * main series are linked to by satellite and bucket relations
+ * @param {object} db - Database handle
+ * @param {object} splitSeries - Split groups by category
+ * @returns {object} Inserted rows per table
+ */
+function insertSplitSeries(db, splitSeries) {
+  const insertSplit = db.prepare(
+    `INSERT INTO split_series
+      (series_id, original_series_id, category, series_type, series_name)
+      VALUES (?, ?, ?, ?, ?)`
+  );
+  const insertMember = db.prepare(
+    `INSERT OR IGNORE INTO split_series_members
+      (series_id, anime_id, watch_position)
+      VALUES (?, ?, ?)`
+  );
+  const insertLink = db.prepare(
+    `INSERT OR IGNORE INTO split_series_links (series_id, anime_id, category)
+      VALUES (?, ?, ?)`
+  );
+
+  const counts = {
+    split_series: 0,
+    split_series_members: 0,
+    split_series_links: 0,
+  };
+  Object.keys(splitSeries).forEach((category) => {
+    splitSeries[category].forEach((group) => {
+      insertSplit.run(
+        group.seriesId,
+        group.originalSeriesId,
+        category,
+        group.seriesType || "MAIN",
+        group.seriesName
+      );
+      counts.split_series++;
+
+      // Main series carry their watch order; positions start at 1
+      const watchOrder = (group.watchOrder || []).map(String);
+      group.animeIds.forEach((animeId) => {
+        const position = watchOrder.indexOf(String(animeId)) + 1;
+        counts.split_series_members += insertMember.run(
+          group.seriesId,
+          String(animeId),
+          position > 0 ? position : null
+        ).changes;
+      });
+
+      // Main series list linked anime as <category>Ids
+      Object.keys(group).forEach((key) => {
+        const match = /^(.+)Ids$/.exec(key);
+        if (!match || key === "animeIds") return;
+        group[key].forEach((animeId) => {
+          counts.split_series_links += insertLink.run(
+            group.seriesId,
+            String(animeId),
+            match[1]
+          ).changes;
+        });
+      });
+    });
+  });
+  return counts;
+}
+
+/**
+ * Insert the edge cases, one row per case
+ * @param {object} db - Database handle
+ * @param {object} edgeCases - Edge cases by kind
+ * @returns {number} Inserted rows
+ */
+function insertEdgeCases(db, edgeCases) {
+  const statement = db.prepare(
+    `INSERT INTO edge_cases (kind, anime_id, series_id, description, data)
+      VALUES (?, ?, ?, ?, ?)`
+  );
+
+  let count = 0;
+  Object.keys(edgeCases).forEach((kind) => {
+    if (!Array.isArray(edgeCases[kind])) return;
+    edgeCases[kind].forEach((edgeCase) => {
+      statement.run(
+        kind,
+        toSqlValue(edgeCase.animeId),
+        toSqlValue(edgeCase.seriesId),
+        toSqlValue(edgeCase.explanation || edgeCase.reason),
+        JSON.stringify(edgeCase)
+      );
+      count++;
+    });
+  });
+  return count;
+}
+
+// For standalone usage
+if (require.main === module) {
+  exportToSqlite()
+    .then((result) => {
+      if (!result.success) {
+        flushLogs().then(() => process.exit(1));
+      }
+    })
+    .catch((err) => {
+      logger.error(`Fatal error: ${err.message}`);
+      flushLogs().then(() => process.exit(1));
+    });
+}
+
+module.exports = { exportToSqlite };
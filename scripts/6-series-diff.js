@@ -0,0 +1,227 @@
+const fs = require("fs");
+const path = require("path");
+
+const { getConfig, getPath } = require("./utils/config");
+const { writeFileAtomic } = require("./utils/atomic-writer");
+const { changedAt, readPreviousJson } = require("./utils/change-detection");
+const { errorTypeOf, missingFileError } = require("./utils/exit-codes");
+const {
+  SNAPSHOT_VERSION,
+  createMembershipSnapshot,
+  diffMembership,
+} = require("./utils/series-diff");
+
+// Setup logger
+const { getLogger, flushLogs } = require("./utils/logger");
+const logger = getLogger("series-diff");
+
+/**
+ * Compare the series of this run with the snapshot of the previous run
+ *
+ * Writes a change log of the series added, removed, renamed, merged and
+ * split, and of the anime that moved between series or split buckets. When
+ * the churn is within the threshold, this run's membership becomes the
+ * snapshot the next run is compared with; otherwise the snapshot is kept, so
+ * the next run is compared with the last accepted one.
+ *
+ * The in-memory results of the grouping and split stages are used when
+ * given; otherwise their output files are read.
+ * @param {object} options - Diff options
+ * @param {object} options.grouping - Series from the grouping stage
+ * @param {object} options.split - Split series from the split stage
+ * @param {number} options.maxChurn - Share of anime that may change series
+ *   before the diff fails (default: config diff.maxChurn; null for no limit)
+ * @param {boolean} options.updateSnapshot - Save this run's membership as the
+ *   snapshot when the churn is within the threshold (default: true)
+ * @param {boolean} options.accept - Save the snapshot whatever the churn
+ * @param {string} options.outputPath - Change log path (default: the
+ *   configured seriesDiff file in the results directory)
+ * @returns {Promise<object>} Diff results
+ */
+async function diffSeries(options = {}) {
+  logger.info("Starting series diff");
+
+  try {
+    const SNAPSHOT_PATH = getPath("dbDir", "seriesSnapshot");
+    const outputPath =
+      options.outputPath || getPath("resultsDir", "seriesDiff");
+    const maxChurn =
+      options.maxChurn !== undefined
+        ? options.maxChurn
+        : getConfig().diff.maxChurn;
+
+    const grouping = options.grouping || {
+      series: readOutputFile(getPath("resultsDir", "mainSeries")).series,
+    };
+    const split = options.split || {
+      splitSeries: readOutputFile(getPath("dbDir", "advancedSplit")),
+    };
+    const current = createMembershipSnapshot(
+      grouping.series,
+      split.splitSeries
+    );
+    const previous = readSnapshot(SNAPSHOT_PATH);
+    // An unchanged membership keeps its snapshot as it is
+    current.createdAt = changedAt(previous, current, "createdAt");
+
+    let changeLog;
+    let exceeded = false;
+    if (previous) {
+      const { churn, ...changes } = diffMembership(previous, current);
+      exceeded = typeof maxChurn === "number" && churn > maxChurn;
+      changeLog = {
+        generatedAt: new Date().toISOString(),
+        baseline: false,
+        previousSnapshotAt: previous.createdAt,
+        churn: { ratio: churn, maxChurn, exceeded },
+        ...changes,
+      };
+      logChanges(changeLog);
+    } else {
+      logger.info("No previous snapshot, recording this run as the baseline");
+      changeLog = {
+        generatedAt: new Date().toISOString(),
+        baseline: true,
+        previousSnapshotAt: null,
+        churn: { ratio: 0, maxChurn, exceeded: false },
+      };
+    }
+
+    // Rerunning on the same data writes the same change log
+    changeLog.generatedAt = changedAt(
+      readPreviousJson(outputPath),
+      changeLog,
+      "generatedAt"
+    );
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    writeFileAtomic(outputPath, JSON.stringify(changeLog, null, 2) + "\n");
+    logger.info(`Saved series diff to ${outputPath}`);
+
+    const updateSnapshot =
+      options.accept || (options.updateSnapshot !== false && !exceeded);
+    if (updateSnapshot) {
+      fs.mkdirSync(path.dirname(SNAPSHOT_PATH), { recursive: true });
+      writeFileAtomic(SNAPSHOT_PATH, JSON.stringify(current, null, 2) + "\n");
+      logger.info(`Saved membership snapshot to ${SNAPSHOT_PATH}`);
+    }
+
+    const result = {
+      success: !exceeded || Boolean(options.accept),
+      path: outputPath,
+      baseline: changeLog.baseline,
+      churn: changeLog.churn.ratio,
+      snapshotUpdated: Boolean(updateSnapshot),
+      changes: summarizeChanges(changeLog),
+    };
+    if (exceeded && !options.accept) {
+      result.error = `Churn of ${formatShare(
+        changeLog.churn.ratio
+      )} exceeds the threshold of ${formatShare(maxChurn)}; see ${outputPath}`;
+      result.errorType = "churn";
+      logger.error(result.error);
+    }
+    return result;
+  } catch (error) {
+    logger.error(`Error in series diff: ${error.message}`);
+    logger.error(error.stack);
+    return {
+      success: false,
+      error: error.message,
+      errorType: errorTypeOf(error),
+    };
+  }
+}
+
+/**
+ * Read a JSON output file of an earlier stage
+ * @param {string} filePath - File path
+ * @returns {*} Parsed content
+ */
+function readOutputFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw missingFileError(`Input file not found: ${filePath}`);
+  }
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+/**
+ * Read the membership snapshot of the previous run
+ * @param {string} snapshotPath - Snapshot path
+ * @returns {object|null} Snapshot, or null if there is none to compare with
+ */
+function readSnapshot(snapshotPath) {
+  if (!fs.existsSync(snapshotPath)) return null;
+
+  const snapshot = JSON.parse(fs.readFileSync(snapshotPath, "utf8"));
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    logger.warn(
+      `Ignoring snapshot version ${snapshot.version} (expected ${SNAPSHOT_VERSION})`
+    );
+    return null;
+  }
+  return snapshot;
+}
+
+/**
+ * Count the changes of each kind in a change log
+ * @param {object} changeLog - Change log
+ * @returns {object} Change counts
+ */
+function summarizeChanges(changeLog) {
+  if (changeLog.baseline) return null;
+  return {
+    animeAdded: changeLog.anime.added.length,
+    animeRemoved: changeLog.anime.removed.length,
+    animeMoved: changeLog.animeMoved.length,
+    bucketChanges: changeLog.bucketChanges.length,
+    seriesAdded: changeLog.series.added.length,
+    seriesRemoved: changeLog.series.removed.length,
+    seriesRenamed: changeLog.series.renamed.length,
+    seriesMerged: changeLog.series.merged.length,
+    seriesSplit: changeLog.series.split.length,
+  };
+}
+
+/**
+ * Format a share as a percentage
+ * @param {number} share - Share between 0 and 1
+ * @returns {string} Percentage
+ */
+function formatShare(share) {
+  return `${(share * 100).toFixed(1)}%`;
+}
+
+/**
+ * Log what changed since the previous run
+ * @param {object} changeLog - Change log
+ */
+function logChanges(changeLog) {
+  const counts = summarizeChanges(changeLog);
+  logger.info("\nSummary:");
+  logger.info(
+    `- Anime: ${counts.animeAdded} added, ${counts.animeRemoved} removed, ${counts.animeMoved} moved between series, ${counts.bucketChanges} with bucket changes`
+  );
+  logger.info(
+    `- Series: ${counts.seriesAdded} added, ${counts.seriesRemoved} removed, ${counts.seriesRenamed} renamed, ${counts.seriesMerged} merged, ${counts.seriesSplit} split`
+  );
+  logger.info(
+    `- Churn: ${formatShare(changeLog.churn.ratio)} of ${
+      changeLog.anime.compared
+    } anime`
+  );
+}
+
+if (require.main === module) {
+  diffSeries()
+    .then((result) => {
+      if (!result.success) {
+        flushLogs().then(() => process.exit(1));
+      }
+    })
+    .catch((err) => {
+      logger.error(`Fatal error: ${err.message}`);
+      flushLogs().then(() => process.exit(1));
+    });
+}
+
+module.exports = { diffSeries };
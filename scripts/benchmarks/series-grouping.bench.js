@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+
+/**
+ * Benchmarks for the series grouping engine
+ *
+ * Builds synthetic relation graphs and times groupAnimeIntoSeries_internal on
+ * them. Usage: node scripts/benchmarks/series-grouping.bench.js [nodeCount]
+ */
+
+const { groupAnimeIntoSeries_internal } = require("../2-series-grouping");
+
+const logger = require("../utils/logger").getLogger("benchmark");
+
+const DEFAULT_NODE_COUNT = 100000;
+
+/**
+ * Deterministic pseudo-random number generator (LCG)
+ * @param {number} seed - Initial seed
+ * @returns {Function} Function returning numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+/**
+ * Create anime records with no relations
+ * @param {number} count - Number of records
+ * @returns {Array} Anime records
+ */
+function createAnime(count) {
+  const animeData = [];
+  for (let i = 1; i <= count; i++) {
+    animeData.push({ id: String(i), title: `Anime ${i}`, relations: [] });
+  }
+  return animeData;
+}
+
+/**
+ * Link two anime with a reciprocal SEQUEL/PREQUEL pair
+ * @param {Array} animeData - Anime records (index = id - 1)
+ * @param {number} prequel - Prequel anime ID
+ * @param {number} sequel - Sequel anime ID
+ */
+function linkSequel(animeData, prequel, sequel) {
+  animeData[prequel - 1].relations.push({
+    targetAnimeId: String(sequel),
+    relationType: "SEQUEL",
+  });
+  animeData[sequel - 1].relations.push({
+    targetAnimeId: String(prequel),
+    relationType: "PREQUEL",
+  });
+}
+
+/**
+ * One chain through every node: the worst case for recursive traversal
+ * @param {number} count - Number of nodes
+ * @returns {Array} Anime records
+ */
+function buildLongChain(count) {
+  const animeData = createAnime(count);
+  for (let i = 1; i < count; i++) {
+    linkSequel(animeData, i, i + 1);
+  }
+  return animeData;
+}
+
+/**
+ * Many small franchises shaped as random trees, like the real AniList graph
+ * @param {number} count - Number of nodes
+ * @returns {Array} Anime records
+ */
+function buildFranchiseForest(count) {
+  const random = createRandom(42);
+  const animeData = createAnime(count);
+  let franchiseStart = 1;
+
+  for (let i = 2; i <= count; i++) {
+    // Start a new franchise roughly every 8 entries
+    if (random() < 0.125) {
+      franchiseStart = i;
+      continue;
+    }
+    const parent =
+      franchiseStart + Math.floor(random() * Math.max(1, i - franchiseStart));
+    linkSequel(animeData, parent, i);
+  }
+
+  return animeData;
+}
+
+/**
+ * One giant densely connected component with random extra edges
+ * @param {number} count - Number of nodes
+ * @returns {Array} Anime records
+ */
+function buildDenseComponent(count) {
+  const random = createRandom(7);
+  const animeData = buildLongChain(count);
+
+  for (let i = 0; i < count * 2; i++) {
+    const a = 1 + Math.floor(random() * count);
+    const b = 1 + Math.floor(random() * count);
+    if (a !== b) linkSequel(animeData, Math.min(a, b), Math.max(a, b));
+  }
+
+  return animeData;
+}
+
+/**
+ * Franchises with one-way SPIN_OFF links from later entries to earlier ones,
+ * which lead into series created before them
+ * @param {number} count - Number of nodes
+ * @returns {Array} Anime records
+ */
+function buildOneWayLinks(count) {
+  const random = createRandom(11);
+  const animeData = buildFranchiseForest(count);
+
+  for (let i = 2; i <= count; i++) {
+    if (random() < 0.2) {
+      animeData[i - 1].relations.push({
+        targetAnimeId: String(1 + Math.floor(random() * (i - 1))),
+        relationType: "SPIN_OFF",
+      });
+    }
+  }
+
+  return animeData;
+}
+
+/**
+ * Time a grouping run over a synthetic dataset
+ * @param {string} name - Scenario name
+ * @param {Array} animeData - Anime records
+ * @returns {object} Benchmark result
+ */
+function runScenario(name, animeData) {
+  const edgeCount = animeData.reduce(
+    (count, anime) => count + anime.relations.length,
+    0
+  );
+
+  const start = process.hrtime.bigint();
+  const { series, edgeCases } = groupAnimeIntoSeries_internal(animeData);
+  const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+  const result = {
+    scenario: name,
+    nodes: animeData.length,
+    edges: edgeCount,
+    series: series.length,
+    orphans: edgeCases.orphanedAnime.length,
+    durationMs: Math.round(durationMs),
+    heapUsedMb: Math.round(process.memoryUsage().heapUsed / 1024 / 1024),
+  };
+
+  logger.object("Benchmark", result);
+  return result;
+}
+
+if (require.main === module) {
+  const nodeCount = Number(process.argv[2]) || DEFAULT_NODE_COUNT;
+  logger.info(`Running series grouping benchmarks with ${nodeCount} nodes`);
+
+  runScenario("long-chain", buildLongChain(nodeCount));
+  runScenario("franchise-forest", buildFranchiseForest(nodeCount));
+  runScenario("dense-component", buildDenseComponent(nodeCount));
+  runScenario("one-way-links", buildOneWayLinks(nodeCount));
+}
+
+module.exports = {
+  buildLongChain,
+  buildFranchiseForest,
+  buildDenseComponent,
+  buildOneWayLinks,
+  runScenario,
+};
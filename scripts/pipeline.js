@@ -7,122 +7,247 @@
  * 1. Data Conversion: Converting CSV data to JSON
  * 2. Series Grouping: Grouping anime into series based on relations
  * 3. Advanced Series Split: Further splitting series based on relation types
+ * 4. MongoDB Migration: Loading the final data into MongoDB, when configured
+ * 5. SQLite Export: Writing the results to a SQLite database, when selected
+ * 6. Series Diff: Comparing series membership with the previous run, before
+ *    the results are migrated or exported
  *
- * Each stage is monitored for performance and logs are generated.
+ * Custom stages can be added in pipeline.config.js (see utils/config.js); the
+ * execution order is resolved from the dependencies each stage declares.
+ *
+ * Each stage is monitored for performance and logs are generated. Progress is
+ * recorded in the run manifest so a failed run can be resumed. The outputs of
+ * a successful run are published as a snapshot (see utils/snapshots.js).
  */
 
-const path = require("path");
 const fs = require("fs");
+const path = require("path");
 
 // Import utilities
-const logger = require("./utils/logger").getLogger("pipeline");
+const { getLogger, setLogContext, flushLogs } = require("./utils/logger");
+const logger = getLogger("pipeline");
 const monitor = require("./utils/monitor");
+const { loadConfig, getConfig, getPath } = require("./utils/config");
+const { StageRegistry } = require("./utils/stage-registry");
+const {
+  STAGE_STATUS,
+  loadManifest,
+  createManifest,
+  saveManifest,
+  fingerprintFiles,
+  fingerprintSettings,
+  isStageReusable,
+} = require("./utils/run-manifest");
+const { SnapshotStore } = require("./utils/snapshots");
+const { errorTypeOf } = require("./utils/exit-codes");
+const {
+  writeFileAtomic,
+  cleanStaleTempFiles,
+} = require("./utils/atomic-writer");
+const { changedAt, readPreviousJson } = require("./utils/change-detection");
 
 // Import pipeline stages
-const dataConversion = require("./1-data-conversion");
-const seriesGrouping = require("./2-series-grouping");
-const advancedSeriesSplit = require("./3-advanced-series-split");
+const { BUILT_IN_STAGES } = require("./stages");
+
+/**
+ * Build the stage registry from the built-in and custom stages
+ * @param {Object} options - Pipeline options
+ * @param {string} options.config - Path to a pipeline config file to load
+ *   instead of the current configuration
+ * @returns {StageRegistry} Stage registry
+ */
+function createStageRegistry(options = {}) {
+  // The loaded config holds the environment and CLI overrides, so it is only
+  // replaced when another file is asked for
+  let config = getConfig();
+  if (options.config && path.resolve(options.config) !== config.configFile) {
+    config = loadConfig({ configPath: options.config });
+  }
+
+  const registry = new StageRegistry();
+  BUILT_IN_STAGES.forEach((stage) => registry.register(stage));
+  config.stages.forEach((stage) => {
+    registry.register(stage);
+    logger.info(`Registered custom stage: ${stage.name}`);
+  });
+
+  return registry;
+}
 
 /**
  * Main pipeline function
  * @param {Object} options - Pipeline options
+ * @param {string} options.from - Stage to start from; earlier stages reuse
+ *   the output of the previous run
+ * @param {boolean} options.resume - Skip stages whose inputs, options and
+ *   outputs are unchanged since they last completed
+ * @param {string} options.config - Path to a pipeline config file
+ * @param {string} options.mongoUri - MongoDB connection string for the
+ *   migration (default: config mongo.uri)
+ * @param {boolean} options.preserveManualEdits - Keep fields edited in
+ *   MongoDB since the last migration
+ * @param {boolean} options.sqlite - Also write the results to a SQLite
+ *   database (default: config sqlite.enabled)
+ * @param {number} options.maxChurn - Share of anime that may change series
+ *   before the run fails (default: config diff.maxChurn)
  * @returns {Promise<Object>} Pipeline results
  */
 async function runPipeline(options = {}) {
   logger.info("Starting anime data processing pipeline");
 
   try {
-    // Ensure required directories exist
-    ensureDirectories();
+    // Resolve which stages run, and in which order
+    const stages = createStageRegistry(options).resolveOrder();
+    const stageNames = stages.map((stage) => stage.name);
+    logger.info(`Stage order: ${stageNames.join(" -> ")}`);
 
-    // Stage 1: Data Conversion (CSV to JSON)
-    monitor.startStage("data-conversion");
-    let conversionResult;
-    try {
-      conversionResult = await dataConversion.convertCsvToJson();
-      if (!conversionResult.success) {
-        logger.error(`Data conversion failed: ${conversionResult.error}`);
-        monitor.endStage(
-          "data-conversion",
-          false,
-          new Error(conversionResult.error)
-        );
-        return { success: false, error: conversionResult.error };
-      }
-      monitor.endStage("data-conversion", true);
-    } catch (error) {
-      logger.error(`Error in data conversion stage: ${error.message}`);
-      monitor.endStage("data-conversion", false, error);
-      return { success: false, error: error.message };
+    if (options.from && !stageNames.includes(options.from)) {
+      const error = `Unknown stage "${
+        options.from
+      }" (expected ${stageNames.join(", ")})`;
+      logger.error(error);
+      return { success: false, error, errorType: "usage" };
     }
 
-    // Stage 2: Series Grouping
-    monitor.startStage("series-grouping");
-    let groupingResult;
-    try {
-      groupingResult = await seriesGrouping.groupAnimeIntoSeries();
-      if (!groupingResult.success) {
-        logger.error(`Series grouping failed: ${groupingResult.error}`);
-        monitor.endStage(
-          "series-grouping",
-          false,
-          new Error(groupingResult.error)
-        );
-        return { success: false, error: groupingResult.error };
+    // Ensure required directories exist, without files left half-written by
+    // an interrupted run
+    ensureDirectories();
+    cleanStaleTempFiles(
+      Object.keys(getConfig().paths).map((dirKey) => getPath(dirKey))
+    ).forEach((filePath) => {
+      logger.warn(`Removed stale temporary file ${filePath}`);
+    });
+
+    // Record progress so a failed run can be resumed
+    const manifestPath = getPath("resultsDir", "runManifest");
+    const previousManifest = loadManifest(manifestPath);
+    const checkpoint = {
+      manifestPath,
+      previous: previousManifest,
+      manifest: createManifest(previousManifest),
+      options,
+      stageNames,
+    };
+    setLogContext({ runId: checkpoint.manifest.runId });
+    saveManifest(manifestPath, checkpoint.manifest);
+
+    // Run each stage, passing it the results of the stages before it
+    const results = {};
+    for (const stage of stages) {
+      const reused = await reuseStage(stage, checkpoint, results);
+      if (reused) {
+        results[stage.name] = reused;
+        continue;
       }
-      monitor.endStage("series-grouping", true);
-    } catch (error) {
-      logger.error(`Error in series grouping stage: ${error.message}`);
-      monitor.endStage("series-grouping", false, error);
-      return { success: false, error: error.message };
-    }
 
-    // Stage 3: Advanced Series Split
-    monitor.startStage("advanced-series-split");
-    let splitResult;
-    try {
-      splitResult = await advancedSeriesSplit.advancedSeriesSplit();
-      if (!splitResult.success) {
-        logger.error(`Advanced series split failed: ${splitResult.error}`);
-        monitor.endStage(
-          "advanced-series-split",
-          false,
-          new Error(splitResult.error)
-        );
-        return { success: false, error: splitResult.error };
+      setLogContext({ stage: stage.name });
+      logger.info(`Running stage ${stage.name}: ${stage.description}`);
+      monitor.startStage(stage.name);
+      await startCheckpoint(stage, checkpoint);
+      try {
+        const result = (await stage.run({
+          options,
+          results,
+          logger: getLogger(stage.name),
+        })) || { success: true };
+
+        if (result.success === false) {
+          logger.error(`Stage ${stage.name} failed: ${result.error}`);
+          monitor.endStage(stage.name, false, new Error(result.error));
+          failCheckpoint(stage, checkpoint, result.error);
+          return {
+            success: false,
+            error: result.error,
+            errorType: result.errorType,
+            stage: stage.name,
+          };
+        }
+
+        monitor.endStage(stage.name, true);
+        await completeCheckpoint(stage, checkpoint, result);
+        results[stage.name] = result;
+      } catch (error) {
+        logger.error(`Error in ${stage.name} stage: ${error.message}`);
+        monitor.endStage(stage.name, false, error);
+        failCheckpoint(stage, checkpoint, error.message);
+        return {
+          success: false,
+          error: error.message,
+          errorType: errorTypeOf(error),
+          stage: stage.name,
+        };
+      } finally {
+        setLogContext({ stage: null });
       }
-      monitor.endStage("advanced-series-split", true);
-    } catch (error) {
-      logger.error(`Error in advanced series split stage: ${error.message}`);
-      monitor.endStage("advanced-series-split", false, error);
-      return { success: false, error: error.message };
     }
 
     // Complete monitoring and generate report
     const metrics = monitor.completeMonitoring();
 
+    checkpoint.manifest.status = STAGE_STATUS.COMPLETED;
+    checkpoint.manifest.finishedAt = new Date().toISOString();
+    saveManifest(manifestPath, checkpoint.manifest);
+
+    const conversionResult = results["data-conversion"];
+    const groupingResult = results["series-grouping"];
+    const splitResult = results["advanced-series-split"];
+    const migrationResult = results["mongo-migration"];
+    const sqliteResult = results["sqlite-export"];
+    const diffResult = results["series-diff"];
+
+    // A reused grouping changed nothing; keep the summary of the run that did
+    if (!groupingResult.reused) {
+      const changeSummaryPath = writeChangeSummary(
+        conversionResult,
+        groupingResult,
+        splitResult
+      );
+      logger.info(`Saved change summary to ${changeSummaryPath}`);
+    }
+
     // Generate summary
     const summary = {
       success: true,
+      stages: stageNames,
       processedFiles: conversionResult.processed,
       seriesCreated: groupingResult.seriesCount,
-      advancedSplitGroups: {
-        main: splitResult.splitResults.main,
-        character: splitResult.splitResults.character,
-        adaptation: splitResult.splitResults.adaptation,
-        spinOff: splitResult.splitResults.spinOff,
-        other: splitResult.splitResults.other,
-        parent: splitResult.splitResults.parent,
+      validation: groupingResult.validation,
+      changes: {
+        incremental: groupingResult.changes.incremental,
+        animeAdded: groupingResult.changes.anime.added.length,
+        animeModified: groupingResult.changes.anime.modified.length,
+        animeRemoved: groupingResult.changes.anime.removed.length,
+        seriesRecomputed: groupingResult.changes.series.recomputed,
+        seriesReused: groupingResult.changes.series.reused,
       },
+      advancedSplitGroups: splitResult.splitResults,
+      unassignedAnime: splitResult.unassignedAnime,
+      watchOrderIssues: splitResult.watchOrderIssues,
+      curationOverrides: {
+        grouping: groupingResult.overrides,
+        split: splitResult.overrides,
+      },
+      seriesDiff: diffResult.baseline
+        ? "baseline"
+        : { churn: diffResult.churn, ...diffResult.changes },
+      mongoMigration: migrationResult.skipped
+        ? "skipped"
+        : migrationResult.counts,
+      sqliteDatabase: sqliteResult.skipped ? "skipped" : sqliteResult.path,
       executionTime: `${Math.round(metrics.totalDuration / 1000)}s`,
     };
 
+    if (getConfig().snapshots.enabled) {
+      summary.snapshot = await publishSnapshot(checkpoint, summary);
+    }
+
     logger.info("Pipeline completed successfully");
     logger.object("Summary", summary);
 
     return {
       success: true,
       summary,
+      results,
     };
   } catch (error) {
     logger.error(`Pipeline execution failed: ${error.message}`);
@@ -134,20 +259,270 @@ async function runPipeline(options = {}) {
     return {
       success: false,
       error: error.message,
+      errorType: errorTypeOf(error),
     };
   }
 }
 
+/**
+ * Get the files a stage reads and writes, and the options that affect its
+ * output
+ * @param {object} stage - Stage definition
+ * @param {object} options - Pipeline options
+ * @returns {object} Stage inputs, outputs and settings
+ */
+function getStageFiles(stage, options) {
+  return {
+    inputs: stage.inputs(options),
+    outputs: stage.outputs(options),
+    settings: stage.settings(options),
+  };
+}
+
+/**
+ * Decide whether a stage can be skipped, reusing its result from the
+ * previous run
+ * @param {object} stage - Stage definition
+ * @param {object} checkpoint - Manifests and pipeline options of this run
+ * @param {object} results - Results of the stages handled so far
+ * @returns {Promise<object|null>} Previous stage result, or null to run it
+ */
+async function reuseStage(stage, checkpoint, results) {
+  const { options, previous, manifest, manifestPath, stageNames } = checkpoint;
+  const record = previous && previous.stages[stage.name];
+  const files = getStageFiles(stage, options);
+  let reason;
+
+  if (options.from) {
+    if (stageNames.indexOf(stage.name) >= stageNames.indexOf(options.from)) {
+      return null;
+    }
+
+    const outputs = await fingerprintFiles(files.outputs);
+    if (
+      !record ||
+      record.status !== STAGE_STATUS.COMPLETED ||
+      Object.values(outputs).includes(null)
+    ) {
+      throw new Error(
+        `Cannot start from ${options.from}: ${stage.name} has no completed output to reuse`
+      );
+    }
+    reason = `starting from ${options.from}`;
+  } else if (
+    options.resume &&
+    files.outputs.length > 0 &&
+    stage.dependsOn.every((dependency) => results[dependency].reused)
+  ) {
+    // Stages without declared outputs cannot be checked, and stages after a
+    // rerun dependency may see different results, so both always run
+    const current = {
+      inputs: await fingerprintFiles(files.inputs),
+      outputs: await fingerprintFiles(files.outputs),
+      settings: fingerprintSettings(files.settings),
+    };
+    if (!isStageReusable(record, current)) return null;
+    reason = "inputs and outputs unchanged since it completed";
+  } else {
+    return null;
+  }
+
+  monitor.skipStage(stage.name, reason);
+  manifest.stages[stage.name] = {
+    ...record,
+    reusedAt: new Date().toISOString(),
+  };
+  saveManifest(manifestPath, manifest);
+
+  return { ...record.result, reused: true };
+}
+
+/**
+ * Record in the manifest that a stage started, with its inputs
+ * @param {object} stage - Stage definition
+ * @param {object} checkpoint - Manifests and pipeline options of this run
+ */
+async function startCheckpoint(stage, checkpoint) {
+  const files = getStageFiles(stage, checkpoint.options);
+  checkpoint.manifest.stages[stage.name] = {
+    status: STAGE_STATUS.RUNNING,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    settings: fingerprintSettings(files.settings),
+    inputs: await fingerprintFiles(files.inputs),
+    outputs: {},
+    result: null,
+    error: null,
+  };
+  saveManifest(checkpoint.manifestPath, checkpoint.manifest);
+}
+
+/**
+ * Record in the manifest that a stage completed, with its outputs and result
+ * @param {object} stage - Stage definition
+ * @param {object} checkpoint - Manifests and pipeline options of this run
+ * @param {object} result - Stage result
+ */
+async function completeCheckpoint(stage, checkpoint, result) {
+  const files = getStageFiles(stage, checkpoint.options);
+  const record = checkpoint.manifest.stages[stage.name];
+  record.status = STAGE_STATUS.COMPLETED;
+  record.finishedAt = new Date().toISOString();
+  record.outputs = await fingerprintFiles(files.outputs);
+  // In-memory stage output is only passed on within the run
+  const { output, ...recordedResult } = result;
+  record.result = recordedResult;
+  saveManifest(checkpoint.manifestPath, checkpoint.manifest);
+}
+
+/**
+ * Record in the manifest that a stage, and with it the run, failed
+ * @param {object} stage - Stage definition
+ * @param {object} checkpoint - Manifests and pipeline options of this run
+ * @param {string} error - Error message
+ */
+function failCheckpoint(stage, checkpoint, error) {
+  const { manifest } = checkpoint;
+  Object.assign(manifest.stages[stage.name], {
+    status: STAGE_STATUS.FAILED,
+    finishedAt: new Date().toISOString(),
+    error,
+  });
+  manifest.status = STAGE_STATUS.FAILED;
+  manifest.failedStage = stage.name;
+  manifest.finishedAt = new Date().toISOString();
+  saveManifest(checkpoint.manifestPath, manifest);
+}
+
+/**
+ * Write what changed in this run to the change summary
+ * @param {object} conversionResult - Result of the data conversion stage
+ * @param {object} groupingResult - Result of the series grouping stage
+ * @param {object} splitResult - Result of the advanced series split stage
+ * @returns {string} Path of the change summary
+ */
+function writeChangeSummary(conversionResult, groupingResult, splitResult) {
+  const summaryPath = getPath("resultsDir", "changeSummary");
+  const { anime, recomputedAnime, series, incremental } =
+    groupingResult.changes;
+
+  const changeSummary = {
+    generatedAt: new Date().toISOString(),
+    incremental,
+    files: {
+      converted: conversionResult.results
+        .filter((result) => result.success && !result.skipped)
+        .map((result) => result.file),
+      unchanged: conversionResult.results
+        .filter((result) => result.skipped)
+        .map((result) => result.file),
+    },
+    anime: {
+      added: anime.added,
+      modified: anime.modified,
+      removed: anime.removed,
+      unchanged: anime.unchanged,
+      regrouped: recomputedAnime,
+    },
+    series: {
+      created: series.created,
+      removed: series.removed,
+      recomputed: series.recomputed,
+      reused: series.reused,
+    },
+    split: {
+      recomputed: splitResult.changes.recomputed,
+      reused: splitResult.changes.reused,
+    },
+  };
+
+  changeSummary.generatedAt = changedAt(
+    readPreviousJson(summaryPath),
+    changeSummary,
+    "generatedAt"
+  );
+  writeFileAtomic(summaryPath, JSON.stringify(changeSummary, null, 2) + "\n");
+  return summaryPath;
+}
+
+/**
+ * Files published in snapshots: every output of the run that later runs or
+ * consumers read, so a rollback restores a consistent set. The run manifest
+ * is left out; it describes the run in progress.
+ */
+const SNAPSHOT_FILES = [
+  ["resultsDir", "animeData"],
+  ["resultsDir", "validationReport"],
+  ["resultsDir", "quarantine"],
+  ["resultsDir", "mainSeries"],
+  ["resultsDir", "edgeCases"],
+  ["resultsDir", "updatedAnimeData"],
+  ["resultsDir", "splitAnimeData"],
+  ["resultsDir", "changeSummary"],
+  ["resultsDir", "seriesDiff"],
+  ["dbDir", "seriesDb"],
+  ["dbDir", "advancedSplit"],
+  ["dbDir", "seriesSnapshot"],
+  ["dbDir", "seriesRegistry"],
+  ["dbDir", "pipelineState"],
+];
+
+/**
+ * Get the files published in snapshots, whether or not they exist
+ * @returns {Array<object>} Files with their directory setting (dirKey), the
+ *   directory (baseDir) and the file path
+ */
+function getSnapshotFiles() {
+  return SNAPSHOT_FILES.map(([dirKey, fileKey]) => ({
+    dirKey,
+    baseDir: getPath(dirKey),
+    filePath: getPath(dirKey, fileKey),
+  }));
+}
+
+/**
+ * Publish the outputs of the run as a snapshot, and remove the snapshots the
+ * retention policy no longer keeps
+ * @param {object} checkpoint - Manifests and pipeline options of this run
+ * @param {object} summary - Pipeline summary, recorded in the snapshot
+ * @returns {Promise<string>} Run ID of the current snapshot
+ */
+async function publishSnapshot(checkpoint, summary) {
+  const config = getConfig();
+  const store = new SnapshotStore(getPath("snapshotsDir"), config.snapshots);
+
+  const files = getSnapshotFiles().filter(
+    ({ filePath }) => fs.existsSync(filePath) && fs.statSync(filePath).isFile()
+  );
+
+  const { runId } = checkpoint.manifest;
+  const { manifest, published } = await store.publish(runId, files, {
+    stages: checkpoint.stageNames,
+    summary,
+  });
+  if (published) {
+    logger.info(
+      `Published ${
+        files.length
+      } output files as snapshot ${runId} in ${store.pathOf(runId)}`
+    );
+  } else {
+    logger.info(`Outputs unchanged since snapshot ${manifest.runId}`);
+  }
+
+  store.prune().forEach((removedId) => {
+    logger.info(`Removed snapshot ${removedId} (retention policy)`);
+  });
+  return manifest.runId;
+}
+
 /**
  * Ensure required directories exist
  */
 function ensureDirectories() {
-  const requiredDirs = [
-    path.join(process.cwd(), "data"),
-    path.join(process.cwd(), "results"),
-    path.join(process.cwd(), "db"),
-    path.join(process.cwd(), "logs"),
-  ];
+  const requiredDirs = Object.keys(getConfig().paths).map((dirKey) =>
+    getPath(dirKey)
+  );
 
   requiredDirs.forEach((dir) => {
     if (!fs.existsSync(dir)) {
@@ -162,13 +537,13 @@ if (require.main === module) {
   runPipeline()
     .then((result) => {
       if (!result.success) {
-        process.exit(1);
+        flushLogs().then(() => process.exit(1));
       }
     })
     .catch((error) => {
       logger.error(`Unhandled error in pipeline: ${error.message}`);
-      process.exit(1);
+      flushLogs().then(() => process.exit(1));
     });
 }
 
-module.exports = { runPipeline };
+module.exports = { createStageRegistry, getSnapshotFiles, runPipeline };
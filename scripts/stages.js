@@ -0,0 +1,230 @@
+/**
+ * Built-in pipeline stages
+ *
+ * Each definition tells the orchestrator what the stage depends on, which
+ * files it reads and writes, and how to run it. See utils/stage-registry.js
+ * for the definition format.
+ */
+
+const path = require("path");
+const fs = require("fs");
+
+const { getConfig, getPath } = require("./utils/config");
+const { FORMAT_EXTENSIONS } = require("./utils/json-stream");
+const dataConversion = require("./1-data-conversion");
+const seriesGrouping = require("./2-series-grouping");
+const advancedSeriesSplit = require("./3-advanced-series-split");
+const mongoMigration = require("./4-mongo-migration");
+const sqliteExport = require("./5-sqlite-export");
+const seriesDiff = require("./6-series-diff");
+
+/**
+ * Get the conversion formats for the given options
+ * @param {object} options - Pipeline options
+ * @returns {Array<string>} Output formats
+ */
+function getFormats(options) {
+  return options.formats || getConfig().conversion.formats;
+}
+
+/**
+ * Check whether the SQLite export is selected
+ * @param {object} options - Pipeline options
+ * @returns {boolean} True if the export runs
+ */
+function isSqliteEnabled(options) {
+  return options.sqlite !== undefined
+    ? Boolean(options.sqlite)
+    : getConfig().sqlite.enabled;
+}
+
+/**
+ * Get the churn threshold for the given options
+ * @param {object} options - Pipeline options
+ * @returns {number|null} Share of anime that may change, or null for no limit
+ */
+function getMaxChurn(options) {
+  return options.maxChurn !== undefined
+    ? options.maxChurn
+    : getConfig().diff.maxChurn;
+}
+
+/**
+ * Read the curation overrides file. It is a setting rather than an input, as
+ * a stage with a missing input always runs.
+ * @returns {string|null} File content, or null without overrides
+ */
+function readOverridesFile() {
+  const overridesPath = getPath("dbDir", "overrides");
+  return fs.existsSync(overridesPath)
+    ? fs.readFileSync(overridesPath, "utf8")
+    : null;
+}
+
+/**
+ * List the CSV files in the data directory
+ * @returns {Array<string>} CSV file names
+ */
+function listCsvFiles() {
+  const dataDir = getPath("dataDir");
+  return fs.existsSync(dataDir)
+    ? fs.readdirSync(dataDir).filter((file) => file.endsWith(".csv"))
+    : [];
+}
+
+const dataConversionStage = {
+  name: "data-conversion",
+  description: "Convert CSV data to JSON",
+  dependsOn: [],
+  inputs: () =>
+    listCsvFiles().map((file) => path.join(getPath("dataDir"), file)),
+  outputs: (options) => {
+    const resultsDir = getPath("resultsDir");
+    return listCsvFiles().flatMap((file) =>
+      getFormats(options).map((format) =>
+        path.join(resultsDir, file.replace(/\.csv$/, FORMAT_EXTENSIONS[format]))
+      )
+    );
+  },
+  settings: (options) => ({ formats: getFormats(options) }),
+  run: ({ options }) =>
+    dataConversion.convertCsvToJson({
+      formats: options.formats,
+      incremental: options.incremental,
+    }),
+};
+
+const seriesGroupingStage = {
+  name: "series-grouping",
+  description: "Group anime into series based on relations",
+  dependsOn: ["data-conversion"],
+  inputs: () => [getPath("resultsDir", "animeData")],
+  outputs: () => [
+    getPath("resultsDir", "mainSeries"),
+    getPath("resultsDir", "edgeCases"),
+    getPath("resultsDir", "updatedAnimeData"),
+    getPath("resultsDir", "validationReport"),
+    getPath("dbDir", "seriesDb"),
+  ],
+  settings: (options) => ({
+    validationPolicy:
+      options.validationPolicy || getConfig().grouping.validationPolicy,
+    conflictResolution:
+      options.conflictResolution || getConfig().grouping.conflictResolution,
+    chronologicalRelations: getConfig().relations.chronological,
+    naming: getConfig().naming,
+    overrides: readOverridesFile(),
+  }),
+  run: ({ options }) =>
+    seriesGrouping.groupAnimeIntoSeries({
+      validationPolicy: options.validationPolicy,
+      conflictResolution: options.conflictResolution,
+      incremental: options.incremental,
+    }),
+};
+
+const advancedSeriesSplitStage = {
+  name: "advanced-series-split",
+  description: "Split series based on relation types",
+  dependsOn: ["series-grouping"],
+  inputs: () => [
+    getPath("dbDir", "seriesDb"),
+    getPath("resultsDir", "updatedAnimeData"),
+  ],
+  outputs: () => [
+    getPath("dbDir", "advancedSplit"),
+    getPath("resultsDir", "splitAnimeData"),
+  ],
+  settings: () => ({
+    taxonomy: getConfig().relations.taxonomy,
+    naming: getConfig().naming,
+    overrides: readOverridesFile(),
+  }),
+  run: ({ options }) =>
+    advancedSeriesSplit.advancedSeriesSplit({
+      incremental: options.incremental,
+    }),
+};
+
+// Runs before the migration and export, so a run with too much churn fails
+// before publishing its results
+const seriesDiffStage = {
+  name: "series-diff",
+  description: "Compare series membership with the previous run",
+  dependsOn: ["series-grouping", "advanced-series-split"],
+  inputs: () => [
+    getPath("resultsDir", "mainSeries"),
+    getPath("dbDir", "advancedSplit"),
+  ],
+  outputs: () => [
+    getPath("resultsDir", "seriesDiff"),
+    getPath("dbDir", "seriesSnapshot"),
+  ],
+  settings: (options) => ({ maxChurn: getMaxChurn(options) }),
+  run: ({ options, results }) =>
+    seriesDiff.diffSeries({
+      grouping: results["series-grouping"].output,
+      split: results["advanced-series-split"].output,
+      maxChurn: getMaxChurn(options),
+    }),
+};
+
+// Declares no outputs, as the database cannot be fingerprinted, so it always
+// runs; unchanged documents are left untouched
+const mongoMigrationStage = {
+  name: "mongo-migration",
+  description: "Load anime and series data into MongoDB",
+  dependsOn: ["series-diff"],
+  inputs: () => [
+    getPath("resultsDir", "splitAnimeData"),
+    getPath("dbDir", "advancedSplit"),
+  ],
+  run: ({ options }) =>
+    mongoMigration.migrateToMongo({
+      uri: options.mongoUri,
+      preserveManualEdits: options.preserveManualEdits,
+    }),
+};
+
+const sqliteExportStage = {
+  name: "sqlite-export",
+  description: "Write the results to a SQLite database",
+  dependsOn: ["series-grouping", "advanced-series-split", "series-diff"],
+  inputs: (options) =>
+    isSqliteEnabled(options)
+      ? [
+          getPath("resultsDir", "mainSeries"),
+          getPath("resultsDir", "edgeCases"),
+          getPath("dbDir", "advancedSplit"),
+          getPath("resultsDir", "splitAnimeData"),
+        ]
+      : [],
+  outputs: (options) =>
+    isSqliteEnabled(options) ? [getPath("resultsDir", "sqliteDb")] : [],
+  settings: (options) => ({ enabled: isSqliteEnabled(options) }),
+  run: async ({ options, results }) => {
+    if (!isSqliteEnabled(options)) {
+      return { success: true, skipped: true };
+    }
+    // Stages reused from a previous run have no in-memory output, in which
+    // case the export reads their files
+    return sqliteExport.exportToSqlite({
+      grouping: results["series-grouping"].output,
+      split: results["advanced-series-split"].output,
+    });
+  },
+};
+
+/**
+ * Built-in stages in their default order
+ */
+const BUILT_IN_STAGES = [
+  dataConversionStage,
+  seriesGroupingStage,
+  advancedSeriesSplitStage,
+  seriesDiffStage,
+  mongoMigrationStage,
+  sqliteExportStage,
+];
+
+module.exports = { BUILT_IN_STAGES };
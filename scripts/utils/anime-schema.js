@@ -0,0 +1,77 @@
+/**
+ * Declarative schema for converted anime records
+ *
+ * Field names are the camelCase names produced by the data conversion stage.
+ * Each field definition supports:
+ * - type: 'id' | 'string' | 'number' | 'boolean' | 'date' | 'array' | 'object'
+ * - required: the field must be present and not null
+ * - nullable: null is accepted even when the field is required
+ * - enum: list of allowed values
+ * - items: schema for each element of an array field
+ * - severity: 'error' (default) or 'warning' for type and enum violations
+ */
+
+/**
+ * AniList relation types accepted in `relations[].relationType`
+ */
+const RELATION_TYPES = [
+  "ADAPTATION",
+  "PREQUEL",
+  "SEQUEL",
+  "PARENT",
+  "SIDE_STORY",
+  "CHARACTER",
+  "SUMMARY",
+  "ALTERNATIVE",
+  "SPIN_OFF",
+  "OTHER",
+  "SOURCE",
+  "COMPILATION",
+  "CONTAINS",
+];
+
+/**
+ * AniList IDs are positive integers, stored as strings after conversion
+ */
+const ID_PATTERN = /^[1-9]\d*$/;
+
+const ANIME_SCHEMA = {
+  version: 1,
+  idPattern: ID_PATTERN,
+  // At least one field of each group must hold a value
+  requireOneOf: [["title", "titleRomaji", "titleEnglish"]],
+  fields: {
+    id: { type: "id", required: true },
+    title: { type: "string" },
+    titleRomaji: { type: "string" },
+    titleEnglish: { type: "string", severity: "warning" },
+    titleNative: { type: "string", severity: "warning" },
+    relations: {
+      type: "array",
+      required: true,
+      nullable: true,
+      items: {
+        type: "object",
+        fields: {
+          targetAnimeId: { type: "id", required: true },
+          relationType: {
+            type: "string",
+            required: true,
+            enum: RELATION_TYPES,
+          },
+        },
+      },
+    },
+    format: { type: "string", severity: "warning" },
+    episodes: { type: "number", severity: "warning" },
+    duration: { type: "number", severity: "warning" },
+    startDate: { type: "date", severity: "warning" },
+    endDate: { type: "date", severity: "warning" },
+    genres: { type: "array", severity: "warning" },
+    studios: { type: "array", severity: "warning" },
+    averageScore: { type: "number", severity: "warning" },
+    popularity: { type: "number", severity: "warning" },
+  },
+};
+
+module.exports = { ANIME_SCHEMA, RELATION_TYPES, ID_PATTERN };
@@ -0,0 +1,231 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Crash-safe output writing
+ *
+ * Files are written to a temporary file next to the target, flushed to disk
+ * with fsync and renamed over the target, so a crash leaves either the old or
+ * the new file, never a truncated one. An OutputTransaction stages all the
+ * outputs of a stage this way and renames them into place together once the
+ * stage has succeeded; a failed stage leaves the previous outputs untouched.
+ *
+ * Temporary files are named `.<file>.<pid>.<n>.tmp`. Those left behind by an
+ * interrupted run are removed by cleanStaleTempFiles() once they have not
+ * been written to for a while. Their age is used rather than whether their
+ * process still runs, since process IDs are reused.
+ */
+
+const TEMP_FILE_PATTERN = /^\..+\.(\d+)\.\d+\.tmp$/;
+
+// Temporary files not written to for this long are left over from an
+// interrupted run; a running stage writes or renames its files sooner
+const STALE_TEMP_FILE_AGE = 60 * 60 * 1000;
+
+let tempCounter = 0;
+
+/**
+ * Get a new temporary path next to a file
+ * @param {string} filePath - Target file
+ * @returns {string} Temporary file path
+ */
+function tempPathFor(filePath) {
+  tempCounter++;
+  return path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.${process.pid}.${tempCounter}.tmp`
+  );
+}
+
+/**
+ * Flush a file to disk
+ * @param {string} filePath - File to flush
+ */
+function fsyncFile(filePath) {
+  const fd = fs.openSync(filePath, "r+");
+  try {
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Flush a directory entry to disk, so a rename in it survives a crash. Not
+ * every platform can open directories; there the rename is left to the OS.
+ * @param {string} dirPath - Directory to flush
+ */
+function fsyncDirectory(dirPath) {
+  let fd;
+  try {
+    fd = fs.openSync(dirPath, "r");
+    fs.fsyncSync(fd);
+  } catch (error) {
+    if (!["EISDIR", "EPERM", "EINVAL", "EBADF"].includes(error.code)) {
+      throw error;
+    }
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+/**
+ * Write a file atomically
+ * @param {string} filePath - Target file
+ * @param {string|Buffer} content - File content
+ */
+function writeFileAtomic(filePath, content) {
+  const tempPath = tempPathFor(filePath);
+  try {
+    fs.writeFileSync(tempPath, content);
+    fsyncFile(tempPath);
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+  fsyncDirectory(path.dirname(filePath));
+}
+
+/**
+ * Copy a file atomically
+ * @param {string} source - Source file
+ * @param {string} target - Target file
+ */
+function copyFileAtomic(source, target) {
+  const tempPath = tempPathFor(target);
+  try {
+    fs.copyFileSync(source, tempPath);
+    fsyncFile(tempPath);
+    fs.renameSync(tempPath, target);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+  fsyncDirectory(path.dirname(target));
+}
+
+class OutputTransaction {
+  constructor() {
+    // Temporary path of each staged target
+    this.pending = new Map();
+  }
+
+  /**
+   * Reserve a temporary path for an output written by other means, e.g. a
+   * stream or a database driver
+   * @param {string} filePath - Target file
+   * @returns {string} Temporary path to write the output to
+   */
+  tempPathFor(filePath) {
+    this.discard(filePath);
+    const tempPath = tempPathFor(filePath);
+    this.pending.set(filePath, tempPath);
+    return tempPath;
+  }
+
+  /**
+   * Stage a file
+   * @param {string} filePath - Target file
+   * @param {string|Buffer} content - File content
+   */
+  writeFile(filePath, content) {
+    fs.writeFileSync(this.tempPathFor(filePath), content);
+  }
+
+  /**
+   * Stage a JSON file, formatted like the other pipeline outputs
+   * @param {string} filePath - Target file
+   * @param {*} value - Value to write
+   */
+  writeJson(filePath, value) {
+    this.writeFile(filePath, JSON.stringify(value, null, 2) + "\n");
+  }
+
+  /**
+   * Drop a staged file, leaving its target as it is
+   * @param {string} filePath - Target file
+   */
+  discard(filePath) {
+    const tempPath = this.pending.get(filePath);
+    if (tempPath) {
+      fs.rmSync(tempPath, { force: true });
+      this.pending.delete(filePath);
+    }
+  }
+
+  /**
+   * Flush the staged files to disk and rename them into place
+   * @returns {Array<string>} Committed target files
+   */
+  commit() {
+    const targets = Array.from(this.pending.keys());
+    targets.forEach((filePath) => fsyncFile(this.pending.get(filePath)));
+    targets.forEach((filePath) => {
+      fs.renameSync(this.pending.get(filePath), filePath);
+      this.pending.delete(filePath);
+    });
+    new Set(targets.map((filePath) => path.dirname(filePath))).forEach(
+      fsyncDirectory
+    );
+    return targets;
+  }
+
+  /**
+   * Remove the staged files, leaving every target as it is
+   */
+  abort() {
+    Array.from(this.pending.keys()).forEach((filePath) =>
+      this.discard(filePath)
+    );
+  }
+}
+
+/**
+ * Remove the temporary files left in some directories by interrupted runs:
+ * those of other processes that have not been modified for a while
+ * @param {Array<string>} dirs - Directories to clean
+ * @param {object} options - Cleanup options
+ * @param {number} options.maxAge - Milliseconds since the last modification
+ *   after which a file is stale (default: one hour)
+ * @param {number} options.now - Current time in milliseconds
+ * @returns {Array<string>} Removed files
+ */
+function cleanStaleTempFiles(dirs, options = {}) {
+  const maxAge =
+    options.maxAge !== undefined ? options.maxAge : STALE_TEMP_FILE_AGE;
+  const now = options.now !== undefined ? options.now : Date.now();
+
+  const removed = [];
+  dirs.forEach((dir) => {
+    if (!fs.existsSync(dir)) return;
+    fs.readdirSync(dir).forEach((name) => {
+      const match = TEMP_FILE_PATTERN.exec(name);
+      if (!match || Number(match[1]) === process.pid) return;
+
+      const filePath = path.join(dir, name);
+      let stats;
+      try {
+        stats = fs.statSync(filePath);
+      } catch (error) {
+        // Renamed or removed by its process in the meantime
+        if (error.code === "ENOENT") return;
+        throw error;
+      }
+      if (!stats.isFile() || now - stats.mtimeMs < maxAge) return;
+
+      fs.rmSync(filePath, { force: true });
+      removed.push(filePath);
+    });
+  });
+  return removed;
+}
+
+module.exports = {
+  tempPathFor,
+  writeFileAtomic,
+  copyFileAtomic,
+  OutputTransaction,
+  STALE_TEMP_FILE_AGE,
+  cleanStaleTempFiles,
+};
@@ -0,0 +1,188 @@
+const crypto = require("crypto");
+const fs = require("fs");
+
+const { writeFileAtomic } = require("./atomic-writer");
+
+/**
+ * Change detection for incremental pipeline runs
+ *
+ * Every stage records fingerprints of what it processed in a shared state
+ * file. On the next incremental run, anything whose fingerprint is unchanged
+ * is taken over from the previous outputs instead of being recomputed.
+ */
+
+const STATE_VERSION = 1;
+
+/**
+ * Serialize a value to JSON with object keys in sorted order, so equal
+ * records always produce the same string
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Fingerprint a JSON value
+ * @param {*} value - Value to fingerprint
+ * @returns {string} SHA-1 hex digest of the canonical JSON
+ */
+function fingerprint(value) {
+  return crypto.createHash("sha1").update(canonicalJson(value)).digest("hex");
+}
+
+/**
+ * Fingerprint the contents of a file without loading it into memory
+ * @param {string} filePath - File to fingerprint
+ * @returns {Promise<string>} SHA-1 hex digest of the file
+ */
+function fingerprintFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha1");
+    fs.createReadStream(filePath)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("error", reject)
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+}
+
+/**
+ * Fingerprint every record of a dataset by ID
+ * @param {Array} records - Records with an id field
+ * @returns {object} Map of record ID to fingerprint
+ */
+function fingerprintRecords(records) {
+  const fingerprints = {};
+  records.forEach((record) => {
+    fingerprints[String(record.id)] = fingerprint(record);
+  });
+  return fingerprints;
+}
+
+/**
+ * Compare two fingerprint maps
+ * @param {object} previous - Fingerprints from the previous run
+ * @param {object} current - Fingerprints from this run
+ * @returns {object} Added, modified and removed keys, and the unchanged count
+ */
+function diffFingerprints(previous, current) {
+  const added = [];
+  const modified = [];
+  const removed = [];
+  let unchanged = 0;
+
+  Object.keys(current).forEach((key) => {
+    if (!(key in previous)) {
+      added.push(key);
+    } else if (previous[key] !== current[key]) {
+      modified.push(key);
+    } else {
+      unchanged++;
+    }
+  });
+
+  Object.keys(previous).forEach((key) => {
+    if (!(key in current)) removed.push(key);
+  });
+
+  return { added, modified, removed, unchanged };
+}
+
+/**
+ * Get the time a value last changed, keeping the previous time while the
+ * value stays the same
+ * @param {object|null} previous - Previous value, with its time
+ * @param {object} value - New value
+ * @param {string} key - Field holding the time
+ * @returns {string} Previous time if the value is unchanged, otherwise now
+ */
+function changedAt(previous, value, key) {
+  const withoutTime = (object) => {
+    const copy = { ...object };
+    delete copy[key];
+    return copy;
+  };
+
+  if (
+    previous &&
+    previous[key] &&
+    fingerprint(withoutTime(previous)) === fingerprint(withoutTime(value))
+  ) {
+    return previous[key];
+  }
+  return new Date().toISOString();
+}
+
+/**
+ * Read the JSON file a previous run wrote
+ * @param {string} filePath - File path
+ * @returns {*} Parsed content, or null if there is none or it cannot be read
+ */
+function readPreviousJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Load the pipeline state, starting empty if there is none
+ * @param {string} filePath - State file path
+ * @returns {object} Pipeline state
+ */
+function loadState(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return { version: STATE_VERSION };
+  }
+
+  const state = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  // State written by another format version cannot be compared against
+  return state.version === STATE_VERSION ? state : { version: STATE_VERSION };
+}
+
+/**
+ * Replace one stage's section of the pipeline state. The section keeps its
+ * updatedAt time while its contents stay the same, so an unchanged run saves
+ * an identical state.
+ * @param {string} filePath - State file path
+ * @param {string} section - Section name ('conversion', 'grouping', 'split')
+ * @param {object} value - New section contents
+ * @param {OutputTransaction} outputs - Output transaction to stage the state
+ *   in, so it is only saved with the outputs it describes (default: save it
+ *   right away)
+ */
+function updateState(filePath, section, value, outputs) {
+  const state = loadState(filePath);
+  state[section] = {
+    ...value,
+    updatedAt: changedAt(state[section], value, "updatedAt"),
+  };
+  if (outputs) {
+    outputs.writeJson(filePath, state);
+  } else {
+    writeFileAtomic(filePath, JSON.stringify(state, null, 2) + "\n");
+  }
+}
+
+module.exports = {
+  changedAt,
+  fingerprint,
+  fingerprintFile,
+  fingerprintRecords,
+  diffFingerprints,
+  loadState,
+  readPreviousJson,
+  updateState,
+};
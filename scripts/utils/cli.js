@@ -4,44 +4,213 @@
  * Command-line interface for the anime data pipeline
  */
 
-const { program } = require("commander");
+const { program, InvalidArgumentError, Option } = require("commander");
 const path = require("path");
 const fs = require("fs");
 
 // Import pipeline modules
-const { runPipeline } = require("../pipeline");
+const { getSnapshotFiles, runPipeline } = require("../pipeline");
 const dataConversion = require("../1-data-conversion");
 const seriesGrouping = require("../2-series-grouping");
 const advancedSeriesSplit = require("../3-advanced-series-split");
+const mongoMigration = require("../4-mongo-migration");
+const seriesDiff = require("../6-series-diff");
 
 // Import utility
-const logger = require("./logger").getLogger("cli");
+const { getLogger, setConsoleOutput, flushLogs } = require("./logger");
+const logger = getLogger("cli");
+const { loadConfig, getConfig, getPath } = require("./config");
+const { VALIDATION_POLICIES, validateAnimeData } = require("./validation");
+const {
+  GRAPH_FORMAT_EXTENSIONS,
+  exportRelationGraph,
+} = require("./graph-export");
+const { SnapshotStore } = require("./snapshots");
+const { loadManifest } = require("./run-manifest");
+const { EXIT_CODES, errorTypeOf, exitCodeOf } = require("./exit-codes");
+
+/**
+ * Resolve the conversion output formats from command options
+ * @param {object} options - Command options
+ * @returns {Array<string>|undefined} Output formats, or undefined for the
+ *   configured ones
+ */
+function getOutputFormats(options) {
+  return options.ndjson ? ["json", "ndjson"] : undefined;
+}
+
+/**
+ * Parse a share option such as --max-churn
+ * @param {string} value - Option value
+ * @returns {number} Share between 0 and 1
+ */
+function parseShare(value) {
+  const share = Number(value);
+  if (value === "" || isNaN(share) || share < 0 || share > 1) {
+    throw new InvalidArgumentError("Expected a share from 0 to 1.");
+  }
+  return share;
+}
+
+/**
+ * Exit with the exit code of a command result once the log files are
+ * written, printing the result on stdout first with --json
+ * @param {object} result - Command result
+ * @param {object} options - Command options
+ * @returns {Promise<void>}
+ */
+async function finish(result, options = {}) {
+  const exitCode = exitCodeOf(result);
+  await flushLogs();
+  if (!options.json) process.exit(exitCode);
+
+  process.stdout.write(JSON.stringify(result, null, 2) + "\n", () =>
+    process.exit(exitCode)
+  );
+}
+
+/**
+ * Turn an error thrown by a command into a failed result
+ * @param {Error} error - Thrown error
+ * @returns {object} Failed result
+ */
+function failure(error) {
+  return {
+    success: false,
+    error: error.message,
+    errorType: errorTypeOf(error),
+  };
+}
+
+/**
+ * Build the config overrides from the global command options
+ * @param {object} options - Global command options
+ * @returns {object} Config layer
+ */
+function getConfigOverrides(options) {
+  return {
+    paths: {
+      dataDir: options.dataDir,
+      resultsDir: options.resultsDir,
+      dbDir: options.dbDir,
+      logsDir: options.logsDir,
+      snapshotsDir: options.snapshotsDir,
+    },
+    // Verbose output logs the debug messages of every component
+    logging: options.verbose
+      ? { level: "debug", components: null, format: options.logFormat }
+      : { level: options.logLevel, format: options.logFormat },
+  };
+}
 
 // Setup CLI program
 program
   .name("anime-pipeline")
   .description("Anime Data Processing Pipeline")
-  .version("1.0.0");
+  .version("1.0.0")
+  .option(
+    "-c, --config <path>",
+    "Pipeline config file (default: pipeline.config.js)"
+  )
+  .option("--data-dir <dir>", "Directory with the input CSV files")
+  .option("--results-dir <dir>", "Directory for the processed data")
+  .option("--db-dir <dir>", "Directory for the series database files")
+  .option("--logs-dir <dir>", "Directory for log and metrics files")
+  .option("--snapshots-dir <dir>", "Directory for the published run snapshots")
+  .option("--log-level <level>", "Log level: debug, info, warn or error")
+  .option("--log-format <format>", "Log file format: text or json")
+  .option("-v, --verbose", "Log debug messages of every component")
+  .addOption(
+    new Option("-q, --quiet", "Only print warnings and errors").conflicts(
+      "verbose"
+    )
+  )
+  .exitOverride((error) => {
+    // Help and version exit with 0, invalid arguments with the usage code.
+    // Commander needs this to exit at once; the logger's exit handler writes
+    // any queued log lines.
+    process.exit(error.exitCode === 0 ? 0 : EXIT_CODES.usage);
+  });
+
+// Load the configuration before any command runs
+program.hook("preAction", (thisCommand, actionCommand) => {
+  const options = program.opts();
+  try {
+    loadConfig({
+      configPath: options.config,
+      overrides: getConfigOverrides(options),
+    });
+  } catch (error) {
+    // The logger depends on the config, so report this one directly
+    console.error(`Invalid configuration: ${error.message}`);
+    process.exit(EXIT_CODES.usage);
+  }
+
+  // With --json, stdout is kept for the result
+  setConsoleOutput({
+    level: options.quiet ? "warn" : null,
+    stderr: Boolean(actionCommand.opts().json),
+  });
+});
 
 // Full pipeline command
 program
   .command("run")
   .description("Run the complete pipeline")
-  .option("-v, --verbose", "Enable verbose output")
+  .option("--ndjson", "Also write newline-delimited JSON output")
+  .addOption(
+    new Option(
+      "--validation-policy <policy>",
+      "Handling of invalid input rows"
+    ).choices(VALIDATION_POLICIES)
+  )
+  .addOption(
+    new Option(
+      "--conflict-resolution <mode>",
+      "Handling of series that share anime"
+    ).choices(seriesGrouping.CONFLICT_RESOLUTION_MODES)
+  )
+  .option(
+    "--incremental",
+    "Only reprocess anime changed since the previous run"
+  )
+  .option(
+    "--from <stage>",
+    "Start from a stage, reusing the output of earlier stages"
+  )
+  .option(
+    "--resume",
+    "Skip stages whose inputs and outputs are unchanged since they completed"
+  )
+  .option("--mongo-uri <uri>", "MongoDB connection string for the migration")
+  .option("--sqlite", "Also write the results to a SQLite database")
+  .option(
+    "--preserve-manual-edits",
+    "Keep fields edited in MongoDB since the last migration"
+  )
+  .option(
+    "--max-churn <share>",
+    "Fail when more than this share (0 to 1) of anime changes series",
+    parseShare
+  )
+  .option("--json", "Print the run summary as JSON on stdout")
   .action(async (options) => {
     logger.info("Running complete pipeline");
     try {
-      const result = await runPipeline(options);
+      // The stage results hold the in-memory outputs; leave them out
+      const { results, ...result } = await runPipeline({
+        ...options,
+        formats: getOutputFormats(options),
+      });
       if (result.success) {
         logger.info("Pipeline completed successfully");
-        process.exit(0);
       } else {
         logger.error(`Pipeline failed: ${result.error}`);
-        process.exit(1);
       }
+      finish(result, options);
     } catch (error) {
       logger.error(`Unhandled error: ${error.message}`);
-      process.exit(1);
+      finish(failure(error), options);
     }
   });
 
@@ -49,66 +218,277 @@ program
 program
   .command("convert")
   .description("Run only the data conversion stage")
-  .option("-v, --verbose", "Enable verbose output")
+  .option("--ndjson", "Also write newline-delimited JSON output")
+  .option("--incremental", "Skip CSV files unchanged since the previous run")
   .action(async (options) => {
     logger.info("Running data conversion stage");
     try {
-      const result = await dataConversion.convertCsvToJson();
+      const result = await dataConversion.convertCsvToJson({
+        formats: getOutputFormats(options),
+        incremental: options.incremental,
+      });
       if (result.success) {
         logger.info("Data conversion completed successfully");
-        process.exit(0);
       } else {
         logger.error(`Data conversion failed: ${result.error}`);
-        process.exit(1);
       }
+      finish(result);
     } catch (error) {
       logger.error(`Unhandled error: ${error.message}`);
-      process.exit(1);
+      finish(failure(error));
     }
   });
 
 program
   .command("group")
   .description("Run only the series grouping stage")
-  .option("-v, --verbose", "Enable verbose output")
+  .addOption(
+    new Option(
+      "--validation-policy <policy>",
+      "Handling of invalid input rows"
+    ).choices(VALIDATION_POLICIES)
+  )
+  .addOption(
+    new Option(
+      "--conflict-resolution <mode>",
+      "Handling of series that share anime"
+    ).choices(seriesGrouping.CONFLICT_RESOLUTION_MODES)
+  )
+  .option(
+    "--incremental",
+    "Only regroup series touched by anime changed since the previous run"
+  )
+  .option("--json", "Print the stage result as JSON on stdout")
   .action(async (options) => {
     logger.info("Running series grouping stage");
     try {
-      const result = await seriesGrouping.groupAnimeIntoSeries();
+      // The in-memory output is left out of the printed result
+      const { output, ...result } = await seriesGrouping.groupAnimeIntoSeries({
+        validationPolicy: options.validationPolicy,
+        conflictResolution: options.conflictResolution,
+        incremental: options.incremental,
+      });
       if (result.success) {
         logger.info("Series grouping completed successfully");
-        process.exit(0);
       } else {
         logger.error(`Series grouping failed: ${result.error}`);
-        process.exit(1);
       }
+      finish(result, options);
     } catch (error) {
       logger.error(`Unhandled error: ${error.message}`);
-      process.exit(1);
+      finish(failure(error), options);
     }
   });
 
 program
   .command("split")
   .description("Run only the advanced series split stage")
-  .option("-v, --verbose", "Enable verbose output")
+  .option("--incremental", "Only split series changed since the previous run")
+  .option("--json", "Print the stage result as JSON on stdout")
   .action(async (options) => {
     logger.info("Running advanced series split stage");
     try {
-      const result = await advancedSeriesSplit.advancedSeriesSplit();
+      // The in-memory output is left out of the printed result
+      const { output, ...result } =
+        await advancedSeriesSplit.advancedSeriesSplit({
+          incremental: options.incremental,
+        });
       if (result.success) {
         logger.info("Advanced series split completed successfully");
-        process.exit(0);
       } else {
         logger.error(`Advanced series split failed: ${result.error}`);
-        process.exit(1);
       }
+      finish(result, options);
+    } catch (error) {
+      logger.error(`Unhandled error: ${error.message}`);
+      finish(failure(error), options);
+    }
+  });
+
+program
+  .command("migrate")
+  .description("Run only the MongoDB migration stage")
+  .option("--mongo-uri <uri>", "MongoDB connection string")
+  .option(
+    "--preserve-manual-edits",
+    "Keep fields edited in MongoDB since the last migration"
+  )
+  .option("--batch-size <count>", "Documents per bulk write", (value) =>
+    parseInt(value, 10)
+  )
+  .action(async (options) => {
+    logger.info("Running MongoDB migration stage");
+    try {
+      const result = await mongoMigration.migrateToMongo({
+        uri: options.mongoUri,
+        preserveManualEdits: options.preserveManualEdits,
+        batchSize: options.batchSize,
+      });
+      if (result.success) {
+        logger.info("MongoDB migration completed successfully");
+      } else {
+        logger.error(`MongoDB migration failed: ${result.error}`);
+      }
+      finish(result);
+    } catch (error) {
+      logger.error(`Unhandled error: ${error.message}`);
+      finish(failure(error));
+    }
+  });
+
+program
+  .command("diff")
+  .description(
+    "Compare series membership with the snapshot of the previous run"
+  )
+  .option(
+    "--max-churn <share>",
+    "Fail when more than this share (0 to 1) of anime changes series",
+    parseShare
+  )
+  .option(
+    "--accept",
+    "Save the current membership as the snapshot, whatever the churn"
+  )
+  .option(
+    "-o, --output <path>",
+    "Change log path (default: results/series_diff.json)"
+  )
+  .action(async (options) => {
+    logger.info("Comparing series with the previous run");
+    try {
+      const result = await seriesDiff.diffSeries({
+        maxChurn: options.maxChurn,
+        accept: options.accept,
+        updateSnapshot: false,
+        outputPath: options.output,
+      });
+      finish(result);
     } catch (error) {
       logger.error(`Unhandled error: ${error.message}`);
-      process.exit(1);
+      finish(failure(error));
     }
   });
 
+program
+  .command("validate")
+  .description("Validate converted anime data and write a validation report")
+  .addOption(
+    new Option(
+      "--validation-policy <policy>",
+      "Handling of invalid input rows"
+    ).choices(VALIDATION_POLICIES)
+  )
+  .action((options) => {
+    logger.info("Validating converted anime data");
+    try {
+      const animeData = seriesGrouping.readAnimeData(
+        getPath("resultsDir", "animeData")
+      );
+      const result = validateAnimeData(animeData, {
+        policy:
+          options.validationPolicy || getConfig().grouping.validationPolicy,
+      });
+      finish(result);
+    } catch (error) {
+      logger.error(`Validation failed: ${error.message}`);
+      finish(failure(error));
+    }
+  });
+
+program
+  .command("export-graph")
+  .description(
+    "Export the relation network as GraphML, Graphviz DOT or Cytoscape JSON"
+  )
+  .option(
+    "-s, --series <series>",
+    "Series ID, or text in the names of the series to export (default: all)"
+  )
+  .option(
+    "-f, --format <formats>",
+    `Comma-separated graph formats (${Object.keys(GRAPH_FORMAT_EXTENSIONS).join(
+      ", "
+    )})`
+  )
+  .option("-o, --output <dir>", "Output directory (default: results/graphs)")
+  .action((options) => {
+    logger.info("Exporting relation graph");
+    const result = exportRelationGraph({
+      series: options.series,
+      formats: options.format
+        ? options.format.split(",").map((format) => format.trim())
+        : undefined,
+      outputDir: options.output,
+    });
+    finish(result);
+  });
+
+program
+  .command("rollback [runId]")
+  .description(
+    "Restore the outputs of a snapshot (default: the one before the current)"
+  )
+  .action(async (runId) => {
+    try {
+      const store = new SnapshotStore(
+        getPath("snapshotsDir"),
+        getConfig().snapshots
+      );
+      let targetId = runId;
+      if (!targetId) {
+        const runIds = store.list().map((manifest) => manifest.runId);
+        const currentIndex = runIds.indexOf(store.currentRunId());
+        if (currentIndex < 1) {
+          throw new Error("There is no earlier snapshot to roll back to");
+        }
+        targetId = runIds[currentIndex - 1];
+      }
+
+      const { manifest, removed } = await store.restore(
+        targetId,
+        getConfig().paths,
+        getSnapshotFiles()
+      );
+      logger.info(
+        `Rolled back to snapshot ${targetId}: restored ${manifest.files.length} files, removed ${removed.length}`
+      );
+      removed.forEach((filePath) => {
+        logger.debug(`Removed ${filePath}, which is not in the snapshot`);
+      });
+      finish({ success: true, runId: targetId });
+    } catch (error) {
+      logger.error(`Rollback failed: ${error.message}`);
+      finish(failure(error));
+    }
+  });
+
+const snapshots = program
+  .command("snapshots")
+  .description("Manage the published run snapshots");
+
+snapshots
+  .command("list")
+  .description("List the snapshots, oldest first")
+  .action(() => {
+    const store = new SnapshotStore(
+      getPath("snapshotsDir"),
+      getConfig().snapshots
+    );
+    const currentId = store.currentRunId();
+    const manifests = store.list();
+
+    logger.info(`${manifests.length} snapshots in ${getPath("snapshotsDir")}:`);
+    manifests.forEach((manifest) => {
+      const size = manifest.files.reduce((total, file) => total + file.size, 0);
+      logger.info(
+        `${manifest.runId === currentId ? "*" : " "} ${manifest.runId}  ${
+          manifest.files.length
+        } files, ${Math.round(size / 1024)} KB, created ${manifest.createdAt}`
+      );
+    });
+  });
+
 // Utility commands
 program
   .command("clean")
@@ -119,10 +499,10 @@ program
   .option("-d, --db", "Clean db directory")
   .action((options) => {
     if (options.all || options.logs) {
-      const logsDir = path.join(process.cwd(), "logs");
+      const logsDir = getPath("logsDir");
       if (fs.existsSync(logsDir)) {
         fs.readdirSync(logsDir)
-          .filter((file) => file.endsWith(".log") || file.endsWith(".json"))
+          .filter((file) => /\.log(\.\d+)?$|\.json$/.test(file))
           .forEach((file) => {
             fs.unlinkSync(path.join(logsDir, file));
           });
@@ -131,7 +511,7 @@ program
     }
 
     if (options.all || options.results) {
-      const resultsDir = path.join(process.cwd(), "results");
+      const resultsDir = getPath("resultsDir");
       if (fs.existsSync(resultsDir)) {
         fs.readdirSync(resultsDir)
           .filter((file) => file.endsWith(".json"))
@@ -143,10 +523,12 @@ program
     }
 
     if (options.all || options.db) {
-      const dbDir = path.join(process.cwd(), "db");
+      const dbDir = getPath("dbDir");
+      // The curation overrides are written by hand, not by the pipeline
+      const overridesFile = path.basename(getPath("dbDir", "overrides"));
       if (fs.existsSync(dbDir)) {
         fs.readdirSync(dbDir)
-          .filter((file) => file.endsWith(".json"))
+          .filter((file) => file.endsWith(".json") && file !== overridesFile)
           .forEach((file) => {
             fs.unlinkSync(path.join(dbDir, file));
           });
@@ -164,7 +546,8 @@ program
 program
   .command("status")
   .description("Show status of the pipeline data")
-  .action(() => {
+  .option("--json", "Print the status as JSON on stdout")
+  .action((options) => {
     const status = {
       data: {
         exists: false,
@@ -184,7 +567,7 @@ program
     };
 
     // Check data directory
-    const dataDir = path.join(process.cwd(), "data");
+    const dataDir = getPath("dataDir");
     if (fs.existsSync(dataDir)) {
       status.data.exists = true;
       status.data.files = fs
@@ -194,7 +577,7 @@ program
     }
 
     // Check results directory
-    const resultsDir = path.join(process.cwd(), "results");
+    const resultsDir = getPath("resultsDir");
     if (fs.existsSync(resultsDir)) {
       status.results.exists = true;
       status.results.files = fs
@@ -204,7 +587,7 @@ program
     }
 
     // Check db directory
-    const dbDir = path.join(process.cwd(), "db");
+    const dbDir = getPath("dbDir");
     if (fs.existsSync(dbDir)) {
       status.db.exists = true;
       status.db.files = fs
@@ -213,6 +596,21 @@ program
       status.db.count = status.db.files.length;
     }
 
+    // Last pipeline run, from its manifest
+    const manifest = loadManifest(getPath("resultsDir", "runManifest"));
+    status.lastRun = manifest && {
+      runId: manifest.runId,
+      status: manifest.status,
+      failedStage: manifest.failedStage,
+      startedAt: manifest.startedAt,
+      finishedAt: manifest.finishedAt,
+    };
+
+    if (options.json) {
+      finish({ success: true, ...status }, options);
+      return;
+    }
+
     // Log status
     logger.info("Pipeline Status:");
     logger.info(
@@ -241,6 +639,15 @@ program
     if (status.db.count > 0) {
       status.db.files.forEach((file) => logger.info(`  - ${file}`));
     }
+
+    if (status.lastRun) {
+      logger.info(
+        `Last run: ${status.lastRun.runId}, ${status.lastRun.status}` +
+          (status.lastRun.failedStage
+            ? ` in ${status.lastRun.failedStage}`
+            : "")
+      );
+    }
   });
 
 // Parse command line arguments
@@ -0,0 +1,469 @@
+const fs = require("fs");
+const path = require("path");
+
+const { RelationTaxonomy } = require("./relation-taxonomy");
+const { SeriesNamer } = require("./series-naming");
+
+/**
+ * Central pipeline configuration
+ *
+ * Settings are layered, each layer overriding the one before it:
+ * 1. The defaults below
+ * 2. The config file (pipeline.config.js in the working directory, or the
+ *    file named by --config or ANIME_PIPELINE_CONFIG)
+ * 3. Environment variables (see ENV_VARIABLES)
+ * 4. CLI flags
+ *
+ * Objects are merged key by key (a null value removes a key), arrays and
+ * other values are replaced. Relative directories in the config file are
+ * resolved from the file's own directory; those from the environment and
+ * CLI from the working directory.
+ */
+
+const DEFAULT_CONFIG_FILE = "pipeline.config.js";
+
+/**
+ * Log levels in increasing order of severity
+ */
+const LOG_LEVELS = ["debug", "info", "warn", "error"];
+const LOG_FORMATS = ["text", "json"];
+const LOG_ROTATION_INTERVALS = ["daily"];
+
+/**
+ * Policies for rows that fail input validation (see utils/validation.js)
+ * - fail: abort the run before grouping
+ * - skip: drop invalid rows and continue
+ * - quarantine: drop invalid rows and write them to a quarantine file
+ */
+const VALIDATION_POLICIES = ["fail", "skip", "quarantine"];
+
+/**
+ * Ways to resolve a series that overlaps anime already in another series
+ * (see 2-series-grouping.js)
+ */
+const CONFLICT_RESOLUTION_MODES = ["merge", "split", "keep"];
+
+const DEFAULT_CONFIG = {
+  paths: {
+    dataDir: "data",
+    resultsDir: "results",
+    dbDir: "db",
+    logsDir: "logs",
+    // Published outputs of each run, see utils/snapshots.js
+    snapshotsDir: "snapshots",
+  },
+  files: {
+    // Converted data read by the grouping and split stages
+    animeData: "anilist_anime_data_complete.json",
+    mainSeries: "main_series.json",
+    edgeCases: "edge_cases.json",
+    updatedAnimeData: "anime_data_updated.json",
+    splitAnimeData: "anime_data_split.json",
+    validationReport: "validation_report.json",
+    quarantine: "quarantine.json",
+    changeSummary: "change_summary.json",
+    runManifest: "run_manifest.json",
+    seriesDb: "series.json",
+    advancedSplit: "advanced_split_series.json",
+    seriesRegistry: "series_registry.json",
+    pipelineState: "pipeline_state.json",
+    // Curation overrides, see utils/curation-overrides.js
+    overrides: "overrides.json",
+    // Series membership of the last accepted run, and the diff against it
+    seriesSnapshot: "series_snapshot.json",
+    seriesDiff: "series_diff.json",
+    sqliteDb: "anime.sqlite",
+  },
+  conversion: {
+    formats: ["json"],
+    progressInterval: 10000,
+  },
+  grouping: {
+    validationPolicy: "skip",
+    conflictResolution: "merge",
+  },
+  relations: {
+    // Relation types that order anime in time, and the direction they point
+    chronological: {
+      SEQUEL: "forward",
+      SIDE_STORY: "forward",
+      PREQUEL: "backward",
+      PARENT: "backward",
+    },
+    // How the advanced split treats each relation type, see
+    // utils/relation-taxonomy.js
+    taxonomy: {
+      relationTypes: {
+        CHARACTER: "character",
+        ADAPTATION: "adaptation",
+        SPIN_OFF: "spinOff",
+        OTHER: "other",
+        PARENT: ["other", "parent"],
+      },
+      defaultCategory: "main",
+      // Buckets in output order
+      buckets: {
+        character: { label: "Character", seriesType: "CHARACTER" },
+        adaptation: { label: "Adaptation", seriesType: "ADAPTATION" },
+        spinOff: { label: "Spin-off", seriesType: "SPIN_OFF" },
+        other: { label: "Other", seriesType: "OTHER" },
+        parent: { label: "Parent", seriesType: "PARENT" },
+      },
+    },
+  },
+  naming: {
+    // Title languages in order of preference: romaji, english, native
+    languages: ["romaji", "english", "native"],
+    // Strip season and sequel suffixes ("2nd Season", "Part 2", "Movie")
+    stripSuffixes: true,
+    // Fixed names by series ID, e.g. { "<seriesId>": "Attack on Titan" }
+    overrides: {},
+  },
+  diff: {
+    // Share of anime (0 to 1) that may change series or split bucket from one
+    // run to the next before the run fails; null for no limit
+    maxChurn: null,
+  },
+  mongo: {
+    // Connection string; the MongoDB migration is skipped without one
+    uri: null,
+    database: "anime",
+    collections: {
+      anime: "anime",
+      series: "series",
+    },
+    batchSize: 1000,
+    // Keep fields edited in the database since the pipeline last wrote them
+    preserveManualEdits: false,
+  },
+  snapshots: {
+    // Publish the outputs of each successful run as a snapshot
+    enabled: true,
+    // Snapshots to keep, newest first; null for no limit
+    keep: 10,
+    // Remove snapshots older than this many days; null for no limit
+    maxAgeDays: null,
+  },
+  sqlite: {
+    // Write the results to a SQLite database in the results directory
+    enabled: false,
+  },
+  logging: {
+    level: "info",
+    // Per-component levels, e.g. { "series-grouping": "debug" }
+    components: {},
+    // Log file lines: "text", or "json" objects with the run ID, stage and
+    // structured fields
+    format: "text",
+    rotation: {
+      // Rotate a log file once it grows past this many bytes; null for no limit
+      maxSize: 10 * 1024 * 1024,
+      // Also rotate log files when the day changes ("daily"); null for never
+      interval: null,
+      // Rotated files to keep of each log file
+      keep: 5,
+    },
+  },
+  // Custom stages, see utils/stage-registry.js
+  stages: [],
+};
+
+/**
+ * Environment variables and the settings they override
+ */
+const ENV_VARIABLES = {
+  ANIME_PIPELINE_DATA_DIR: ["paths", "dataDir"],
+  ANIME_PIPELINE_RESULTS_DIR: ["paths", "resultsDir"],
+  ANIME_PIPELINE_DB_DIR: ["paths", "dbDir"],
+  ANIME_PIPELINE_LOGS_DIR: ["paths", "logsDir"],
+  ANIME_PIPELINE_SNAPSHOTS_DIR: ["paths", "snapshotsDir"],
+  ANIME_PIPELINE_FORMATS: ["conversion", "formats"],
+  ANIME_PIPELINE_VALIDATION_POLICY: ["grouping", "validationPolicy"],
+  ANIME_PIPELINE_CONFLICT_RESOLUTION: ["grouping", "conflictResolution"],
+  ANIME_PIPELINE_NAME_LANGUAGES: ["naming", "languages"],
+  ANIME_PIPELINE_MONGO_URI: ["mongo", "uri"],
+  ANIME_PIPELINE_MONGO_DATABASE: ["mongo", "database"],
+  ANIME_PIPELINE_LOG_LEVEL: ["logging", "level"],
+  ANIME_PIPELINE_LOG_FORMAT: ["logging", "format"],
+};
+
+/**
+ * Settings whose environment values are comma-separated lists
+ */
+const LIST_SETTINGS = new Set(["conversion.formats", "naming.languages"]);
+
+let currentConfig = null;
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Merge a config layer into a base config
+ * @param {object} base - Base config
+ * @param {object} layer - Overriding layer
+ * @returns {object} Merged config
+ */
+function mergeConfig(base, layer) {
+  const merged = { ...base };
+  Object.keys(layer || {}).forEach((key) => {
+    const value = layer[key];
+    if (value === undefined) return;
+
+    if (value === null) {
+      delete merged[key];
+    } else if (isPlainObject(value) && isPlainObject(merged[key])) {
+      merged[key] = mergeConfig(merged[key], value);
+    } else {
+      merged[key] = value;
+    }
+  });
+  return merged;
+}
+
+/**
+ * Resolve the directories of a config layer against a base directory
+ * @param {object} layer - Config layer
+ * @param {string} baseDir - Directory relative paths start from
+ * @returns {object} Layer with absolute directories
+ */
+function resolvePaths(layer, baseDir) {
+  if (!layer || !isPlainObject(layer.paths)) return layer;
+
+  const paths = {};
+  Object.keys(layer.paths).forEach((key) => {
+    const value = layer.paths[key];
+    paths[key] =
+      typeof value === "string" ? path.resolve(baseDir, value) : value;
+  });
+  return { ...layer, paths };
+}
+
+/**
+ * Read the config file layer
+ * @param {string} configPath - Config file path
+ * @returns {object} Config layer with absolute directories and stages
+ */
+function readConfigFile(configPath) {
+  const resolvedPath = path.resolve(configPath);
+  const configDir = path.dirname(resolvedPath);
+  const layer = require(resolvedPath);
+
+  // Custom stages may be given as module paths relative to the config file
+  const stages = (layer.stages || []).map((stage) =>
+    typeof stage === "string" ? require(path.resolve(configDir, stage)) : stage
+  );
+
+  return { ...resolvePaths(layer, configDir), stages };
+}
+
+/**
+ * Build the config layer from environment variables
+ * @param {object} env - Environment variables
+ * @returns {object} Config layer
+ */
+function readEnvironment(env) {
+  const layer = {};
+  Object.keys(ENV_VARIABLES).forEach((name) => {
+    if (env[name] === undefined || env[name] === "") return;
+
+    const [section, key] = ENV_VARIABLES[name];
+    const value = LIST_SETTINGS.has(`${section}.${key}`)
+      ? env[name]
+          .split(",")
+          .map((item) => item.trim())
+          .filter(Boolean)
+      : env[name];
+
+    layer[section] = { ...layer[section], [key]: value };
+  });
+  return resolvePaths(layer, process.cwd());
+}
+
+/**
+ * Check the merged config for invalid settings
+ * @param {object} config - Merged config
+ */
+function validateConfig(config) {
+  const levels = [
+    config.logging.level,
+    ...Object.values(config.logging.components || {}),
+  ];
+  levels.forEach((level) => {
+    if (!LOG_LEVELS.includes(level)) {
+      throw new Error(
+        `Unknown log level "${level}" (expected ${LOG_LEVELS.join(", ")})`
+      );
+    }
+  });
+
+  if (!LOG_FORMATS.includes(config.logging.format)) {
+    throw new Error(
+      `Unknown log format "${
+        config.logging.format
+      }" (expected ${LOG_FORMATS.join(", ")})`
+    );
+  }
+  const rotation = config.logging.rotation || {};
+  if (
+    rotation.maxSize !== null &&
+    rotation.maxSize !== undefined &&
+    !(Number.isInteger(rotation.maxSize) && rotation.maxSize > 0)
+  ) {
+    throw new Error(
+      `Invalid logging.rotation.maxSize "${rotation.maxSize}" (expected a positive number of bytes)`
+    );
+  }
+  if (
+    rotation.interval !== null &&
+    rotation.interval !== undefined &&
+    !LOG_ROTATION_INTERVALS.includes(rotation.interval)
+  ) {
+    throw new Error(
+      `Unknown logging.rotation.interval "${
+        rotation.interval
+      }" (expected ${LOG_ROTATION_INTERVALS.join(", ")})`
+    );
+  }
+  if (
+    rotation.keep !== undefined &&
+    !(Number.isInteger(rotation.keep) && rotation.keep >= 0)
+  ) {
+    throw new Error(
+      `Invalid logging.rotation.keep "${rotation.keep}" (expected a whole number)`
+    );
+  }
+
+  const { validationPolicy, conflictResolution } = config.grouping;
+  if (!VALIDATION_POLICIES.includes(validationPolicy)) {
+    throw new Error(
+      `Unknown grouping.validationPolicy "${validationPolicy}" (expected ${VALIDATION_POLICIES.join(
+        ", "
+      )})`
+    );
+  }
+  if (!CONFLICT_RESOLUTION_MODES.includes(conflictResolution)) {
+    throw new Error(
+      `Unknown grouping.conflictResolution "${conflictResolution}" (expected ${CONFLICT_RESOLUTION_MODES.join(
+        ", "
+      )})`
+    );
+  }
+
+  Object.keys(DEFAULT_CONFIG.paths).forEach((key) => {
+    if (typeof config.paths[key] !== "string") {
+      throw new Error(`Config paths.${key} must be a directory path`);
+    }
+  });
+
+  const { maxChurn } = config.diff;
+  if (
+    maxChurn !== null &&
+    maxChurn !== undefined &&
+    !(typeof maxChurn === "number" && maxChurn >= 0 && maxChurn <= 1)
+  ) {
+    throw new Error(
+      `Invalid diff.maxChurn "${maxChurn}" (expected a share from 0 to 1)`
+    );
+  }
+
+  const { keep, maxAgeDays } = config.snapshots;
+  if (
+    keep !== null &&
+    keep !== undefined &&
+    !(Number.isInteger(keep) && keep > 0)
+  ) {
+    throw new Error(
+      `Invalid snapshots.keep "${keep}" (expected a positive whole number)`
+    );
+  }
+  if (
+    maxAgeDays !== null &&
+    maxAgeDays !== undefined &&
+    !(typeof maxAgeDays === "number" && maxAgeDays > 0)
+  ) {
+    throw new Error(
+      `Invalid snapshots.maxAgeDays "${maxAgeDays}" (expected a positive number of days)`
+    );
+  }
+
+  try {
+    new RelationTaxonomy(config.relations.taxonomy);
+  } catch (error) {
+    throw new Error(`Invalid relations.taxonomy: ${error.message}`);
+  }
+
+  try {
+    new SeriesNamer(config.naming);
+  } catch (error) {
+    throw new Error(`Invalid naming: ${error.message}`);
+  }
+}
+
+/**
+ * Load the configuration and make it the current one
+ * @param {object} options - Load options
+ * @param {string} options.configPath - Config file path (defaults to
+ *   ANIME_PIPELINE_CONFIG, then pipeline.config.js in the working directory)
+ * @param {object} options.env - Environment variables (default: process.env)
+ * @param {object} options.overrides - Settings from CLI flags
+ * @returns {object} Loaded configuration
+ */
+function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const explicitPath = options.configPath || env.ANIME_PIPELINE_CONFIG;
+  const configPath =
+    explicitPath || path.join(process.cwd(), DEFAULT_CONFIG_FILE);
+
+  if (explicitPath && !fs.existsSync(configPath)) {
+    throw new Error(`Config file not found: ${configPath}`);
+  }
+
+  let config = resolvePaths(DEFAULT_CONFIG, process.cwd());
+  if (fs.existsSync(configPath)) {
+    config = mergeConfig(config, readConfigFile(configPath));
+    config.configFile = path.resolve(configPath);
+  }
+  config = mergeConfig(config, readEnvironment(env));
+  config = mergeConfig(config, resolvePaths(options.overrides, process.cwd()));
+
+  validateConfig(config);
+  currentConfig = config;
+  return config;
+}
+
+/**
+ * Get the current configuration, loading it on first use
+ * @returns {object} Current configuration
+ */
+function getConfig() {
+  return currentConfig || loadConfig();
+}
+
+/**
+ * Get a configured directory, or a configured file inside it
+ * @param {string} dirKey - Directory setting ('dataDir', 'resultsDir', ...)
+ * @param {string} fileKey - File setting ('mainSeries', 'seriesDb', ...)
+ * @returns {string} Absolute path
+ */
+function getPath(dirKey, fileKey) {
+  const config = getConfig();
+  const dir = config.paths[dirKey];
+  return fileKey ? path.join(dir, config.files[fileKey]) : dir;
+}
+
+module.exports = {
+  DEFAULT_CONFIG_FILE,
+  LOG_LEVELS,
+  VALIDATION_POLICIES,
+  CONFLICT_RESOLUTION_MODES,
+  ENV_VARIABLES,
+  loadConfig,
+  getConfig,
+  getPath,
+};
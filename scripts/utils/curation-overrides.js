@@ -0,0 +1,370 @@
+const fs = require("fs");
+
+const { fingerprint } = require("./change-detection");
+
+/**
+ * Manual curation overrides
+ *
+ * Curators fix franchises the relation graph gets wrong in a versioned
+ * overrides file (db/overrides.json by default) instead of editing the CSV:
+ *
+ * {
+ *   "version": 1,
+ *   "rules": [
+ *     { "id": "aot-movies", "type": "merge", "animeIds": ["16498", "20958"] },
+ *     { "type": "split", "animeIds": ["1535", "20"] },
+ *     { "type": "ignoreRelation", "sourceAnimeId": "21", "targetAnimeId": "30",
+ *       "relationType": "OTHER" },
+ *     { "type": "pinName", "animeId": "16498", "name": "Attack on Titan" },
+ *     { "type": "pinSeriesId", "animeId": "16498", "seriesId": "aot",
+ *       "scope": "series" },
+ *     { "type": "moveToBucket", "animeId": "25777", "bucket": "spinOff" }
+ *   ]
+ * }
+ *
+ * Rule types:
+ * - merge: put the anime in one series, whatever their relations
+ * - split: drop every relation between two anime, in both directions
+ * - ignoreRelation: drop one relation (of any type if relationType is left
+ *   out)
+ * - pinName, pinSeriesId: fix the name or ID of the series containing an
+ *   anime; scope "series" (grouping) or "main" (split) limits the rule to
+ *   one stage
+ * - moveToBucket: split the anime off into a bucket of the relation taxonomy
+ *
+ * Rules without an id are referred to by their position ("#1", "#2", ...).
+ */
+
+const OVERRIDES_VERSION = 1;
+
+/**
+ * Relation type of the links added between anime merged by a rule
+ */
+const MERGE_RELATION_TYPE = "CURATED_MERGE";
+
+/**
+ * Required fields of each rule type
+ */
+const RULE_FIELDS = {
+  merge: ["animeIds"],
+  split: ["animeIds"],
+  ignoreRelation: ["sourceAnimeId", "targetAnimeId"],
+  pinName: ["animeId", "name"],
+  pinSeriesId: ["animeId", "seriesId"],
+  moveToBucket: ["animeId", "bucket"],
+};
+
+/**
+ * Rule types applied by the grouping and by the split
+ */
+const GROUPING_RULES = [
+  "merge",
+  "split",
+  "ignoreRelation",
+  "pinName",
+  "pinSeriesId",
+];
+const SPLIT_RULES = ["pinName", "pinSeriesId", "moveToBucket"];
+
+/**
+ * Pin scopes: grouping series and main split series
+ */
+const PIN_SCOPES = ["series", "main"];
+
+/**
+ * Check and normalize one rule
+ * @param {object} rule - Rule from the file
+ * @param {number} index - Position of the rule
+ * @returns {object} Rule with an id and string anime IDs
+ */
+function normalizeRule(rule, index) {
+  const id = (rule && rule.id) || `#${index + 1}`;
+  if (!rule || !RULE_FIELDS[rule.type]) {
+    throw new Error(
+      `Rule ${id}: unknown type "${rule && rule.type}" (expected ${Object.keys(
+        RULE_FIELDS
+      ).join(", ")})`
+    );
+  }
+
+  RULE_FIELDS[rule.type].forEach((field) => {
+    if (rule[field] === undefined || rule[field] === null) {
+      throw new Error(`Rule ${id}: ${rule.type} needs ${field}`);
+    }
+  });
+
+  const normalized = { ...rule, id };
+  ["animeId", "sourceAnimeId", "targetAnimeId"].forEach((field) => {
+    if (rule[field] !== undefined) normalized[field] = String(rule[field]);
+  });
+
+  if (rule.animeIds !== undefined) {
+    if (!Array.isArray(rule.animeIds) || rule.animeIds.length < 2) {
+      throw new Error(`Rule ${id}: animeIds must list at least two anime`);
+    }
+    if (rule.type === "split" && rule.animeIds.length !== 2) {
+      throw new Error(`Rule ${id}: split takes exactly two anime`);
+    }
+    normalized.animeIds = rule.animeIds.map(String);
+  }
+
+  if (rule.scope !== undefined && !PIN_SCOPES.includes(rule.scope)) {
+    throw new Error(
+      `Rule ${id}: unknown scope "${rule.scope}" (expected ${PIN_SCOPES.join(
+        ", "
+      )})`
+    );
+  }
+
+  return normalized;
+}
+
+/**
+ * Get the anime a rule is about
+ * @param {object} rule - Normalized rule
+ * @returns {Array<string>} Anime IDs
+ */
+function animeIdsOf(rule) {
+  if (rule.animeIds) return rule.animeIds;
+  if (rule.animeId) return [rule.animeId];
+  return [rule.sourceAnimeId, rule.targetAnimeId];
+}
+
+class CurationOverrides {
+  /**
+   * @param {object} document - Overrides file content
+   * @param {string} fileFingerprint - Fingerprint of the file, recorded by
+   *   incremental runs
+   */
+  constructor(document = {}, fileFingerprint = null) {
+    if (
+      document.version !== undefined &&
+      document.version !== OVERRIDES_VERSION
+    ) {
+      throw new Error(
+        `Unsupported overrides version ${document.version} (expected ${OVERRIDES_VERSION})`
+      );
+    }
+    if (document.rules !== undefined && !Array.isArray(document.rules)) {
+      throw new Error("Overrides rules must be a list");
+    }
+
+    this.rules = (document.rules || []).map(normalizeRule);
+    this.fingerprint = fileFingerprint;
+    this.used = new Set();
+
+    const ids = new Set();
+    this.rules.forEach((rule) => {
+      if (ids.has(rule.id)) throw new Error(`Duplicate rule id ${rule.id}`);
+      ids.add(rule.id);
+    });
+
+    // Pinned IDs must stay unique within each stage
+    PIN_SCOPES.forEach((scope) => {
+      const pinned = new Set();
+      this.pinsOf("pinSeriesId", scope).forEach((rule) => {
+        if (pinned.has(rule.seriesId)) {
+          throw new Error(
+            `Series ID ${rule.seriesId} is pinned more than once in scope ${scope}`
+          );
+        }
+        pinned.add(rule.seriesId);
+      });
+    });
+
+    this.buckets = new Map();
+    this.rules
+      .filter((rule) => rule.type === "moveToBucket")
+      .forEach((rule) => this.buckets.set(rule.animeId, rule));
+  }
+
+  /**
+   * Load the overrides file, with no rules if it does not exist
+   * @param {string} filePath - Overrides file path
+   * @returns {CurationOverrides} Overrides
+   */
+  static load(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return new CurationOverrides();
+    }
+
+    const content = fs.readFileSync(filePath, "utf8");
+    try {
+      return new CurationOverrides(JSON.parse(content), fingerprint(content));
+    } catch (error) {
+      throw new Error(`Invalid overrides file ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the pin rules of a type that apply in a scope
+   * @param {string} type - 'pinName' or 'pinSeriesId'
+   * @param {string} scope - 'series' or 'main'
+   * @returns {Array<object>} Rules
+   */
+  pinsOf(type, scope) {
+    return this.rules.filter(
+      (rule) => rule.type === type && (!rule.scope || rule.scope === scope)
+    );
+  }
+
+  /**
+   * Record that a rule took effect
+   * @param {object} rule - Rule
+   */
+  markUsed(rule) {
+    this.used.add(rule.id);
+  }
+
+  /**
+   * Record that rules took effect in series carried over from a previous run
+   * @param {Array<string>} ruleIds - Rule IDs
+   */
+  markApplied(ruleIds) {
+    ruleIds.forEach((ruleId) => this.used.add(ruleId));
+  }
+
+  /**
+   * Apply the relation rules (merge, split, ignoreRelation) to anime data.
+   * The records are copied; the input is left as it is.
+   * @param {Array} animeData - Anime records with normalized relations
+   * @returns {Array} Anime records with curated relations
+   */
+  applyToRelations(animeData) {
+    const present = new Set(animeData.map((anime) => String(anime.id)));
+    const cut = new Map();
+    const added = new Map();
+
+    this.rules.forEach((rule) => {
+      if (rule.type === "split") {
+        const [a, b] = rule.animeIds;
+        cut.set(`${a}->${b}`, { rule });
+        cut.set(`${b}->${a}`, { rule });
+      } else if (rule.type === "ignoreRelation") {
+        cut.set(`${rule.sourceAnimeId}->${rule.targetAnimeId}`, {
+          rule,
+          relationType: rule.relationType,
+        });
+      } else if (rule.type === "merge") {
+        const members = rule.animeIds.filter((id) => present.has(id));
+        if (members.length < 2) return;
+        // Link the anime in a chain, both ways, so they form one core
+        for (let i = 1; i < members.length; i++) {
+          [
+            [members[i - 1], members[i]],
+            [members[i], members[i - 1]],
+          ].forEach(([source, target]) => {
+            if (!added.has(source)) added.set(source, []);
+            added.get(source).push(target);
+          });
+        }
+        this.markUsed(rule);
+      }
+    });
+
+    return animeData.map((anime) => {
+      const id = String(anime.id);
+      const relations = anime.relations.filter((relation) => {
+        const entry = cut.get(`${id}->${relation.targetAnimeId}`);
+        if (
+          !entry ||
+          (entry.relationType && entry.relationType !== relation.relationType)
+        ) {
+          return true;
+        }
+        this.markUsed(entry.rule);
+        return false;
+      });
+
+      (added.get(id) || []).forEach((targetAnimeId) => {
+        relations.push({ targetAnimeId, relationType: MERGE_RELATION_TYPE });
+      });
+
+      return { ...anime, relations };
+    });
+  }
+
+  /**
+   * Find the pinned name and ID of the series containing some anime
+   * @param {Array} animeIds - Anime IDs of the series
+   * @param {string} scope - 'series' (grouping) or 'main' (split)
+   * @returns {object} Pinned name and series ID (undefined if not pinned),
+   *   and the rules used
+   */
+  pinFor(animeIds, scope) {
+    const members = new Set(animeIds.map(String));
+    const pin = { name: undefined, seriesId: undefined, rules: [] };
+
+    [
+      ["pinName", "name"],
+      ["pinSeriesId", "seriesId"],
+    ].forEach(([type, field]) => {
+      const rule = this.pinsOf(type, scope).find((candidate) =>
+        members.has(candidate.animeId)
+      );
+      if (rule) {
+        pin[field] = rule[field];
+        pin.rules.push(rule.id);
+        this.markUsed(rule);
+      }
+    });
+
+    return pin;
+  }
+
+  /**
+   * Get the rule moving an anime to a bucket
+   * @param {string} animeId - Anime ID
+   * @returns {object|undefined} moveToBucket rule
+   */
+  moveRuleOf(animeId) {
+    return this.buckets.get(String(animeId));
+  }
+
+  /**
+   * List the rules that took effect and are about any of some anime
+   * @param {Array} animeIds - Anime IDs of a series
+   * @param {Array<string>} types - Rule types to consider
+   * @returns {Array<string>} Rule IDs
+   */
+  appliedTo(animeIds, types) {
+    const members = new Set(animeIds.map(String));
+    return this.rules
+      .filter(
+        (rule) =>
+          types.includes(rule.type) &&
+          this.used.has(rule.id) &&
+          animeIdsOf(rule).some((animeId) => members.has(animeId))
+      )
+      .map((rule) => rule.id);
+  }
+
+  /**
+   * List the rules of some types that took effect, and those that did not
+   * @param {Array<string>} types - Rule types the stage applies
+   * @param {string} scope - Pin scope of the stage
+   * @returns {object} IDs of the applied and unused rules
+   */
+  report(types, scope) {
+    const rules = this.rules.filter(
+      (rule) =>
+        types.includes(rule.type) && (!rule.scope || rule.scope === scope)
+    );
+    return {
+      applied: rules
+        .filter((rule) => this.used.has(rule.id))
+        .map((rule) => rule.id),
+      unused: rules
+        .filter((rule) => !this.used.has(rule.id))
+        .map((rule) => rule.id),
+    };
+  }
+}
+
+module.exports = {
+  OVERRIDES_VERSION,
+  MERGE_RELATION_TYPE,
+  GROUPING_RULES,
+  SPLIT_RULES,
+  CurationOverrides,
+};
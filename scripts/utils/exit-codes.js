@@ -0,0 +1,109 @@
+/**
+ * Exit codes of the command-line interface
+ *
+ * A failed stage or command result carries an errorType saying what went
+ * wrong, which exitCodeOf() maps to an exit code, so scripts running the
+ * pipeline can tell rejected input apart from unreadable files and bugs.
+ */
+
+const EXIT_CODES = {
+  success: 0,
+  // Unexpected errors, e.g. a bug in a stage
+  internal: 1,
+  // Invalid command-line options or configuration
+  usage: 2,
+  // Input rows rejected by the validation policy
+  validation: 3,
+  // More anime changed series than the churn threshold allows
+  churn: 4,
+  // A file or database could not be read or written
+  io: 5,
+};
+
+/**
+ * Error codes of failed file, network and database operations
+ */
+const IO_ERROR_CODES = new Set([
+  "EACCES",
+  "EBUSY",
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "EEXIST",
+  "EIO",
+  "EISDIR",
+  "EMFILE",
+  "ENOENT",
+  "ENOSPC",
+  "ENOTDIR",
+  "ENOTEMPTY",
+  "EPERM",
+  "EROFS",
+  "ETIMEDOUT",
+  "SQLITE_CANTOPEN",
+  "SQLITE_FULL",
+  "SQLITE_IOERR",
+]);
+
+/**
+ * Error code of invalid options and settings
+ */
+const USAGE_ERROR_CODE = "ERR_PIPELINE_USAGE";
+
+/**
+ * Get the error type of a thrown error
+ * @param {Error} error - Thrown error
+ * @returns {string} 'usage' for invalid options, 'io' for failed file,
+ *   network and database operations, otherwise 'internal'
+ */
+function errorTypeOf(error) {
+  if (error.code === USAGE_ERROR_CODE) return "usage";
+  if (
+    IO_ERROR_CODES.has(error.code) ||
+    /^Mongo(Network|ServerSelection)Error$/.test(error.name)
+  ) {
+    return "io";
+  }
+  return "internal";
+}
+
+/**
+ * Create the error thrown for a missing input file, typed like the error of
+ * a failed read
+ * @param {string} message - Error message
+ * @returns {Error} Error with the ENOENT code
+ */
+function missingFileError(message) {
+  const error = new Error(message);
+  error.code = "ENOENT";
+  return error;
+}
+
+/**
+ * Create the error thrown for an invalid option or setting, such as an
+ * unknown mode
+ * @param {string} message - Error message
+ * @returns {Error} Error typed as a usage error
+ */
+function usageError(message) {
+  const error = new Error(message);
+  error.code = USAGE_ERROR_CODE;
+  return error;
+}
+
+/**
+ * Get the exit code of a command result
+ * @param {object} result - Result with success and, on failure, errorType
+ * @returns {number} Exit code
+ */
+function exitCodeOf(result) {
+  if (result.success) return EXIT_CODES.success;
+  return EXIT_CODES[result.errorType] || EXIT_CODES.internal;
+}
+
+module.exports = {
+  EXIT_CODES,
+  errorTypeOf,
+  missingFileError,
+  usageError,
+  exitCodeOf,
+};
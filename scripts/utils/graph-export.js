@@ -0,0 +1,319 @@
+const fs = require("fs");
+const path = require("path");
+
+const { getPath } = require("./config");
+const { writeFileAtomic } = require("./atomic-writer");
+const { errorTypeOf, missingFileError } = require("./exit-codes");
+
+// Setup logger
+const logger = require("./logger").getLogger("graph-export");
+
+/**
+ * Export of the relation network for graph tools
+ *
+ * Nodes are anime labelled with their title and carrying their format, start
+ * date and series; edges are relations labelled with their relation type.
+ */
+
+/**
+ * Supported graph formats and their file extensions
+ */
+const GRAPH_FORMAT_EXTENSIONS = {
+  graphml: ".graphml",
+  dot: ".dot",
+  cytoscape: ".cyjs",
+};
+
+/**
+ * Build the relation network of a list of series
+ * @param {Array} series - Series with animeIds and relations
+ * @param {object} animeMap - Map of anime records by ID
+ * @returns {object} Nodes and edges
+ */
+function buildRelationNetwork(series, animeMap) {
+  const nodes = new Map();
+  const edges = new Map();
+
+  series.forEach((seriesGroup) => {
+    seriesGroup.animeIds.forEach((animeId) => {
+      const id = String(animeId);
+      if (nodes.has(id)) return;
+
+      const anime = animeMap[id] || {};
+      const details = (seriesGroup.animeDetails || {})[id] || {};
+      nodes.set(id, {
+        id,
+        label: anime.titleRomaji || anime.titleEnglish || details.title || id,
+        format: anime.format || null,
+        startDate: anime.startDate || null,
+        seriesId: seriesGroup.seriesId,
+      });
+    });
+
+    seriesGroup.relations.forEach((relation) => {
+      const source = String(relation.sourceAnimeId);
+      const target = String(relation.targetAnimeId);
+      const key = `${source}-${target}-${relation.relationType}`;
+      if (!edges.has(key)) {
+        edges.set(key, {
+          id: `e${edges.size}`,
+          source,
+          target,
+          label: relation.relationType,
+        });
+      }
+    });
+  });
+
+  // Relations to anime outside the exported series have no node to point to
+  return {
+    nodes: [...nodes.values()],
+    edges: [...edges.values()].filter(
+      (edge) => nodes.has(edge.source) && nodes.has(edge.target)
+    ),
+  };
+}
+
+/**
+ * Escape text for XML content and attributes
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Render a network as GraphML (Gephi, yEd, Cytoscape desktop)
+ * @param {object} network - Nodes and edges
+ * @returns {string} GraphML document
+ */
+function toGraphML(network) {
+  const nodeKeys = ["label", "format", "startDate", "seriesId"];
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ...nodeKeys.map(
+      (key) =>
+        `  <key id="${key}" for="node" attr.name="${key}" attr.type="string"/>`
+    ),
+    '  <key id="edgeLabel" for="edge" attr.name="label" attr.type="string"/>',
+    '  <graph id="relations" edgedefault="directed">',
+  ];
+
+  network.nodes.forEach((node) => {
+    const data = nodeKeys
+      .filter((key) => node[key] !== null)
+      .map((key) => `<data key="${key}">${escapeXml(node[key])}</data>`);
+    lines.push(`    <node id="${escapeXml(node.id)}">${data.join("")}</node>`);
+  });
+
+  network.edges.forEach((edge) => {
+    lines.push(
+      `    <edge id="${edge.id}" source="${escapeXml(
+        edge.source
+      )}" target="${escapeXml(edge.target)}"><data key="edgeLabel">${escapeXml(
+        edge.label
+      )}</data></edge>`
+    );
+  });
+
+  lines.push("  </graph>", "</graphml>");
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Quote a value as a Graphviz DOT string
+ * @param {*} value - Value to quote
+ * @returns {string} Quoted string
+ */
+function quoteDot(value) {
+  return `"${String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n")}"`;
+}
+
+/**
+ * Render a network as Graphviz DOT
+ * @param {object} network - Nodes and edges
+ * @param {string} name - Graph name
+ * @returns {string} DOT document
+ */
+function toDot(network, name) {
+  const lines = [`digraph ${quoteDot(name)} {`, "  node [shape=box];"];
+
+  network.nodes.forEach((node) => {
+    const attributes = ["label", "format", "startDate", "seriesId"]
+      .filter((key) => node[key] !== null)
+      .map((key) => `${key}=${quoteDot(node[key])}`);
+    lines.push(`  ${quoteDot(node.id)} [${attributes.join(", ")}];`);
+  });
+
+  network.edges.forEach((edge) => {
+    lines.push(
+      `  ${quoteDot(edge.source)} -> ${quoteDot(edge.target)} [label=${quoteDot(
+        edge.label
+      )}];`
+    );
+  });
+
+  lines.push("}");
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Render a network as Cytoscape.js JSON, loadable with cy.json()
+ * @param {object} network - Nodes and edges
+ * @returns {string} Cytoscape.js JSON document
+ */
+function toCytoscape(network) {
+  const elements = {
+    nodes: network.nodes.map((node) => ({ data: node })),
+    edges: network.edges.map((edge) => ({ data: edge })),
+  };
+  return JSON.stringify({ elements }, null, 2) + "\n";
+}
+
+/**
+ * Find the series to export
+ * @param {Array} series - All series
+ * @param {string} query - Series ID, or text contained in series names
+ * @returns {Array} Matching series
+ */
+function selectSeries(series, query) {
+  if (!query) return series;
+
+  const byId = series.filter((seriesGroup) => seriesGroup.seriesId === query);
+  if (byId.length > 0) return byId;
+
+  const text = query.toLowerCase();
+  return series.filter((seriesGroup) =>
+    (seriesGroup.seriesName || "").toLowerCase().includes(text)
+  );
+}
+
+/**
+ * Get the file name of an exported graph, without extension. Names that keep
+ * no letters or digits once sanitized (e.g. Japanese titles) are replaced by
+ * the series IDs so that their files do not collide.
+ * @param {string} name - Series name or search text
+ * @param {Array<object>} selected - Exported series
+ * @returns {string} File name
+ */
+function graphFileName(name, selected) {
+  const sanitized = name.replace(/[^\w.-]+/g, "_");
+  if (/[a-z0-9]/i.test(sanitized)) return sanitized;
+  return selected.map((seriesGroup) => seriesGroup.seriesId).join("_");
+}
+
+/**
+ * Export the relation network of a series, or of the whole dataset
+ * @param {object} options - Export options
+ * @param {string} options.series - Series ID, or text contained in the names
+ *   of the series to export (default: all series)
+ * @param {Array<string>} options.formats - Graph formats ('graphml', 'dot',
+ *   'cytoscape'; default: all)
+ * @param {string} options.outputDir - Output directory (default: graphs in
+ *   the results directory)
+ * @returns {object} Result with success flag and written files
+ */
+function exportRelationGraph(options = {}) {
+  const formats = options.formats || Object.keys(GRAPH_FORMAT_EXTENSIONS);
+  const outputDir =
+    options.outputDir || path.join(getPath("resultsDir"), "graphs");
+
+  try {
+    const unknown = formats.filter(
+      (format) => !GRAPH_FORMAT_EXTENSIONS[format]
+    );
+    if (unknown.length > 0) {
+      throw new Error(
+        `Unknown graph format: ${unknown.join(", ")} (expected ${Object.keys(
+          GRAPH_FORMAT_EXTENSIONS
+        ).join(", ")})`
+      );
+    }
+
+    const seriesPath = getPath("resultsDir", "mainSeries");
+    if (!fs.existsSync(seriesPath)) {
+      throw missingFileError(`Series file not found: ${seriesPath}`);
+    }
+    const { series } = JSON.parse(fs.readFileSync(seriesPath, "utf8"));
+
+    const selected = selectSeries(series, options.series);
+    if (selected.length === 0) {
+      throw new Error(`No series matches "${options.series}"`);
+    }
+
+    const animeMap = {};
+    const animePath = getPath("resultsDir", "updatedAnimeData");
+    if (fs.existsSync(animePath)) {
+      JSON.parse(fs.readFileSync(animePath, "utf8")).forEach((anime) => {
+        animeMap[anime.id] = anime;
+      });
+    } else {
+      logger.warn(`Anime data file not found: ${animePath}`);
+      logger.warn("Nodes will not carry formats and start dates");
+    }
+
+    const network = buildRelationNetwork(selected, animeMap);
+    const name = options.series
+      ? selected.length === 1
+        ? selected[0].seriesName || selected[0].seriesId
+        : options.series
+      : "anime-relations";
+    const fileName = graphFileName(name, selected);
+
+    if (!fs.existsSync(outputDir)) {
+      fs.mkdirSync(outputDir, { recursive: true });
+    }
+
+    const files = formats.map((format) => {
+      const filePath = path.join(
+        outputDir,
+        fileName + GRAPH_FORMAT_EXTENSIONS[format]
+      );
+      const content =
+        format === "graphml"
+          ? toGraphML(network)
+          : format === "dot"
+          ? toDot(network, name)
+          : toCytoscape(network);
+      writeFileAtomic(filePath, content);
+      logger.info(`Wrote ${format} graph to ${filePath}`);
+      return filePath;
+    });
+
+    logger.info(
+      `Exported ${selected.length} series: ${network.nodes.length} anime, ${network.edges.length} relations`
+    );
+    return {
+      success: true,
+      files,
+      seriesCount: selected.length,
+      nodeCount: network.nodes.length,
+      edgeCount: network.edges.length,
+    };
+  } catch (error) {
+    logger.error(`Graph export failed: ${error.message}`);
+    return {
+      success: false,
+      error: error.message,
+      errorType: errorTypeOf(error),
+    };
+  }
+}
+
+module.exports = {
+  GRAPH_FORMAT_EXTENSIONS,
+  buildRelationNetwork,
+  toGraphML,
+  toDot,
+  toCytoscape,
+  exportRelationGraph,
+};
@@ -0,0 +1,356 @@
+/**
+ * Graph utilities shared by the grouping and split stages
+ *
+ * Everything here is iterative so that very long franchise chains cannot
+ * overflow the call stack.
+ */
+
+/**
+ * Graph utility class for finding connected components
+ */
+class Graph {
+  constructor() {
+    this.adjacencyList = new Map();
+  }
+
+  addVertex(vertex) {
+    if (!this.adjacencyList.has(vertex)) {
+      this.adjacencyList.set(vertex, []);
+    }
+  }
+
+  addEdge(source, target) {
+    this.addVertex(source);
+    this.addVertex(target);
+    this.adjacencyList.get(source).push(target);
+    this.adjacencyList.get(target).push(source); // Undirected graph
+  }
+
+  dfs(start, visited = new Set()) {
+    const group = new Set();
+    const stack = [start];
+
+    while (stack.length > 0) {
+      const vertex = stack.pop();
+      if (!visited.has(vertex)) {
+        visited.add(vertex);
+        group.add(vertex);
+
+        const neighbors = this.adjacencyList.get(vertex) || [];
+        for (const neighbor of neighbors) {
+          if (!visited.has(neighbor)) {
+            stack.push(neighbor);
+          }
+        }
+      }
+    }
+
+    return group;
+  }
+
+  findConnectedGroups() {
+    const visited = new Set();
+    const groups = [];
+
+    for (const vertex of this.adjacencyList.keys()) {
+      if (!visited.has(vertex)) {
+        const group = this.dfs(vertex, visited);
+        groups.push(Array.from(group));
+      }
+    }
+
+    return groups;
+  }
+}
+
+/**
+ * Disjoint-set (union-find) structure with union by size and path halving.
+ * Both operations run in near-constant amortized time.
+ */
+class DisjointSet {
+  constructor() {
+    this.parent = new Map();
+    this.sizes = new Map();
+  }
+
+  /**
+   * Add an element as its own singleton set
+   * @param {string} element - Element to add
+   */
+  add(element) {
+    if (!this.parent.has(element)) {
+      this.parent.set(element, element);
+      this.sizes.set(element, 1);
+    }
+  }
+
+  /**
+   * Check whether an element has been added
+   * @param {string} element - Element to check
+   * @returns {boolean} True if the element is known
+   */
+  has(element) {
+    return this.parent.has(element);
+  }
+
+  /**
+   * Find the representative of an element's set
+   * @param {string} element - Element to look up
+   * @returns {string} Root element of the set
+   */
+  find(element) {
+    this.add(element);
+
+    let current = element;
+    while (this.parent.get(current) !== current) {
+      const grandparent = this.parent.get(this.parent.get(current));
+      this.parent.set(current, grandparent);
+      current = grandparent;
+    }
+
+    return current;
+  }
+
+  /**
+   * Merge the sets containing two elements
+   * @param {string} a - First element
+   * @param {string} b - Second element
+   * @returns {string} Root of the merged set
+   */
+  union(a, b) {
+    let rootA = this.find(a);
+    let rootB = this.find(b);
+
+    if (rootA === rootB) return rootA;
+
+    if (this.sizes.get(rootA) < this.sizes.get(rootB)) {
+      [rootA, rootB] = [rootB, rootA];
+    }
+
+    this.parent.set(rootB, rootA);
+    this.sizes.set(rootA, this.sizes.get(rootA) + this.sizes.get(rootB));
+    this.sizes.delete(rootB);
+
+    return rootA;
+  }
+
+  /**
+   * Check whether two elements belong to the same set
+   * @param {string} a - First element
+   * @param {string} b - Second element
+   * @returns {boolean} True if both share a root
+   */
+  connected(a, b) {
+    return this.find(a) === this.find(b);
+  }
+
+  /**
+   * Get the number of elements in an element's set
+   * @param {string} element - Element to look up
+   * @returns {number} Set size
+   */
+  sizeOf(element) {
+    return this.sizes.get(this.find(element));
+  }
+}
+
+/**
+ * List the vertices reachable from a start vertex in depth-first preorder.
+ * Neighbors are visited in list order, so the result matches a recursive
+ * traversal of the same adjacency lists.
+ * @param {string} start - Start vertex
+ * @param {Map} adjacency - Map of vertex to array of neighbor vertices
+ * @param {Set} visited - Vertices already visited (updated in place)
+ * @returns {Array} Vertices in visiting order
+ */
+function depthFirstOrder(start, adjacency, visited = new Set()) {
+  const order = [];
+  if (visited.has(start)) return order;
+
+  visited.add(start);
+  order.push(start);
+  const stack = [{ vertex: start, next: 0 }];
+
+  while (stack.length > 0) {
+    const frame = stack[stack.length - 1];
+    const neighbors = adjacency.get(frame.vertex) || [];
+
+    if (frame.next >= neighbors.length) {
+      stack.pop();
+      continue;
+    }
+
+    const neighbor = neighbors[frame.next++];
+    if (!visited.has(neighbor)) {
+      visited.add(neighbor);
+      order.push(neighbor);
+      stack.push({ vertex: neighbor, next: 0 });
+    }
+  }
+
+  return order;
+}
+
+/**
+ * Find the strongly connected components of a directed graph (iterative
+ * Tarjan's algorithm)
+ * @param {Map} adjacency - Map of vertex to array of successor vertices
+ * @returns {Array<Array>} Components, each an array of vertices
+ */
+function findStronglyConnectedComponents(adjacency) {
+  const indexes = new Map();
+  const lowLinks = new Map();
+  const onStack = new Set();
+  const componentStack = [];
+  const components = [];
+  let nextIndex = 0;
+
+  const vertices = new Set(adjacency.keys());
+  for (const successors of adjacency.values()) {
+    successors.forEach((vertex) => vertices.add(vertex));
+  }
+
+  for (const root of vertices) {
+    if (indexes.has(root)) continue;
+
+    const callStack = [{ vertex: root, next: 0 }];
+    indexes.set(root, nextIndex);
+    lowLinks.set(root, nextIndex);
+    nextIndex++;
+    componentStack.push(root);
+    onStack.add(root);
+
+    while (callStack.length > 0) {
+      const frame = callStack[callStack.length - 1];
+      const successors = adjacency.get(frame.vertex) || [];
+
+      if (frame.next < successors.length) {
+        const successor = successors[frame.next++];
+
+        if (!indexes.has(successor)) {
+          indexes.set(successor, nextIndex);
+          lowLinks.set(successor, nextIndex);
+          nextIndex++;
+          componentStack.push(successor);
+          onStack.add(successor);
+          callStack.push({ vertex: successor, next: 0 });
+        } else if (onStack.has(successor)) {
+          lowLinks.set(
+            frame.vertex,
+            Math.min(lowLinks.get(frame.vertex), indexes.get(successor))
+          );
+        }
+        continue;
+      }
+
+      // All successors done: close the component if this is its root
+      callStack.pop();
+      if (callStack.length > 0) {
+        const parent = callStack[callStack.length - 1].vertex;
+        lowLinks.set(
+          parent,
+          Math.min(lowLinks.get(parent), lowLinks.get(frame.vertex))
+        );
+      }
+
+      if (lowLinks.get(frame.vertex) === indexes.get(frame.vertex)) {
+        const component = [];
+        let vertex;
+        do {
+          vertex = componentStack.pop();
+          onStack.delete(vertex);
+          component.push(vertex);
+        } while (vertex !== frame.vertex);
+        components.push(component);
+      }
+    }
+  }
+
+  return components;
+}
+
+/**
+ * Find a shortest directed cycle through a vertex, staying inside a set of
+ * allowed vertices
+ * @param {string} start - Vertex the cycle must pass through
+ * @param {Map} adjacency - Map of vertex to array of successor vertices
+ * @param {Set} allowed - Vertices the cycle may use
+ * @returns {Array|null} Cycle path starting and ending at start, or null
+ */
+function findCycleThrough(start, adjacency, allowed) {
+  const previous = new Map();
+  const queue = [start];
+
+  for (let head = 0; head < queue.length; head++) {
+    const vertex = queue[head];
+
+    for (const successor of adjacency.get(vertex) || []) {
+      if (!allowed.has(successor)) continue;
+
+      if (successor === start) {
+        const path = [start];
+        for (let v = vertex; v !== start; v = previous.get(v)) {
+          path.push(v);
+        }
+        path.push(start);
+        return path.reverse();
+      }
+
+      if (!previous.has(successor)) {
+        previous.set(successor, vertex);
+        queue.push(successor);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Order vertices numerically when both are numeric IDs, otherwise as strings
+ * @param {string} a - First vertex
+ * @param {string} b - Second vertex
+ * @returns {number} Sort order
+ */
+function compareVertices(a, b) {
+  const numberA = Number(a);
+  const numberB = Number(b);
+  if (!isNaN(numberA) && !isNaN(numberB) && numberA !== numberB) {
+    return numberA - numberB;
+  }
+  return String(a).localeCompare(String(b));
+}
+
+/**
+ * Find directed cycles, reporting one shortest cycle per strongly connected
+ * component (including self-loops)
+ * @param {Map} adjacency - Map of vertex to array of successor vertices
+ * @returns {Array<object>} Cycles as { path, vertices }
+ */
+function findDirectedCycles(adjacency) {
+  return findStronglyConnectedComponents(adjacency)
+    .filter(
+      (component) =>
+        component.length > 1 ||
+        (adjacency.get(component[0]) || []).includes(component[0])
+    )
+    .map((component) => {
+      const vertices = new Set(component);
+      const start = component.reduce((lowest, vertex) =>
+        compareVertices(vertex, lowest) < 0 ? vertex : lowest
+      );
+      return {
+        path: findCycleThrough(start, adjacency, vertices),
+        vertices: component,
+      };
+    });
+}
+
+module.exports = {
+  Graph,
+  DisjointSet,
+  depthFirstOrder,
+  findStronglyConnectedComponents,
+  findDirectedCycles,
+  compareVertices,
+};
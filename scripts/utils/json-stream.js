@@ -0,0 +1,175 @@
+const fs = require("fs");
+
+/**
+ * Supported output formats and their file extensions
+ */
+const FORMAT_EXTENSIONS = {
+  json: ".json",
+  ndjson: ".ndjson",
+};
+
+/**
+ * Serialize a single record for the given output format
+ * @param {object} record - Record to serialize
+ * @param {string} format - Output format ('json' or 'ndjson')
+ * @returns {string} Serialized record without separators
+ */
+function serializeRecord(record, format) {
+  if (format === "ndjson") {
+    return JSON.stringify(record);
+  }
+
+  // Indent every line so the array matches JSON.stringify(data, null, 2)
+  return JSON.stringify(record, null, 2)
+    .split("\n")
+    .map((line) => `  ${line}`)
+    .join("\n");
+}
+
+/**
+ * Validate a record before it is written
+ * @param {*} record - Record to validate
+ * @param {string} serialized - Serialized form of the record
+ * @param {number} index - Position of the record in the output
+ * @throws {Error} If the record cannot be written as valid JSON
+ */
+function validateRecord(record, serialized, index) {
+  if (!record || typeof record !== "object" || Array.isArray(record)) {
+    throw new Error(`Record ${index} is not a JSON object`);
+  }
+
+  if (typeof serialized !== "string") {
+    throw new Error(`Record ${index} could not be serialized`);
+  }
+
+  // Parsing one record at a time keeps validation memory bounded
+  JSON.parse(serialized);
+}
+
+/**
+ * Create a streaming writer that emits records one at a time as a JSON
+ * array or as newline-delimited JSON
+ * @param {string} filePath - Output file path
+ * @param {object} options - Writer options
+ * @param {string} options.format - Output format ('json' or 'ndjson')
+ * @param {boolean} options.validate - Validate each record as it is written
+ * @param {OutputTransaction} options.outputs - Stage the file in an output
+ *   transaction (see atomic-writer.js) instead of writing it in place
+ * @returns {object} Writer with write() and end() methods
+ */
+function createJsonWriter(filePath, options = {}) {
+  const format = options.format || "json";
+  const validate = options.validate !== false;
+
+  if (!FORMAT_EXTENSIONS[format]) {
+    throw new Error(`Unsupported output format: ${format}`);
+  }
+
+  const writePath = options.outputs
+    ? options.outputs.tempPathFor(filePath)
+    : filePath;
+  const stream = fs.createWriteStream(writePath);
+  let streamError = null;
+  let recordCount = 0;
+  let bytesWritten = 0;
+
+  stream.on("error", (err) => {
+    streamError = err;
+  });
+
+  /**
+   * Write a chunk, waiting for the stream to drain when its buffer is full
+   * @param {string} chunk - Text to write
+   * @returns {Promise<void>}
+   */
+  function writeChunk(chunk) {
+    if (streamError) {
+      return Promise.reject(streamError);
+    }
+
+    bytesWritten += Buffer.byteLength(chunk);
+
+    if (stream.write(chunk)) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const onDrain = () => {
+        stream.removeListener("error", onError);
+        resolve();
+      };
+      const onError = (err) => {
+        stream.removeListener("drain", onDrain);
+        reject(err);
+      };
+      stream.once("drain", onDrain);
+      stream.once("error", onError);
+    });
+  }
+
+  return {
+    filePath,
+    format,
+
+    /**
+     * Write a single record
+     * @param {object} record - Record to write
+     * @returns {Promise<void>}
+     */
+    write(record) {
+      const serialized = serializeRecord(record, format);
+
+      if (validate) {
+        validateRecord(record, serialized, recordCount);
+      }
+
+      let chunk;
+      if (format === "ndjson") {
+        chunk = `${serialized}\n`;
+      } else {
+        chunk = `${recordCount === 0 ? "[\n" : ",\n"}${serialized}`;
+      }
+
+      recordCount++;
+      return writeChunk(chunk);
+    },
+
+    /**
+     * Close the output and verify what reached the disk
+     * @returns {Promise<object>} Write statistics
+     */
+    async end() {
+      if (format === "json") {
+        await writeChunk(recordCount === 0 ? "[]\n" : "\n]\n");
+      }
+
+      await new Promise((resolve, reject) => {
+        if (streamError) {
+          reject(streamError);
+          return;
+        }
+        stream.once("error", reject);
+        stream.end(resolve);
+      });
+
+      const { size } = fs.statSync(writePath);
+      if (size !== bytesWritten) {
+        throw new Error(
+          `Incomplete output ${filePath}: expected ${bytesWritten} bytes, found ${size}`
+        );
+      }
+
+      return { filePath, format, recordCount, bytesWritten };
+    },
+
+    /**
+     * Abort writing and release the file handle
+     */
+    destroy() {
+      stream.destroy();
+      if (options.outputs) options.outputs.discard(filePath);
+    },
+  };
+}
+
+module.exports = { createJsonWriter, FORMAT_EXTENSIONS };
@@ -2,10 +2,256 @@ const fs = require("fs");
 const path = require("path");
 const util = require("util");
 
-// Create logs directory if it doesn't exist
-const logsDir = path.join(process.cwd(), "logs");
-if (!fs.existsSync(logsDir)) {
-  fs.mkdirSync(logsDir, { recursive: true });
+const { LOG_LEVELS, getConfig, getPath } = require("./config");
+
+/**
+ * Context added to every JSON log line: the ID of the pipeline run and the
+ * stage running when the line was logged
+ */
+const context = { runId: null, stage: null };
+
+// Console output, see setConsoleOutput()
+const consoleOutput = { level: null, stderr: false };
+
+// Open log files by path
+const logFiles = new Map();
+
+/**
+ * Set the run ID or stage added to the JSON log lines
+ * @param {object} values - Context values ({ runId, stage })
+ */
+function setLogContext(values) {
+  Object.assign(context, values);
+}
+
+/**
+ * Set which log lines are printed on the console, and where
+ * @param {object} options - Console options
+ * @param {string} options.level - Lowest level printed (null to print every
+ *   line that is logged)
+ * @param {boolean} options.stderr - Print every line on stderr, keeping
+ *   stdout for command output
+ */
+function setConsoleOutput(options) {
+  Object.assign(consoleOutput, options);
+}
+
+/**
+ * Get the day of a time, for daily rotation
+ * @param {Date} date - Time
+ * @returns {string} Day in YYYY-MM-DD form (UTC)
+ */
+function dayOf(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Rotate a log file: `<file>.1` becomes `<file>.2` and so on, the file
+ * becomes `<file>.1`, and rotated files beyond the retention are removed
+ * @param {string} filePath - Log file
+ * @param {number} keep - Rotated files to keep
+ */
+function rotateFile(filePath, keep) {
+  const base = path.basename(filePath);
+  fs.readdirSync(path.dirname(filePath))
+    .filter((name) => name.startsWith(`${base}.`))
+    .map((name) => Number(name.slice(base.length + 1)))
+    .filter((n) => Number.isInteger(n) && n > 0)
+    .sort((a, b) => b - a)
+    .forEach((n) => {
+      if (n >= keep) {
+        fs.rmSync(`${filePath}.${n}`, { force: true });
+      } else {
+        fs.renameSync(`${filePath}.${n}`, `${filePath}.${n + 1}`);
+      }
+    });
+
+  if (keep > 0) {
+    fs.renameSync(filePath, `${filePath}.1`);
+  } else {
+    fs.rmSync(filePath, { force: true });
+  }
+}
+
+/**
+ * A log file written in the background. Lines logged in the same tick are
+ * appended together once the event loop is free, and the file is rotated
+ * before a write that is due for it (config logging.rotation).
+ */
+class LogFile {
+  /**
+   * @param {string} filePath - Log file path
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.pending = [];
+    this.writing = null;
+    // Lines being appended in the background and the file size they start
+    // at, see flushSync()
+    this.inFlight = null;
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    if (!fs.existsSync(filePath)) fs.writeFileSync(filePath, "");
+    const stats = fs.statSync(filePath);
+    this.size = stats.size;
+    this.day = dayOf(stats.mtime);
+  }
+
+  /**
+   * Queue a line for writing
+   * @param {string} line - Log line, with its newline
+   */
+  write(line) {
+    this.pending.push(line);
+    if (!this.writing) {
+      this.writing = new Promise((resolve) => setImmediate(resolve)).then(() =>
+        this.drain()
+      );
+    }
+  }
+
+  /**
+   * Append the queued lines until none are left
+   * @returns {Promise<void>}
+   */
+  async drain() {
+    try {
+      while (this.pending.length > 0) {
+        const chunk = this.takePending();
+        this.inFlight = {
+          data: Buffer.from(chunk),
+          start: this.size - Buffer.byteLength(chunk),
+        };
+        try {
+          await fs.promises.appendFile(this.filePath, chunk);
+        } catch (error) {
+          // The logs directory was removed while the file was open
+          if (error.code !== "ENOENT") throw error;
+          fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+          await fs.promises.appendFile(this.filePath, chunk);
+        }
+        this.inFlight = null;
+      }
+    } catch (error) {
+      this.pending = [];
+      console.error(`Cannot write log file ${this.filePath}: ${error.message}`);
+    } finally {
+      this.inFlight = null;
+      this.writing = null;
+    }
+  }
+
+  /**
+   * Take the queued lines for writing, rotating the file first if due
+   * @returns {string} Lines to append
+   */
+  takePending() {
+    const chunk = this.pending.join("");
+    this.pending = [];
+
+    const bytes = Buffer.byteLength(chunk);
+    const { maxSize, interval, keep = 0 } = getConfig().logging.rotation || {};
+    const today = dayOf(new Date());
+    const due =
+      this.size > 0 &&
+      ((typeof maxSize === "number" && this.size + bytes > maxSize) ||
+        (interval === "daily" && this.day !== today));
+    if (due && fs.existsSync(this.filePath)) {
+      rotateFile(this.filePath, keep);
+      this.size = 0;
+    }
+
+    this.size += bytes;
+    this.day = today;
+    return chunk;
+  }
+
+  /**
+   * Wait until the queued lines are written
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    while (this.writing) await this.writing;
+  }
+
+  /**
+   * Write the queued lines at once, when the process is about to exit and
+   * cannot wait for a background write. The part of an unfinished background
+   * write that has not reached the file yet is written as well.
+   */
+  flushSync() {
+    if (!this.inFlight && this.pending.length === 0) return;
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      if (this.inFlight) {
+        const { data, start } = this.inFlight;
+        const size = fs.existsSync(this.filePath)
+          ? fs.statSync(this.filePath).size
+          : 0;
+        const written = Math.min(Math.max(size - start, 0), data.length);
+        fs.appendFileSync(this.filePath, data.subarray(written));
+        this.inFlight = null;
+      }
+      if (this.pending.length > 0) {
+        fs.appendFileSync(this.filePath, this.takePending());
+      }
+    } catch (error) {
+      console.error(`Cannot write log file ${this.filePath}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Get the open log file at a path, opening it on first use
+ * @param {string} filePath - Log file path
+ * @returns {LogFile} Log file
+ */
+function getLogFile(filePath) {
+  if (!logFiles.has(filePath)) logFiles.set(filePath, new LogFile(filePath));
+  return logFiles.get(filePath);
+}
+
+/**
+ * Resolve the log files of a component in the configured logs directory
+ * @param {string} component - Component name
+ * @returns {object} Log file and error log file
+ */
+function getLogFiles(component) {
+  const logsDir = getPath("logsDir");
+  return {
+    logFile: getLogFile(path.join(logsDir, `${component}.log`)),
+    errorFile: getLogFile(path.join(logsDir, `${component}.error.log`)),
+  };
+}
+
+/**
+ * Wait until every queued log line is written
+ * @returns {Promise<void>}
+ */
+async function flushLogs() {
+  for (const logFile of logFiles.values()) {
+    await logFile.flush();
+  }
+}
+
+// Lines still queued or being written when the process exits are written
+// synchronously
+process.on("exit", () => {
+  logFiles.forEach((logFile) => logFile.flushSync());
+});
+
+/**
+ * Check whether a message of a level is logged for a component
+ * @param {string} component - Component name
+ * @param {string} level - Message level ('DEBUG', 'INFO', 'WARN', 'ERROR')
+ * @returns {boolean} True if the level is at or above the configured level
+ */
+function isLevelEnabled(component, level) {
+  const { logging } = getConfig();
+  const threshold = (logging.components || {})[component] || logging.level;
+  return (
+    LOG_LEVELS.indexOf(level.toLowerCase()) >= LOG_LEVELS.indexOf(threshold)
+  );
 }
 
 /**
@@ -23,38 +269,57 @@ function getTimestamp() {
  * @returns {object} Logger object with logging methods
  */
 function getLogger(component) {
-  const logFile = path.join(logsDir, `${component}.log`);
-  const errorFile = path.join(logsDir, `${component}.error.log`);
-
-  // Create or append to log files
-  if (!fs.existsSync(logFile)) {
-    fs.writeFileSync(logFile, "");
-  }
-
-  if (!fs.existsSync(errorFile)) {
-    fs.writeFileSync(errorFile, "");
-  }
-
   /**
    * Write to log file
    * @param {string} level - Log level
    * @param {string} message - Log message
+   * @param {object} fields - Structured fields of the message
    * @param {boolean} isError - Whether to write to error log
    */
-  function writeToLog(level, message, isError = false) {
+  function writeToLog(level, message, fields = {}, isError = false) {
+    if (!isLevelEnabled(component, level)) return;
+
+    // Looked up on every write so the logs follow the loaded config
+    const { logFile, errorFile } = getLogFiles(component);
     const timestamp = getTimestamp();
-    const logEntry = `[${timestamp}] [${level}] [${component}] ${message}\n`;
+    const hasFields = Object.keys(fields).length > 0;
+    const textEntry =
+      `[${timestamp}] [${level}] [${component}] ${message}` +
+      (hasFields ? ` ${JSON.stringify(fields)}` : "");
+    const logEntry =
+      getConfig().logging.format === "json"
+        ? JSON.stringify({
+            ...fields,
+            timestamp,
+            level: level.toLowerCase(),
+            component,
+            runId: context.runId,
+            stage: context.stage,
+            message,
+          }) + "\n"
+        : `${textEntry}\n`;
 
     // Write to console
-    const consoleMethod = isError ? "error" : level === "WARN" ? "warn" : "log";
-    console[consoleMethod](logEntry.trim());
+    if (
+      !consoleOutput.level ||
+      LOG_LEVELS.indexOf(level.toLowerCase()) >=
+        LOG_LEVELS.indexOf(consoleOutput.level)
+    ) {
+      const consoleMethod =
+        isError || consoleOutput.stderr
+          ? "error"
+          : level === "WARN"
+          ? "warn"
+          : "log";
+      console[consoleMethod](textEntry);
+    }
 
     // Write to file
-    fs.appendFileSync(logFile, logEntry);
+    logFile.write(logEntry);
 
     // Also write to error log if it's an error
     if (isError) {
-      fs.appendFileSync(errorFile, logEntry);
+      errorFile.write(logEntry);
     }
   }
 
@@ -62,33 +327,37 @@ function getLogger(component) {
     /**
      * Log info message
      * @param {string} message - Log message
+     * @param {object} fields - Structured fields of the message
      */
-    info: (message) => {
-      writeToLog("INFO", message);
+    info: (message, fields) => {
+      writeToLog("INFO", message, fields);
     },
 
     /**
      * Log warning message
      * @param {string} message - Log message
+     * @param {object} fields - Structured fields of the message
      */
-    warn: (message) => {
-      writeToLog("WARN", message);
+    warn: (message, fields) => {
+      writeToLog("WARN", message, fields);
     },
 
     /**
      * Log error message
      * @param {string} message - Log message
+     * @param {object} fields - Structured fields of the message
      */
-    error: (message) => {
-      writeToLog("ERROR", message, true);
+    error: (message, fields) => {
+      writeToLog("ERROR", message, fields, true);
     },
 
     /**
      * Log debug message
      * @param {string} message - Log message
+     * @param {object} fields - Structured fields of the message
      */
-    debug: (message) => {
-      writeToLog("DEBUG", message);
+    debug: (message, fields) => {
+      writeToLog("DEBUG", message, fields);
     },
 
     /**
@@ -103,4 +372,4 @@ function getLogger(component) {
   };
 }
 
-module.exports = { getLogger };
+module.exports = { getLogger, setLogContext, setConsoleOutput, flushLogs };
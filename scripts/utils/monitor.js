@@ -2,6 +2,8 @@ const os = require("os");
 const path = require("path");
 const fs = require("fs");
 
+const { getPath } = require("./config");
+
 // Setup monitoring
 const startTime = new Date();
 const metrics = {
@@ -78,6 +80,25 @@ function endStage(stageName, success, error = null) {
   trackResources(stageName, "end");
 }
 
+/**
+ * Record a stage that was not run because its previous output was reused
+ * @param {string} stageName - Name of the stage
+ * @param {string} reason - Why the stage was skipped
+ */
+function skipStage(stageName, reason) {
+  const now = new Date();
+  logger.info(`Skipping stage: ${stageName} (${reason})`);
+  metrics.stages[stageName] = {
+    startTime: now,
+    endTime: now,
+    duration: 0,
+    success: true,
+    skipped: true,
+    reason,
+    error: null,
+  };
+}
+
 /**
  * Track system resources
  * @param {string} stageName - Name of the stage
@@ -133,8 +154,7 @@ function completeMonitoring() {
 
   // Save metrics to file
   const metricsFile = path.join(
-    process.cwd(),
-    "logs",
+    getPath("logsDir"),
     `pipeline-metrics-${new Date().toISOString().replace(/:/g, "-")}.json`
   );
   fs.writeFileSync(metricsFile, JSON.stringify(metrics, null, 2));
@@ -155,6 +175,7 @@ function getMetrics() {
 module.exports = {
   startStage,
   endStage,
+  skipStage,
   completeMonitoring,
   getMetrics,
 };
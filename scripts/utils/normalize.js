@@ -0,0 +1,241 @@
+/**
+ * Record normalization for converted CSV rows
+ *
+ * csv-parser yields every value as a string. These helpers turn a raw row
+ * into a typed record: camelCase keys, and JSON arrays/objects, numbers,
+ * booleans and dates in the columns known to hold them. Identifier fields
+ * (`id`, `*Id`, `*Ids`) always stay strings so lookups keyed by ID behave the
+ * same everywhere, and other text, such as a title like "86" or "[1]", stays
+ * a string.
+ */
+
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+const BOOLEAN_PATTERN = /^(true|false)$/i;
+const PARTIAL_DATE_PATTERN = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+// Values such as "[Oshi no Ko]" start with a bracket but are not JSON
+const JSON_ARRAY_PATTERN = /^\[\s*($|["{[\]\d-]|true|false|null)/;
+const JSON_OBJECT_PATTERN = /^\{\s*($|["}])/;
+
+/**
+ * AniList columns holding JSON arrays or objects, by camelCase name. ID list
+ * columns (`*Ids`) are parsed as well.
+ */
+const JSON_FIELDS = new Set([
+  "relations",
+  "genres",
+  "studios",
+  "tags",
+  "synonyms",
+  "coverImage",
+  "externalLinks",
+  "streamingEpisodes",
+  "rankings",
+  "trailer",
+]);
+
+/**
+ * AniList columns holding numbers, by camelCase name
+ */
+const NUMBER_FIELDS = new Set([
+  "episodes",
+  "duration",
+  "chapters",
+  "volumes",
+  "averageScore",
+  "meanScore",
+  "popularity",
+  "favourites",
+  "trending",
+  "seasonYear",
+]);
+
+/**
+ * AniList columns holding booleans, by camelCase name
+ */
+const BOOLEAN_FIELDS = new Set(["isAdult", "isLicensed", "isLocked"]);
+
+/**
+ * Convert a column name to camelCase
+ * @param {string} key - Original key (snake_case, kebab-case, spaced, ...)
+ * @returns {string} camelCase key
+ */
+function toCamelCase(key) {
+  const words = String(key)
+    .trim()
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean);
+
+  if (words.length === 0) return String(key);
+
+  return words
+    .map((word, index) => {
+      const lower = word.toLowerCase();
+      return index === 0
+        ? lower
+        : lower.charAt(0).toUpperCase() + lower.slice(1);
+    })
+    .join("");
+}
+
+/**
+ * Check whether a camelCase key holds an identifier
+ * @param {string} key - camelCase key
+ * @returns {boolean} True for ID fields
+ */
+function isIdField(key) {
+  return key === "id" || /[a-z0-9](Id|Ids)$/.test(key);
+}
+
+/**
+ * Check whether a camelCase key holds a JSON array or object
+ * @param {string} key - camelCase key
+ * @returns {boolean} True for JSON fields
+ */
+function isJsonField(key) {
+  return JSON_FIELDS.has(key) || /[a-z0-9]Ids$/.test(key);
+}
+
+/**
+ * Check whether a camelCase key holds a date
+ * @param {string} key - camelCase key
+ * @returns {boolean} True for date fields
+ */
+function isDateField(key) {
+  return key === "date" || /[a-z0-9](Date|At)$/.test(key);
+}
+
+/**
+ * Normalize an identifier (or list of identifiers) to strings
+ * @param {*} value - Identifier value
+ * @returns {*} String identifier, array of strings or null
+ */
+function normalizeId(value) {
+  if (value === null || value === undefined || value === "") return null;
+  if (Array.isArray(value)) return value.map(normalizeId);
+  if (typeof value === "object") return value;
+  return String(value).trim();
+}
+
+/**
+ * Recursively camelCase keys of parsed JSON and stringify nested IDs
+ * @param {*} value - Parsed JSON value
+ * @returns {*} Normalized value
+ */
+function normalizeNested(value) {
+  if (Array.isArray(value)) {
+    return value.map(normalizeNested);
+  }
+
+  if (value && typeof value === "object") {
+    const normalized = {};
+    Object.keys(value).forEach((rawKey) => {
+      const key = toCamelCase(rawKey);
+      normalized[key] = isIdField(key)
+        ? normalizeId(normalizeNested(value[rawKey]))
+        : normalizeNested(value[rawKey]);
+    });
+    return normalized;
+  }
+
+  return value;
+}
+
+/**
+ * Normalize a date value to an ISO string
+ * @param {string} value - Raw date string
+ * @returns {string} ISO date ("YYYY", "YYYY-MM", "YYYY-MM-DD" or full timestamp)
+ * @throws {Error} If the value is not a recognizable date
+ */
+function normalizeDate(value) {
+  if (PARTIAL_DATE_PATTERN.test(value)) {
+    return value;
+  }
+
+  const timestamp = Date.parse(value);
+  if (isNaN(timestamp)) {
+    throw new Error(`invalid date "${value}"`);
+  }
+
+  return new Date(timestamp).toISOString();
+}
+
+/**
+ * Coerce a single raw string value to its native type
+ * @param {string} key - camelCase key
+ * @param {*} rawValue - Raw value from the CSV row
+ * @returns {*} Typed value
+ * @throws {Error} If a JSON or date value cannot be parsed
+ */
+function coerceValue(key, rawValue) {
+  if (typeof rawValue !== "string") {
+    return isIdField(key) ? normalizeId(rawValue) : rawValue;
+  }
+
+  const value = rawValue.trim();
+
+  if (value === "") return null;
+
+  // Arrays and objects stored as JSON strings
+  if (
+    isJsonField(key) &&
+    (JSON_ARRAY_PATTERN.test(value) || JSON_OBJECT_PATTERN.test(value))
+  ) {
+    let parsed;
+    try {
+      parsed = normalizeNested(JSON.parse(value));
+    } catch (error) {
+      throw new Error(`invalid JSON (${error.message})`);
+    }
+    return isIdField(key) ? normalizeId(parsed) : parsed;
+  }
+
+  if (isIdField(key)) return normalizeId(value);
+
+  if (isDateField(key)) return normalizeDate(value);
+
+  if (BOOLEAN_FIELDS.has(key) && BOOLEAN_PATTERN.test(value)) {
+    return value.toLowerCase() === "true";
+  }
+
+  if (NUMBER_FIELDS.has(key) && NUMBER_PATTERN.test(value)) {
+    const number = Number(value);
+    // Keep values that would lose precision as strings
+    if (Number.isSafeInteger(number) || !Number.isInteger(number)) {
+      return number;
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Normalize a raw CSV row into a typed record
+ * @param {object} row - Raw row from csv-parser
+ * @param {object} options - Normalization options
+ * @param {Function} options.onWarning - Called with (field, message) for
+ *   values that could not be parsed; the field is set to null
+ * @returns {object} Normalized record
+ */
+function normalizeRecord(row, options = {}) {
+  const onWarning = options.onWarning || (() => {});
+  const record = {};
+
+  Object.keys(row).forEach((rawKey) => {
+    const key = toCamelCase(rawKey);
+
+    try {
+      record[key] = coerceValue(key, row[rawKey]);
+    } catch (error) {
+      onWarning(key, error.message);
+      record[key] = null;
+    }
+  });
+
+  return record;
+}
+
+module.exports = {
+  toCamelCase,
+  normalizeRecord,
+};
@@ -0,0 +1,115 @@
+/**
+ * Relation-type taxonomy for the advanced split
+ *
+ * Every relation type maps to a category:
+ * - main: the relation links anime into the same main series
+ * - satellite: the related anime are listed on the main series
+ *   (satelliteIds), but not grouped
+ * - any other name: a bucket; anime linked by the relation are split off into
+ *   groups of that bucket, listed under the bucket name in the output
+ *
+ * A relation type may map to a list of buckets to appear in each of them.
+ */
+
+const MAIN_CATEGORY = "main";
+const SATELLITE_CATEGORY = "satellite";
+
+/**
+ * Turn a bucket key into a default label ('spinOff' -> 'Spin Off')
+ * @param {string} key - Bucket key
+ * @returns {string} Label
+ */
+function defaultLabel(key) {
+  const words = key.replace(/([a-z0-9])([A-Z])/g, "$1 $2");
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Turn a bucket key into a default series type ('spinOff' -> 'SPIN_OFF')
+ * @param {string} key - Bucket key
+ * @returns {string} Series type
+ */
+function defaultSeriesType(key) {
+  return key.replace(/([a-z0-9])([A-Z])/g, "$1_$2").toUpperCase();
+}
+
+class RelationTaxonomy {
+  /**
+   * @param {object} settings - Taxonomy settings (config relations.taxonomy)
+   * @param {object} settings.relationTypes - Category, or list of buckets, of
+   *   each relation type
+   * @param {string} settings.defaultCategory - Category of unlisted types
+   * @param {object} settings.buckets - Bucket label and series type by key,
+   *   in output order
+   */
+  constructor(settings = {}) {
+    const buckets = settings.buckets || {};
+    this.buckets = Object.keys(buckets).map((key) => ({
+      key,
+      label: (buckets[key] && buckets[key].label) || defaultLabel(key),
+      seriesType:
+        (buckets[key] && buckets[key].seriesType) || defaultSeriesType(key),
+    }));
+    this.bucketKeys = this.buckets.map((bucket) => bucket.key);
+    this.defaultCategory = settings.defaultCategory || MAIN_CATEGORY;
+    this.relationTypes = {};
+
+    this.bucketKeys.forEach((key) => {
+      if (key === MAIN_CATEGORY || key === SATELLITE_CATEGORY) {
+        throw new Error(`"${key}" is reserved and cannot be a bucket name`);
+      }
+    });
+
+    Object.keys(settings.relationTypes || {}).forEach((relationType) => {
+      const value = settings.relationTypes[relationType];
+      const categories = Array.isArray(value) ? value : [value];
+      if (categories.length > 1 && !categories.every((c) => this.isBucket(c))) {
+        throw new Error(
+          `Relation type ${relationType} can only be listed in buckets`
+        );
+      }
+      this.relationTypes[relationType] = categories;
+    });
+
+    [this.defaultCategory, ...Object.values(this.relationTypes).flat()].forEach(
+      (category) => {
+        if (
+          category !== MAIN_CATEGORY &&
+          category !== SATELLITE_CATEGORY &&
+          !this.isBucket(category)
+        ) {
+          throw new Error(`Unknown relation category "${category}"`);
+        }
+      }
+    );
+  }
+
+  /**
+   * Check whether a category is a configured bucket
+   * @param {string} category - Category name
+   * @returns {boolean} True for buckets
+   */
+  isBucket(category) {
+    return this.bucketKeys.includes(category);
+  }
+
+  /**
+   * Get the categories of a relation type
+   * @param {string} relationType - AniList relation type
+   * @returns {Array<string>} Categories
+   */
+  categoriesOf(relationType) {
+    return this.relationTypes[relationType] || [this.defaultCategory];
+  }
+
+  /**
+   * Check whether a relation type links anime into the same main series
+   * @param {string} relationType - AniList relation type
+   * @returns {boolean} True for main relations
+   */
+  isMain(relationType) {
+    return this.categoriesOf(relationType)[0] === MAIN_CATEGORY;
+  }
+}
+
+module.exports = { MAIN_CATEGORY, SATELLITE_CATEGORY, RelationTaxonomy };
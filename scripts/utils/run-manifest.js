@@ -0,0 +1,138 @@
+const fs = require("fs");
+const path = require("path");
+
+const { fingerprint, fingerprintFile } = require("./change-detection");
+const { createRunId } = require("./snapshots");
+const { writeFileAtomic } = require("./atomic-writer");
+
+/**
+ * Run manifest for checkpointing pipeline runs
+ *
+ * The manifest records, for every stage of the last run, its status, the
+ * fingerprints of the files it read and wrote, the options it ran with and
+ * its result. A resumed run compares these against the current files to
+ * decide which stages can be skipped.
+ */
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * Stage statuses recorded in the manifest
+ */
+const STAGE_STATUS = {
+  RUNNING: "running",
+  COMPLETED: "completed",
+  FAILED: "failed",
+};
+
+/**
+ * Load the manifest of the previous run
+ * @param {string} filePath - Manifest path
+ * @returns {object|null} Manifest, or null if there is no usable one
+ */
+function loadManifest(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+
+  try {
+    const manifest = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    return manifest.version === MANIFEST_VERSION ? manifest : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Start the manifest of a new run
+ * @param {object} previous - Manifest of the previous run, if any
+ * @returns {object} New manifest
+ */
+function createManifest(previous) {
+  const startedAt = new Date();
+  return {
+    version: MANIFEST_VERSION,
+    runId: createRunId(startedAt),
+    startedAt: startedAt.toISOString(),
+    finishedAt: null,
+    status: STAGE_STATUS.RUNNING,
+    failedStage: null,
+    // Stages that are not run again keep their record from the previous run
+    stages: previous ? { ...previous.stages } : {},
+  };
+}
+
+/**
+ * Save a manifest
+ * @param {string} filePath - Manifest path
+ * @param {object} manifest - Manifest to save
+ */
+function saveManifest(filePath, manifest) {
+  writeFileAtomic(filePath, JSON.stringify(manifest, null, 2) + "\n");
+}
+
+/**
+ * Fingerprint a list of files, keyed by their path relative to the working
+ * directory. Missing files (or anything that is not a file) are recorded as
+ * null.
+ * @param {Array<string>} filePaths - Files to fingerprint
+ * @returns {Promise<object>} Map of relative path to fingerprint
+ */
+async function fingerprintFiles(filePaths) {
+  const fingerprints = {};
+  for (const filePath of filePaths) {
+    const isFile = fs.existsSync(filePath) && fs.statSync(filePath).isFile();
+    fingerprints[path.relative(process.cwd(), filePath)] = isFile
+      ? await fingerprintFile(filePath)
+      : null;
+  }
+  return fingerprints;
+}
+
+/**
+ * Check whether two file fingerprint maps describe the same existing files
+ * @param {object} recorded - Fingerprints recorded in the manifest
+ * @param {object} current - Current fingerprints
+ * @returns {boolean} True if every file exists and is unchanged
+ */
+function sameFiles(recorded, current) {
+  const keys = Object.keys(current);
+  return (
+    keys.length === Object.keys(recorded || {}).length &&
+    keys.every((key) => current[key] !== null && recorded[key] === current[key])
+  );
+}
+
+/**
+ * Check whether a stage recorded in the manifest can be reused as is
+ * @param {object} record - Stage record from the previous manifest
+ * @param {object} current - Current inputs, outputs and settings fingerprint
+ * @returns {boolean} True if the stage completed with the same inputs and
+ *   options, and its outputs are unchanged since
+ */
+function isStageReusable(record, current) {
+  return Boolean(
+    record &&
+      record.status === STAGE_STATUS.COMPLETED &&
+      record.settings === current.settings &&
+      sameFiles(record.inputs, current.inputs) &&
+      sameFiles(record.outputs, current.outputs)
+  );
+}
+
+/**
+ * Fingerprint the options a stage ran with
+ * @param {object} settings - Stage options that affect its output
+ * @returns {string} Settings fingerprint
+ */
+function fingerprintSettings(settings) {
+  return fingerprint(settings || {});
+}
+
+module.exports = {
+  STAGE_STATUS,
+  loadManifest,
+  createManifest,
+  saveManifest,
+  fingerprintFiles,
+  fingerprintSettings,
+  isStageReusable,
+};
@@ -0,0 +1,247 @@
+/**
+ * Run-to-run diff of series membership
+ *
+ * The grouping and split results of a run are reduced to a membership
+ * snapshot: the name and anime of every series, and the category of every
+ * split series. Two snapshots are compared by series ID, which stays stable
+ * across runs (see series-ids.js), so a series whose anime changed is the same
+ * series; series that merged or split are found from where their anime went.
+ *
+ * Churn is the share of anime, among those present in both runs, that moved
+ * to another series or changed split series or bucket.
+ */
+
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Reduce the grouping and split results to a membership snapshot
+ * @param {Array} series - Series from the grouping stage
+ * @param {object} splitSeries - Split series by category, from the split stage
+ * @returns {object} Membership snapshot
+ */
+function createMembershipSnapshot(series, splitSeries) {
+  const snapshot = {
+    version: SNAPSHOT_VERSION,
+    createdAt: new Date().toISOString(),
+    series: {},
+    splitSeries: {},
+  };
+
+  series.forEach(({ seriesId, seriesName, animeIds }) => {
+    snapshot.series[seriesId] = {
+      name: seriesName,
+      animeIds: animeIds.map(String),
+    };
+  });
+
+  Object.keys(splitSeries).forEach((category) => {
+    splitSeries[category].forEach(({ seriesId, seriesName, animeIds }) => {
+      snapshot.splitSeries[seriesId] = {
+        category,
+        name: seriesName,
+        animeIds: animeIds.map(String),
+      };
+    });
+  });
+
+  return snapshot;
+}
+
+/**
+ * Map every anime to the series containing it
+ * @param {object} seriesById - Series of a snapshot by ID
+ * @returns {Map<string, Array<string>>} Series IDs of each anime, sorted
+ */
+function seriesOfAnime(seriesById) {
+  const placement = new Map();
+  Object.keys(seriesById).forEach((seriesId) => {
+    seriesById[seriesId].animeIds.forEach((animeId) => {
+      if (!placement.has(animeId)) placement.set(animeId, []);
+      placement.get(animeId).push(seriesId);
+    });
+  });
+  placement.forEach((seriesIds) => seriesIds.sort());
+  return placement;
+}
+
+/**
+ * Compare two lists of series IDs
+ * @param {Array<string>} a - Sorted series IDs
+ * @param {Array<string>} b - Sorted series IDs
+ * @returns {boolean} True if they hold the same IDs
+ */
+function sameSeries(a, b) {
+  return a.length === b.length && a.every((seriesId, i) => seriesId === b[i]);
+}
+
+/**
+ * Find the series added, removed and renamed between two snapshots
+ * @param {object} previous - Series of the previous snapshot by ID
+ * @param {object} current - Series of the current snapshot by ID
+ * @returns {object} Added, removed and renamed series
+ */
+function diffSeriesSets(previous, current) {
+  const describe = (seriesById, seriesId) => ({
+    seriesId,
+    seriesName: seriesById[seriesId].name,
+    ...(seriesById[seriesId].category
+      ? { category: seriesById[seriesId].category }
+      : {}),
+    animeIds: seriesById[seriesId].animeIds,
+  });
+
+  return {
+    added: Object.keys(current)
+      .filter((seriesId) => !previous[seriesId])
+      .sort()
+      .map((seriesId) => describe(current, seriesId)),
+    removed: Object.keys(previous)
+      .filter((seriesId) => !current[seriesId])
+      .sort()
+      .map((seriesId) => describe(previous, seriesId)),
+    renamed: Object.keys(current)
+      .filter(
+        (seriesId) =>
+          previous[seriesId] &&
+          previous[seriesId].name !== current[seriesId].name
+      )
+      .sort()
+      .map((seriesId) => ({
+        seriesId,
+        from: previous[seriesId].name,
+        to: current[seriesId].name,
+      })),
+  };
+}
+
+/**
+ * Find the series whose anime now come from several previous series, and
+ * the previous series whose anime went to several series
+ * @param {Array} placements - Anime in both runs, with their previous and
+ *   current series IDs
+ * @param {object} previous - Series of the previous snapshot by ID
+ * @param {object} current - Series of the current snapshot by ID
+ * @returns {object} Merged and split series
+ */
+function findMergesAndSplits(placements, previous, current) {
+  const sources = new Map();
+  const targets = new Map();
+  const link = (map, key, value) => {
+    if (!map.has(key)) map.set(key, new Set());
+    map.get(key).add(value);
+  };
+  placements.forEach(({ from, to }) => {
+    from.forEach((fromId) => {
+      to.forEach((toId) => {
+        link(sources, toId, fromId);
+        link(targets, fromId, toId);
+      });
+    });
+  });
+
+  return {
+    merged: Array.from(sources.keys())
+      .filter((seriesId) => sources.get(seriesId).size > 1)
+      .sort()
+      .map((seriesId) => ({
+        seriesId,
+        seriesName: current[seriesId].name,
+        fromSeriesIds: Array.from(sources.get(seriesId)).sort(),
+      })),
+    split: Array.from(targets.keys())
+      .filter((seriesId) => targets.get(seriesId).size > 1)
+      .sort()
+      .map((seriesId) => ({
+        seriesId,
+        seriesName: previous[seriesId].name,
+        intoSeriesIds: Array.from(targets.get(seriesId)).sort(),
+      })),
+  };
+}
+
+/**
+ * Compare two membership snapshots
+ * @param {object} previous - Snapshot of the previous run
+ * @param {object} current - Snapshot of this run
+ * @returns {object} Change log
+ */
+function diffMembership(previous, current) {
+  const previousSeries = seriesOfAnime(previous.series);
+  const currentSeries = seriesOfAnime(current.series);
+  const previousSplit = seriesOfAnime(previous.splitSeries);
+  const currentSplit = seriesOfAnime(current.splitSeries);
+
+  const previousAnime = new Set([
+    ...previousSeries.keys(),
+    ...previousSplit.keys(),
+  ]);
+  const currentAnime = new Set([
+    ...currentSeries.keys(),
+    ...currentSplit.keys(),
+  ]);
+  const compared = Array.from(currentAnime)
+    .filter((animeId) => previousAnime.has(animeId))
+    .sort((a, b) => Number(a) - Number(b));
+
+  const seriesPlacements = [];
+  const seriesMoves = [];
+  const bucketMoves = [];
+  const changedAnime = new Set();
+  compared.forEach((animeId) => {
+    const fromSeries = previousSeries.get(animeId) || [];
+    const toSeries = currentSeries.get(animeId) || [];
+    seriesPlacements.push({ from: fromSeries, to: toSeries });
+    if (!sameSeries(fromSeries, toSeries)) {
+      seriesMoves.push({ animeId, from: fromSeries, to: toSeries });
+      changedAnime.add(animeId);
+    }
+
+    const fromSplit = previousSplit.get(animeId) || [];
+    const toSplit = currentSplit.get(animeId) || [];
+    if (!sameSeries(fromSplit, toSplit)) {
+      bucketMoves.push({ animeId, from: fromSplit, to: toSplit });
+      changedAnime.add(animeId);
+    }
+  });
+
+  const placementOf = (seriesIds, splitSeries) =>
+    seriesIds.map((seriesId) => ({
+      category: splitSeries[seriesId].category,
+      seriesId,
+    }));
+
+  return {
+    anime: {
+      added: Array.from(currentAnime)
+        .filter((animeId) => !previousAnime.has(animeId))
+        .sort((a, b) => Number(a) - Number(b)),
+      removed: Array.from(previousAnime)
+        .filter((animeId) => !currentAnime.has(animeId))
+        .sort((a, b) => Number(a) - Number(b)),
+      compared: compared.length,
+      changed: changedAnime.size,
+    },
+    series: {
+      ...diffSeriesSets(previous.series, current.series),
+      ...findMergesAndSplits(seriesPlacements, previous.series, current.series),
+    },
+    animeMoved: seriesMoves.map(({ animeId, from, to }) => ({
+      animeId,
+      fromSeriesIds: from,
+      toSeriesIds: to,
+    })),
+    splitSeries: diffSeriesSets(previous.splitSeries, current.splitSeries),
+    bucketChanges: bucketMoves.map(({ animeId, from, to }) => ({
+      animeId,
+      from: placementOf(from, previous.splitSeries),
+      to: placementOf(to, current.splitSeries),
+    })),
+    churn: compared.length > 0 ? changedAnime.size / compared.length : 0,
+  };
+}
+
+module.exports = {
+  SNAPSHOT_VERSION,
+  createMembershipSnapshot,
+  diffMembership,
+};
@@ -0,0 +1,220 @@
+const crypto = require("crypto");
+const fs = require("fs");
+
+const { writeFileAtomic } = require("./atomic-writer");
+
+/**
+ * Namespace for all series UUIDs generated by this pipeline
+ */
+const SERIES_NAMESPACE = "4f1c2a8e-6d3b-5e7a-9c0d-2b8f6e4a1d3c";
+
+const REGISTRY_VERSION = 1;
+
+/**
+ * Generate a name-based UUID (version 5, SHA-1) as described in RFC 4122
+ * @param {string} name - Name to hash
+ * @param {string} namespace - Namespace UUID
+ * @returns {string} UUID string
+ */
+function uuidv5(name, namespace = SERIES_NAMESPACE) {
+  const namespaceBytes = Buffer.from(namespace.replace(/-/g, ""), "hex");
+  const hash = crypto
+    .createHash("sha1")
+    .update(namespaceBytes)
+    .update(String(name), "utf8")
+    .digest();
+
+  hash[6] = (hash[6] & 0x0f) | 0x50; // Version 5
+  hash[8] = (hash[8] & 0x3f) | 0x80; // RFC 4122 variant
+
+  const hex = hash.subarray(0, 16).toString("hex");
+  return [
+    hex.substring(0, 8),
+    hex.substring(8, 12),
+    hex.substring(12, 16),
+    hex.substring(16, 20),
+    hex.substring(20, 32),
+  ].join("-");
+}
+
+/**
+ * Compare anime IDs numerically, falling back to string order
+ * @param {string} a - First ID
+ * @param {string} b - Second ID
+ * @returns {number} Sort order
+ */
+function compareAnimeIds(a, b) {
+  const numberA = Number(a);
+  const numberB = Number(b);
+  if (!isNaN(numberA) && !isNaN(numberB) && numberA !== numberB) {
+    return numberA - numberB;
+  }
+  return String(a).localeCompare(String(b));
+}
+
+/**
+ * Get the canonical anchor of a group: its lowest anime ID
+ * @param {Array} animeIds - Anime IDs in the group
+ * @returns {string} Anchor anime ID
+ */
+function getAnchorId(animeIds) {
+  return [...animeIds].map(String).sort(compareAnimeIds)[0];
+}
+
+/**
+ * Registry of series IDs persisted between runs.
+ *
+ * New groups get a UUIDv5 of their kind and anchor, so the same franchise
+ * always gets the same ID regardless of input order. Groups that contain
+ * anime already registered keep the ID of the series they share the most
+ * anime with, so existing series keep their IDs when new entries join them.
+ */
+class SeriesIdRegistry {
+  /**
+   * @param {object} data - Registry data as saved by toJSON()
+   */
+  constructor(data = {}) {
+    this.kinds = {};
+    this.claimed = new Set();
+
+    Object.keys(data.kinds || {}).forEach((kind) => {
+      const scope = this.getScope(kind);
+      Object.entries(data.kinds[kind]).forEach(([seriesId, entry]) => {
+        scope.series[seriesId] = {
+          anchorId: entry.anchorId,
+          animeIds: entry.animeIds || [],
+        };
+        (entry.animeIds || []).forEach((animeId) => {
+          scope.index.set(String(animeId), seriesId);
+        });
+      });
+    });
+  }
+
+  /**
+   * Load a registry from disk, starting empty if the file does not exist
+   * @param {string} filePath - Registry file path
+   * @returns {SeriesIdRegistry} Registry instance
+   */
+  static load(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return new SeriesIdRegistry();
+    }
+    return new SeriesIdRegistry(JSON.parse(fs.readFileSync(filePath, "utf8")));
+  }
+
+  /**
+   * Get (or create) the registry scope of one kind of series
+   * @param {string} kind - Series kind ('series', 'main', 'character', ...)
+   * @returns {object} Scope with series entries and anime index
+   */
+  getScope(kind) {
+    if (!this.kinds[kind]) {
+      this.kinds[kind] = { series: {}, index: new Map() };
+    }
+    return this.kinds[kind];
+  }
+
+  /**
+   * Assign a stable ID to a group of anime
+   * @param {string} kind - Series kind
+   * @param {Array} animeIds - Anime IDs in the group
+   * @returns {string} Series ID
+   */
+  assign(kind, animeIds) {
+    const scope = this.getScope(kind);
+    const members = animeIds.map(String);
+    const anchorId = getAnchorId(members);
+
+    // Prefer the unclaimed registered series sharing the most anime
+    const counts = new Map();
+    members.forEach((animeId) => {
+      const previousId = scope.index.get(animeId);
+      if (previousId && !this.claimed.has(previousId)) {
+        counts.set(previousId, (counts.get(previousId) || 0) + 1);
+      }
+    });
+
+    let seriesId = null;
+    let bestCount = 0;
+    for (const [previousId, count] of counts) {
+      if (
+        count > bestCount ||
+        (count === bestCount && previousId.localeCompare(seriesId) < 0)
+      ) {
+        seriesId = previousId;
+        bestCount = count;
+      }
+    }
+
+    if (!seriesId) {
+      seriesId = uuidv5(`${kind}:${anchorId}`);
+      for (let n = 1; this.claimed.has(seriesId); n++) {
+        seriesId = uuidv5(`${kind}:${anchorId}:${n}`);
+      }
+    }
+
+    this.claimed.add(seriesId);
+
+    // Members now belong to this series only
+    members.forEach((animeId) => {
+      const previousId = scope.index.get(animeId);
+      if (previousId && previousId !== seriesId && scope.series[previousId]) {
+        const previous = scope.series[previousId];
+        previous.animeIds = previous.animeIds.filter((id) => id !== animeId);
+      }
+      scope.index.set(animeId, seriesId);
+    });
+
+    // No timestamps: an unchanged grouping saves an identical registry
+    scope.series[seriesId] = { anchorId, animeIds: members };
+
+    return seriesId;
+  }
+
+  /**
+   * Mark a registered ID as taken in this run without reassigning its anime,
+   * for series carried over unchanged from a previous run
+   * @param {string} seriesId - Series ID
+   */
+  claim(seriesId) {
+    this.claimed.add(seriesId);
+  }
+
+  /**
+   * Serialize the registry for saving
+   * @returns {object} Registry data
+   */
+  toJSON() {
+    const kinds = {};
+    Object.keys(this.kinds).forEach((kind) => {
+      kinds[kind] = {};
+      Object.entries(this.kinds[kind].series).forEach(([seriesId, entry]) => {
+        // Series that lost all their anime to other series are forgotten
+        if (entry.animeIds.length > 0) kinds[kind][seriesId] = entry;
+      });
+    });
+    return { version: REGISTRY_VERSION, kinds };
+  }
+
+  /**
+   * Save the registry to disk
+   * @param {string} filePath - Registry file path
+   * @param {OutputTransaction} outputs - Output transaction to stage the
+   *   registry in (default: save it right away)
+   */
+  save(filePath, outputs) {
+    if (outputs) {
+      outputs.writeJson(filePath, this);
+    } else {
+      writeFileAtomic(filePath, JSON.stringify(this, null, 2) + "\n");
+    }
+  }
+}
+
+module.exports = {
+  SERIES_NAMESPACE,
+  uuidv5,
+  getAnchorId,
+  SeriesIdRegistry,
+};
@@ -0,0 +1,176 @@
+/**
+ * Series metadata aggregated from the member anime
+ *
+ * Every field is computed from the members that have a value for it; fields
+ * no member has are null (or empty lists). Anime fields whose value some
+ * member lacks where it would have counted are listed in `incompleteFields`,
+ * as their totals only cover part of the series.
+ */
+
+/**
+ * Check whether a field holds a usable value
+ * @param {*} value - Field value
+ * @returns {boolean} True unless missing, empty or not a number where one is
+ *   expected
+ */
+function hasValue(value) {
+  if (value === null || value === undefined || value === "") return false;
+  if (typeof value === "number") return !isNaN(value);
+  if (Array.isArray(value)) return value.length > 0;
+  return true;
+}
+
+/**
+ * Read a numeric field
+ * @param {*} value - Field value
+ * @returns {number|null} Number, or null if not numeric
+ */
+function toNumber(value) {
+  if (!hasValue(value)) return null;
+  const number = Number(value);
+  return isNaN(number) ? null : number;
+}
+
+/**
+ * Collect the distinct values of a list field
+ * @param {Array} animeList - Member anime
+ * @param {string} field - List field
+ * @returns {Array<string>} Distinct values, sorted
+ */
+function unionOf(animeList, field) {
+  const values = new Set();
+  animeList.forEach((anime) => {
+    const value = anime[field];
+    (Array.isArray(value) ? value : hasValue(value) ? [value] : []).forEach(
+      (item) => {
+        if (hasValue(item)) values.add(String(item));
+      }
+    );
+  });
+  return Array.from(values).sort();
+}
+
+/**
+ * Get the URL of a cover image, which AniList may give as an object of sizes
+ * @param {*} coverImage - Cover image field
+ * @returns {string|null} Image URL
+ */
+function coverImageUrl(coverImage) {
+  if (!hasValue(coverImage)) return null;
+  if (typeof coverImage === "object") {
+    return (
+      coverImage.extraLarge || coverImage.large || coverImage.medium || null
+    );
+  }
+  return String(coverImage);
+}
+
+/**
+ * Average score weighted by popularity. Members without a popularity count
+ * once; without any popularity this is the plain average.
+ * @param {Array} animeList - Member anime
+ * @returns {number|null} Score rounded to one decimal, or null
+ */
+function weightedScore(animeList) {
+  let total = 0;
+  let weights = 0;
+
+  animeList.forEach((anime) => {
+    const score = toNumber(anime.averageScore);
+    if (score === null) return;
+    const popularity = toNumber(anime.popularity);
+    const weight = popularity > 0 ? popularity : 1;
+    total += score * weight;
+    weights += weight;
+  });
+
+  return weights > 0 ? Math.round((total / weights) * 10) / 10 : null;
+}
+
+/**
+ * Anime fields the aggregation reads, each with a check whether a member
+ * lacks a value that would have counted in the series metadata
+ */
+const MISSING_CONTRIBUTIONS = {
+  startDate: (anime) => !hasValue(anime.startDate),
+  // The start date stands in for the end date of entries without one
+  endDate: (anime) => !hasValue(anime.endDate) && !hasValue(anime.startDate),
+  episodes: (anime) => toNumber(anime.episodes) === null,
+  // Runtime is only summed over entries with an episode count
+  duration: (anime) =>
+    toNumber(anime.episodes) !== null && toNumber(anime.duration) === null,
+  genres: (anime) => !hasValue(anime.genres),
+  studios: (anime) => !hasValue(anime.studios),
+  format: (anime) => !hasValue(anime.format),
+  averageScore: (anime) => toNumber(anime.averageScore) === null,
+  // Popularity only weights the score of scored entries
+  popularity: (anime) =>
+    toNumber(anime.averageScore) !== null &&
+    toNumber(anime.popularity) === null,
+  // The cover comes from the anchor entry, others only stand in for it
+  coverImage: (anime, anchorId) =>
+    String(anime.id) === String(anchorId) && !coverImageUrl(anime.coverImage),
+};
+
+/**
+ * Aggregate the metadata of a series
+ * @param {Array} animeIds - Anime IDs of the series
+ * @param {object} animeMap - Map of anime objects by ID
+ * @param {string} anchorId - Anime the series is named after; its cover
+ *   image is used when it has one
+ * @returns {object} Series metadata
+ */
+function aggregateSeriesMetadata(animeIds, animeMap, anchorId) {
+  const animeList = animeIds.map((id) => animeMap[id]).filter(Boolean);
+
+  // Dates are ISO strings, possibly partial ("2013", "2013-04"), which sort
+  // as text
+  const startDates = animeList
+    .map((anime) => anime.startDate)
+    .filter(hasValue)
+    .map(String)
+    .sort();
+  const lastDates = animeList
+    .map((anime) => (hasValue(anime.endDate) ? anime.endDate : anime.startDate))
+    .filter(hasValue)
+    .map(String)
+    .sort();
+
+  let totalEpisodes = null;
+  let totalRuntime = null;
+  animeList.forEach((anime) => {
+    const episodes = toNumber(anime.episodes);
+    const duration = toNumber(anime.duration);
+    if (episodes !== null) {
+      totalEpisodes = (totalEpisodes || 0) + episodes;
+      if (duration !== null) {
+        totalRuntime = (totalRuntime || 0) + episodes * duration;
+      }
+    }
+  });
+
+  const anchor = animeMap[anchorId];
+  const coverImage =
+    coverImageUrl(anchor && anchor.coverImage) ||
+    animeList.map((anime) => coverImageUrl(anime.coverImage)).find(Boolean) ||
+    null;
+
+  return {
+    firstAirDate: startDates[0] || null,
+    lastAirDate: lastDates[lastDates.length - 1] || null,
+    totalEpisodes,
+    totalRuntime,
+    genres: unionOf(animeList, "genres"),
+    studios: unionOf(animeList, "studios"),
+    formats: unionOf(animeList, "format"),
+    averageScore: weightedScore(animeList),
+    coverImage,
+    // Members missing from the data, such as the manga an anime adapts,
+    // have no anime fields to count
+    incompleteFields: Object.keys(MISSING_CONTRIBUTIONS).filter((field) =>
+      animeList.some((anime) => MISSING_CONTRIBUTIONS[field](anime, anchorId))
+    ),
+  };
+}
+
+module.exports = { aggregateSeriesMetadata };
@@ -0,0 +1,150 @@
+const { compareVertices } = require("./graph");
+
+/**
+ * Canonical series names
+ *
+ * A series is named after its anchor entry, the earliest release among its
+ * anime (then the lowest ID). The anchor's title is taken in the preferred
+ * language, and season and sequel suffixes ("2nd Season", "Part 2",
+ * "Movie") are stripped to get the franchise name. Manual overrides by
+ * series ID take precedence.
+ */
+
+/**
+ * Title languages and the anime fields holding them
+ */
+const TITLE_FIELDS = {
+  romaji: "titleRomaji",
+  english: "titleEnglish",
+  native: "titleNative",
+};
+
+/**
+ * Suffixes stripped from the end of a title, repeatedly, so that
+ * "Season 3 Part 2" goes as a whole. A movie suffix takes its subtitle with
+ * it ("Movie: Mugen Ressha-hen").
+ */
+const SUFFIX_PATTERNS = [
+  /[\s:~–-]+(the\s+)?final\s+season$/i,
+  /[\s:~–-]+\d+(st|nd|rd|th)\s+season$/i,
+  /[\s:~–-]+season\s+\d+$/i,
+  /[\s:~–-]+(part|cour)\s+\d+$/i,
+  /[\s:~–-]+(the\s+)?movie(\s+\d+)?(\s*[:~–-].*)?$/i,
+  /\s*第\d+期$/,
+];
+
+/**
+ * Strip season and sequel suffixes from a title
+ * @param {string} title - Entry title
+ * @returns {string} Franchise name, or the title if nothing would be left
+ */
+function toFranchiseName(title) {
+  let name = title.trim();
+  let previous;
+  do {
+    previous = name;
+    SUFFIX_PATTERNS.forEach((pattern) => {
+      name = name.replace(pattern, "");
+    });
+  } while (name !== previous && name.length > 0);
+
+  return name.length > 0 ? name : title.trim();
+}
+
+/**
+ * Get the release time of an anime
+ * @param {object} anime - Anime record
+ * @returns {number|null} Start date in milliseconds, or null if unknown
+ */
+function releaseTime(anime) {
+  if (!anime || !anime.startDate) return null;
+  const time = new Date(anime.startDate).getTime();
+  return isNaN(time) ? null : time;
+}
+
+class SeriesNamer {
+  /**
+   * @param {object} settings - Naming settings (config naming)
+   * @param {Array<string>} settings.languages - Title languages in order of
+   *   preference ('romaji', 'english', 'native')
+   * @param {boolean} settings.stripSuffixes - Strip season and sequel
+   *   suffixes from the anchor title
+   * @param {object} settings.overrides - Fixed names by series ID
+   */
+  constructor(settings = {}) {
+    this.languages = settings.languages || Object.keys(TITLE_FIELDS);
+    this.stripSuffixes = settings.stripSuffixes !== false;
+    this.overrides = settings.overrides || {};
+
+    this.languages.forEach((language) => {
+      if (!TITLE_FIELDS[language]) {
+        throw new Error(
+          `Unknown title language "${language}" (expected ${Object.keys(
+            TITLE_FIELDS
+          ).join(", ")})`
+        );
+      }
+    });
+  }
+
+  /**
+   * Pick the anchor entry of a series: the earliest release, then the lowest
+   * ID. Entries without a known start date come after dated ones.
+   * @param {Array} animeIds - Anime IDs of the series
+   * @param {object} animeMap - Map of anime objects by ID
+   * @returns {string|undefined} Anchor anime ID
+   */
+  selectAnchor(animeIds, animeMap) {
+    let anchor;
+    let anchorTime = null;
+    animeIds.forEach((animeId) => {
+      const id = String(animeId);
+      const time = releaseTime(animeMap[id]);
+      const earlier =
+        anchor === undefined ||
+        (time !== null && (anchorTime === null || time < anchorTime)) ||
+        (time === anchorTime && compareVertices(id, anchor) < 0);
+      if (earlier) {
+        anchor = id;
+        anchorTime = time;
+      }
+    });
+    return anchor;
+  }
+
+  /**
+   * Get the title of an anime in the preferred language
+   * @param {object} anime - Anime record
+   * @returns {string|undefined} Title
+   */
+  titleOf(anime) {
+    if (!anime) return undefined;
+    const language = this.languages.find(
+      (key) => anime[TITLE_FIELDS[key]] && String(anime[TITLE_FIELDS[key]])
+    );
+    return language ? String(anime[TITLE_FIELDS[language]]) : anime.title;
+  }
+
+  /**
+   * Name a series
+   * @param {string} seriesId - Series ID, looked up in the overrides
+   * @param {Array} animeIds - Anime IDs of the series
+   * @param {object} animeMap - Map of anime objects by ID
+   * @param {string} label - Label appended to generated names, e.g. the
+   *   bucket of a split group
+   * @returns {string} Series name
+   */
+  nameSeries(seriesId, animeIds, animeMap, label) {
+    if (this.overrides[seriesId]) return this.overrides[seriesId];
+
+    const anchorId = this.selectAnchor(animeIds, animeMap);
+    const title = this.titleOf(animeMap[anchorId]);
+    let name = anchorId === undefined ? "Unknown Series" : `Series ${anchorId}`;
+    if (title) {
+      name = this.stripSuffixes ? toFranchiseName(title) : title;
+    }
+    return label ? `${name} (${label})` : name;
+  }
+}
+
+module.exports = { TITLE_FIELDS, SeriesNamer, toFranchiseName };
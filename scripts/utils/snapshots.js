@@ -0,0 +1,298 @@
+const fs = require("fs");
+const path = require("path");
+
+const { fingerprintFile } = require("./change-detection");
+const { copyFileAtomic, tempPathFor } = require("./atomic-writer");
+
+/**
+ * Versioned output snapshots
+ *
+ * Every successful run publishes copies of its outputs into a snapshot
+ * directory named after its run ID, with a manifest of the files and their
+ * fingerprints:
+ *
+ *   snapshots/
+ *     2026-10-19T06-46-40-123Z/
+ *       manifest.json
+ *       results/main_series.json
+ *       db/series.json
+ *     current -> 2026-10-19T06-46-40-123Z
+ *
+ * A snapshot is written under a temporary name and renamed into place once
+ * complete, and the `current` link is swapped in with a rename as well, so
+ * readers of `current` never see a half-written snapshot. Files are stored
+ * under the name of the directory setting they came from (`results` for
+ * resultsDir, `db` for dbDir), so a rollback can copy them back.
+ */
+
+const SNAPSHOT_MANIFEST_VERSION = 1;
+const MANIFEST_FILE = "manifest.json";
+const CURRENT_LINK = "current";
+const PARTIAL_SUFFIX = ".partial";
+
+/**
+ * Get the snapshot folder of a directory setting
+ * @param {string} dirKey - Directory setting ('resultsDir', 'dbDir', ...)
+ * @returns {string} Folder name inside a snapshot
+ */
+function folderOf(dirKey) {
+  return dirKey.replace(/Dir$/, "");
+}
+
+/**
+ * Create a run ID from a time: its ISO form, usable as a directory name and
+ * sorting in time order
+ * @param {Date} date - Run start
+ * @returns {string} Run ID
+ */
+function createRunId(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, "-");
+}
+
+class SnapshotStore {
+  /**
+   * @param {string} dir - Snapshots directory
+   * @param {object} retention - Retention policy (config snapshots)
+   * @param {number} retention.keep - Snapshots to keep, newest first
+   * @param {number} retention.maxAgeDays - Remove snapshots older than this
+   *   many days (null for no limit)
+   */
+  constructor(dir, retention = {}) {
+    this.dir = dir;
+    this.keep = retention.keep;
+    this.maxAgeDays = retention.maxAgeDays;
+  }
+
+  /**
+   * Get the directory of a snapshot
+   * @param {string} runId - Run ID
+   * @returns {string} Snapshot directory
+   */
+  pathOf(runId) {
+    return path.join(this.dir, runId);
+  }
+
+  /**
+   * List the snapshots, oldest first
+   * @returns {Array<object>} Snapshot manifests
+   */
+  list() {
+    if (!fs.existsSync(this.dir)) return [];
+
+    return fs
+      .readdirSync(this.dir)
+      .filter(
+        (name) =>
+          name !== CURRENT_LINK &&
+          !name.startsWith(".") &&
+          !name.endsWith(PARTIAL_SUFFIX) &&
+          fs.existsSync(path.join(this.dir, name, MANIFEST_FILE))
+      )
+      .sort()
+      .map((runId) => this.get(runId));
+  }
+
+  /**
+   * Read the manifest of a snapshot
+   * @param {string} runId - Run ID
+   * @returns {object} Snapshot manifest
+   */
+  get(runId) {
+    if (path.basename(runId) !== runId || runId === CURRENT_LINK) {
+      throw new Error(`Invalid run ID ${runId}`);
+    }
+    const manifestPath = path.join(this.pathOf(runId), MANIFEST_FILE);
+    if (!fs.existsSync(manifestPath)) {
+      throw new Error(`No snapshot of run ${runId} in ${this.dir}`);
+    }
+    return JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  }
+
+  /**
+   * Get the run ID the current link points to
+   * @returns {string|null} Run ID, or null before the first snapshot
+   */
+  currentRunId() {
+    const linkPath = path.join(this.dir, CURRENT_LINK);
+    try {
+      return path.basename(fs.readlinkSync(linkPath));
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Publish files as the snapshot of a run and make it current. Nothing is
+   * published when the files match the current snapshot.
+   * @param {string} runId - Run ID
+   * @param {Array<object>} files - Files to publish, each with its directory
+   *   setting (dirKey), the directory (baseDir) and the file path
+   * @param {object} details - Run details recorded in the manifest
+   * @returns {Promise<object>} Manifest, and whether it was published
+   */
+  async publish(runId, files, details = {}) {
+    const entries = [];
+    for (const file of files) {
+      entries.push({
+        dir: file.dirKey,
+        path: path.relative(file.baseDir, file.filePath),
+        fingerprint: await fingerprintFile(file.filePath),
+        size: fs.statSync(file.filePath).size,
+      });
+    }
+
+    const currentId = this.currentRunId();
+    if (currentId) {
+      const current = this.get(currentId);
+      const key = (entry) => `${entry.dir}/${entry.path}:${entry.fingerprint}`;
+      const currentKeys = new Set(current.files.map(key));
+      if (
+        current.files.length === entries.length &&
+        entries.every((entry) => currentKeys.has(key(entry)))
+      ) {
+        return { manifest: current, published: false };
+      }
+    }
+
+    if (fs.existsSync(this.pathOf(runId))) {
+      throw new Error(`A snapshot of run ${runId} already exists`);
+    }
+
+    // Write the snapshot under a temporary name, then rename it into place
+    const partialPath = this.pathOf(runId) + PARTIAL_SUFFIX;
+    fs.rmSync(partialPath, { recursive: true, force: true });
+    files.forEach((file, i) => {
+      const target = path.join(
+        partialPath,
+        folderOf(file.dirKey),
+        entries[i].path
+      );
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.copyFileSync(file.filePath, target);
+    });
+
+    const manifest = {
+      version: SNAPSHOT_MANIFEST_VERSION,
+      runId,
+      createdAt: new Date().toISOString(),
+      ...details,
+      files: entries,
+    };
+    fs.writeFileSync(
+      path.join(partialPath, MANIFEST_FILE),
+      JSON.stringify(manifest, null, 2) + "\n"
+    );
+    fs.renameSync(partialPath, this.pathOf(runId));
+
+    this.activate(runId);
+    return { manifest, published: true };
+  }
+
+  /**
+   * Point the current link at a snapshot
+   * @param {string} runId - Run ID
+   */
+  activate(runId) {
+    this.get(runId);
+    const linkPath = path.join(this.dir, CURRENT_LINK);
+    const tempPath = tempPathFor(linkPath);
+    fs.symlinkSync(runId, tempPath, "junction");
+    fs.renameSync(tempPath, linkPath);
+  }
+
+  /**
+   * Copy the files of a snapshot back into the working directories and make
+   * it current. Every file is checked against its fingerprint before
+   * anything is copied. Published files the snapshot does not have are
+   * removed, so the outputs match the snapshot.
+   * @param {string} runId - Run ID
+   * @param {object} dirs - Working directories by setting (config paths)
+   * @param {Array<object>} files - Files published in snapshots, each with
+   *   its directory setting (dirKey), the directory (baseDir) and the file
+   *   path
+   * @returns {Promise<object>} Snapshot manifest, and the removed files
+   */
+  async restore(runId, dirs, files = []) {
+    const manifest = this.get(runId);
+
+    for (const entry of manifest.files) {
+      if (!dirs[entry.dir]) {
+        throw new Error(`Snapshot ${runId} has files of unknown ${entry.dir}`);
+      }
+      const source = path.join(
+        this.pathOf(runId),
+        folderOf(entry.dir),
+        entry.path
+      );
+      if (
+        !fs.existsSync(source) ||
+        (await fingerprintFile(source)) !== entry.fingerprint
+      ) {
+        throw new Error(
+          `Snapshot ${runId} is damaged: ${entry.dir}/${entry.path} is missing or changed`
+        );
+      }
+    }
+
+    manifest.files.forEach((entry) => {
+      const target = path.join(dirs[entry.dir], entry.path);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      copyFileAtomic(
+        path.join(this.pathOf(runId), folderOf(entry.dir), entry.path),
+        target
+      );
+    });
+
+    const restored = new Set(
+      manifest.files.map((entry) => path.resolve(dirs[entry.dir], entry.path))
+    );
+    const removed = files
+      .map((file) => file.filePath)
+      .filter(
+        (filePath) =>
+          !restored.has(path.resolve(filePath)) && fs.existsSync(filePath)
+      );
+    removed.forEach((filePath) => fs.rmSync(filePath, { force: true }));
+
+    this.activate(runId);
+    return { manifest, removed };
+  }
+
+  /**
+   * Remove the snapshots the retention policy no longer keeps, and snapshots
+   * left incomplete by interrupted runs. The current snapshot is always kept.
+   * @param {Date} now - Time the snapshot ages are measured from
+   * @returns {Array<string>} Run IDs of the removed snapshots
+   */
+  prune(now = new Date()) {
+    if (!fs.existsSync(this.dir)) return [];
+
+    fs.readdirSync(this.dir)
+      .filter((name) => name.endsWith(PARTIAL_SUFFIX))
+      .forEach((name) => {
+        fs.rmSync(path.join(this.dir, name), { recursive: true, force: true });
+      });
+
+    const currentId = this.currentRunId();
+    const newestFirst = this.list().reverse();
+    const removed = newestFirst
+      .filter((manifest, i) => {
+        if (manifest.runId === currentId) return false;
+        const ageDays =
+          (now.getTime() - new Date(manifest.createdAt).getTime()) / 86400000;
+        return (
+          (typeof this.keep === "number" && i >= this.keep) ||
+          (typeof this.maxAgeDays === "number" && ageDays > this.maxAgeDays)
+        );
+      })
+      .map((manifest) => manifest.runId);
+
+    removed.forEach((runId) => {
+      fs.rmSync(this.pathOf(runId), { recursive: true, force: true });
+    });
+    return removed;
+  }
+}
+
+module.exports = { SNAPSHOT_MANIFEST_VERSION, createRunId, SnapshotStore };
@@ -0,0 +1,103 @@
+/**
+ * Registry of pipeline stages
+ *
+ * Each stage declares:
+ * - name: unique stage name, also used in logs, metrics and the run manifest
+ * - description: short description for logs
+ * - dependsOn: names of the stages that must run before it
+ * - inputs(options): files the stage reads (used to detect changes)
+ * - outputs(options): files the stage writes (used to detect changes)
+ * - settings(options): options that affect the stage output
+ * - run(context): async function doing the work; it receives the pipeline
+ *   options, the results of the stages run before it and a logger, and
+ *   returns a result object ({ success: false, error } on failure)
+ */
+class StageRegistry {
+  constructor() {
+    this.stages = new Map();
+  }
+
+  /**
+   * Register a stage
+   * @param {object} stage - Stage definition
+   * @returns {StageRegistry} This registry, for chaining
+   */
+  register(stage) {
+    if (!stage || typeof stage.name !== "string" || !stage.name) {
+      throw new Error("Stage definitions need a name");
+    }
+    if (typeof stage.run !== "function") {
+      throw new Error(`Stage "${stage.name}" needs a run function`);
+    }
+    if (this.stages.has(stage.name)) {
+      throw new Error(`Stage "${stage.name}" is already registered`);
+    }
+
+    this.stages.set(stage.name, {
+      description: stage.name,
+      dependsOn: [],
+      inputs: () => [],
+      outputs: () => [],
+      settings: () => ({}),
+      ...stage,
+    });
+    return this;
+  }
+
+  /**
+   * Get a registered stage
+   * @param {string} name - Stage name
+   * @returns {object|undefined} Stage definition
+   */
+  get(name) {
+    return this.stages.get(name);
+  }
+
+  /**
+   * Check whether a stage is registered
+   * @param {string} name - Stage name
+   * @returns {boolean} True if registered
+   */
+  has(name) {
+    return this.stages.has(name);
+  }
+
+  /**
+   * Resolve the execution order from the stage dependencies. Stages that do
+   * not depend on each other keep their registration order.
+   * @returns {Array<object>} Stage definitions in execution order
+   */
+  resolveOrder() {
+    const remaining = new Map();
+    for (const stage of this.stages.values()) {
+      stage.dependsOn.forEach((dependency) => {
+        if (!this.stages.has(dependency)) {
+          throw new Error(
+            `Stage "${stage.name}" depends on unknown stage "${dependency}"`
+          );
+        }
+      });
+      remaining.set(stage.name, new Set(stage.dependsOn));
+    }
+
+    const order = [];
+    while (remaining.size > 0) {
+      const ready = [...remaining.keys()].find(
+        (name) => remaining.get(name).size === 0
+      );
+      if (!ready) {
+        throw new Error(
+          `Stage dependencies form a cycle: ${[...remaining.keys()].join(", ")}`
+        );
+      }
+
+      order.push(this.stages.get(ready));
+      remaining.delete(ready);
+      remaining.forEach((dependencies) => dependencies.delete(ready));
+    }
+
+    return order;
+  }
+}
+
+module.exports = { StageRegistry };
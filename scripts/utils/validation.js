@@ -0,0 +1,289 @@
+const path = require("path");
+
+const { ANIME_SCHEMA } = require("./anime-schema");
+const { VALIDATION_POLICIES, getConfig, getPath } = require("./config");
+const { writeFileAtomic } = require("./atomic-writer");
+const { changedAt, readPreviousJson } = require("./change-detection");
+const { usageError } = require("./exit-codes");
+
+// Setup logger
+const logger = require("./logger").getLogger("validation");
+
+const DEFAULT_POLICY = "skip";
+
+/**
+ * Check a value against a field type
+ * @param {*} value - Value to check
+ * @param {string} type - Schema type
+ * @param {RegExp} idPattern - Pattern for ID values
+ * @returns {string|null} Problem description, or null if the value matches
+ */
+function checkType(value, type, idPattern) {
+  switch (type) {
+    case "id":
+      if (typeof value !== "string" && typeof value !== "number") {
+        return "must be an ID";
+      }
+      return idPattern.test(String(value))
+        ? null
+        : `has invalid ID format "${value}"`;
+    case "string":
+      return typeof value === "string" ? null : "must be a string";
+    case "number":
+      return typeof value === "number" && !isNaN(value)
+        ? null
+        : "must be a number";
+    case "boolean":
+      return typeof value === "boolean" ? null : "must be a boolean";
+    case "date":
+      return typeof value === "string" && !isNaN(Date.parse(value))
+        ? null
+        : "must be a date";
+    case "array":
+      return Array.isArray(value) ? null : "must be an array";
+    case "object":
+      return value && typeof value === "object" && !Array.isArray(value)
+        ? null
+        : "must be an object";
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validate a value against a field definition, collecting issues
+ * @param {*} value - Value to validate
+ * @param {object} definition - Field definition
+ * @param {string} fieldPath - Path of the field for messages
+ * @param {object} schema - Root schema
+ * @param {object} issues - Issues accumulator ({ errors, warnings })
+ */
+function validateField(value, definition, fieldPath, schema, issues) {
+  const severity = definition.severity === "warning" ? "warnings" : "errors";
+
+  if (value === undefined || value === null) {
+    if (definition.required && !(value === null && definition.nullable)) {
+      issues.errors.push({ field: fieldPath, message: "is required" });
+    }
+    return;
+  }
+
+  const typeProblem = checkType(value, definition.type, schema.idPattern);
+  if (typeProblem) {
+    issues[severity].push({ field: fieldPath, message: typeProblem });
+    return;
+  }
+
+  if (definition.enum && !definition.enum.includes(value)) {
+    issues[severity].push({
+      field: fieldPath,
+      message: `has unsupported value "${value}"`,
+    });
+  }
+
+  if (definition.type === "array" && definition.items) {
+    value.forEach((item, index) => {
+      validateField(
+        item,
+        definition.items,
+        `${fieldPath}[${index}]`,
+        schema,
+        issues
+      );
+    });
+  }
+
+  if (definition.type === "object" && definition.fields) {
+    Object.keys(definition.fields).forEach((key) => {
+      validateField(
+        value[key],
+        definition.fields[key],
+        `${fieldPath}.${key}`,
+        schema,
+        issues
+      );
+    });
+  }
+}
+
+/**
+ * Validate a single record against a schema
+ * @param {object} record - Record to validate
+ * @param {object} schema - Schema definition
+ * @returns {object} Issues found ({ errors, warnings })
+ */
+function validateRecord(record, schema = ANIME_SCHEMA) {
+  const issues = { errors: [], warnings: [] };
+
+  if (!record || typeof record !== "object" || Array.isArray(record)) {
+    issues.errors.push({ field: "(record)", message: "must be an object" });
+    return issues;
+  }
+
+  Object.keys(schema.fields).forEach((key) => {
+    validateField(record[key], schema.fields[key], key, schema, issues);
+  });
+
+  (schema.requireOneOf || []).forEach((group) => {
+    const hasValue = group.some(
+      (key) => record[key] !== undefined && record[key] !== null
+    );
+    if (!hasValue) {
+      issues.errors.push({
+        field: group.join("|"),
+        message: `one of ${group.join(", ")} is required`,
+      });
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Validate a dataset and build a validation report
+ * @param {Array} records - Records to validate
+ * @param {object} options - Validation options
+ * @param {string} options.policy - Validation policy
+ * @param {object} options.schema - Schema definition
+ * @returns {object} Validation result with valid records, rejected rows and report
+ */
+function validateDataset(records, options = {}) {
+  const policy = options.policy || DEFAULT_POLICY;
+  const schema = options.schema || ANIME_SCHEMA;
+
+  if (!VALIDATION_POLICIES.includes(policy)) {
+    throw usageError(
+      `Unknown validation policy "${policy}" (expected ${VALIDATION_POLICIES.join(
+        ", "
+      )})`
+    );
+  }
+
+  const validRecords = [];
+  const rejected = [];
+  const rows = [];
+  const seenIds = new Set();
+  let rowsWithWarnings = 0;
+
+  records.forEach((record, index) => {
+    const issues = validateRecord(record, schema);
+    const id = record && record.id !== undefined ? record.id : null;
+
+    if (id !== null && seenIds.has(String(id))) {
+      issues.errors.push({ field: "id", message: `duplicate ID "${id}"` });
+    } else if (id !== null) {
+      seenIds.add(String(id));
+    }
+
+    if (issues.errors.length > 0 || issues.warnings.length > 0) {
+      rows.push({
+        row: index + 1,
+        id,
+        errors: issues.errors,
+        warnings: issues.warnings,
+      });
+    }
+
+    if (issues.warnings.length > 0) rowsWithWarnings++;
+
+    if (issues.errors.length > 0) {
+      rejected.push({ row: index + 1, record, errors: issues.errors });
+    } else {
+      validRecords.push(record);
+    }
+  });
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    schemaVersion: schema.version,
+    policy,
+    totalRows: records.length,
+    validRows: validRecords.length,
+    rowsWithErrors: rejected.length,
+    rowsWithWarnings,
+    action: describeAction(policy, rejected.length),
+    rows,
+  };
+
+  return { validRecords, rejected, report };
+}
+
+/**
+ * Describe what the policy does with the rejected rows
+ * @param {string} policy - Validation policy
+ * @param {number} rejectedCount - Number of rows with errors
+ * @returns {string} Human readable action
+ */
+function describeAction(policy, rejectedCount) {
+  if (rejectedCount === 0) return "none";
+  if (policy === "fail") return `run aborted: ${rejectedCount} invalid rows`;
+  if (policy === "quarantine") {
+    return `${rejectedCount} invalid rows moved to quarantine`;
+  }
+  return `${rejectedCount} invalid rows skipped`;
+}
+
+/**
+ * Validate the anime dataset, write the report and apply the policy
+ * @param {Array} animeData - Converted anime records
+ * @param {object} options - Validation options
+ * @param {string} options.policy - Validation policy ('fail', 'skip', 'quarantine')
+ * @param {string} options.resultsDir - Directory for the report files
+ *   (default: the configured results directory)
+ * @returns {object} Result with success flag, records to keep and report
+ */
+function validateAnimeData(animeData, options = {}) {
+  const { files } = getConfig();
+  const resultsDir = options.resultsDir || getPath("resultsDir");
+  const reportPath = path.join(resultsDir, files.validationReport);
+  const quarantinePath = path.join(resultsDir, files.quarantine);
+
+  const { validRecords, rejected, report } = validateDataset(animeData, {
+    policy: options.policy,
+    schema: options.schema,
+  });
+
+  // Revalidating the same data writes the same report
+  report.generatedAt = changedAt(
+    readPreviousJson(reportPath),
+    report,
+    "generatedAt"
+  );
+  writeFileAtomic(reportPath, JSON.stringify(report, null, 2) + "\n");
+  logger.info(
+    `Validated ${report.totalRows} rows: ${report.rowsWithErrors} with errors, ${report.rowsWithWarnings} with warnings`
+  );
+  logger.info(`Saved validation report to ${reportPath}`);
+
+  if (report.policy === "quarantine") {
+    writeFileAtomic(quarantinePath, JSON.stringify(rejected, null, 2) + "\n");
+    logger.info(
+      `Saved ${rejected.length} quarantined rows to ${quarantinePath}`
+    );
+  }
+
+  if (rejected.length > 0) {
+    const message = `Input validation: ${report.action} (see ${reportPath})`;
+    if (report.policy === "fail") {
+      logger.error(message);
+      return {
+        success: false,
+        error: message,
+        errorType: "validation",
+        report,
+        reportPath,
+      };
+    }
+    logger.warn(message);
+  }
+
+  return { success: true, records: validRecords, report, reportPath };
+}
+
+module.exports = {
+  VALIDATION_POLICIES,
+  DEFAULT_POLICY,
+  validateRecord,
+  validateDataset,
+  validateAnimeData,
+};
@@ -0,0 +1,246 @@
+/**
+ * Chronological watch order of a series
+ *
+ * Entries are ordered by a topological sort over PREQUEL/SEQUEL relations.
+ * Entries the relations do not order are taken by release date, then by ID.
+ * Side stories that are not part of the sequel chain follow their parent
+ * entry. Orderings that rest on the tie-breakers alone, and relations that
+ * contradict each other or the release dates, are reported as issues.
+ */
+
+const { findDirectedCycles, compareVertices } = require("./graph");
+
+/**
+ * Relation types that put the target after the source
+ */
+const FOLLOWED_BY = ["SEQUEL"];
+
+/**
+ * Relation types that put the target before the source
+ */
+const PRECEDED_BY = ["PREQUEL"];
+
+/**
+ * Relation types whose target is a side story of the source
+ */
+const SIDE_STORY_OF_SOURCE = ["SIDE_STORY"];
+
+/**
+ * Relation types whose target is the parent of the source
+ */
+const PARENT_OF_SOURCE = ["PARENT"];
+
+/**
+ * Get the release time of an anime
+ * @param {object} anime - Anime record
+ * @returns {number|null} Start date in milliseconds, or null if unknown
+ */
+function releaseTime(anime) {
+  if (!anime || !anime.startDate) return null;
+  const time = new Date(anime.startDate).getTime();
+  return isNaN(time) ? null : time;
+}
+
+/**
+ * Add a directed edge to an adjacency map of sets
+ * @param {Map} adjacency - Map of vertex to Set of successors
+ * @param {string} source - Source vertex
+ * @param {string} target - Target vertex
+ */
+function addEdge(adjacency, source, target) {
+  if (!adjacency.has(source)) adjacency.set(source, new Set());
+  adjacency.get(source).add(target);
+}
+
+/**
+ * Compute the watch order of a series
+ * @param {Array} animeIds - Anime IDs of the series
+ * @param {Array} relations - Relations between the anime of the series
+ * @param {object} animeMap - Map of anime objects by ID
+ * @returns {object} Ordered anime IDs and the issues found
+ */
+function computeWatchOrder(animeIds, relations, animeMap) {
+  const ids = animeIds.map(String);
+  const members = new Set(ids);
+  const issues = [];
+
+  // Release date, then ID
+  const compareEntries = (a, b) => {
+    const timeA = releaseTime(animeMap[a]);
+    const timeB = releaseTime(animeMap[b]);
+    if (timeA !== null && timeB !== null && timeA !== timeB) {
+      return timeA - timeB;
+    }
+    if (timeA !== null && timeB === null) return -1;
+    if (timeA === null && timeB !== null) return 1;
+    return compareVertices(a, b);
+  };
+  const sameRelease = (a, b) => {
+    const timeA = releaseTime(animeMap[a]);
+    const timeB = releaseTime(animeMap[b]);
+    return timeA === null || timeB === null || timeA === timeB;
+  };
+
+  // "Watch before" edges from sequel relations, and the parents of side
+  // stories
+  const before = new Map();
+  const parents = new Map();
+  const chained = new Set();
+  relations.forEach(({ sourceAnimeId, targetAnimeId, relationType }) => {
+    const source = String(sourceAnimeId);
+    const target = String(targetAnimeId);
+    if (!members.has(source) || !members.has(target)) return;
+
+    if (FOLLOWED_BY.includes(relationType)) {
+      addEdge(before, source, target);
+      chained.add(source).add(target);
+    } else if (PRECEDED_BY.includes(relationType)) {
+      addEdge(before, target, source);
+      chained.add(source).add(target);
+    } else if (SIDE_STORY_OF_SOURCE.includes(relationType)) {
+      addEdge(parents, target, source);
+    } else if (PARENT_OF_SOURCE.includes(relationType)) {
+      addEdge(parents, source, target);
+    }
+  });
+
+  // Sequel relations that contradict each other or the release dates
+  const adjacency = new Map();
+  before.forEach((successors, vertex) => {
+    adjacency.set(vertex, Array.from(successors));
+  });
+  findDirectedCycles(adjacency).forEach(({ path }) => {
+    issues.push({
+      type: "cycle",
+      animeIds: path,
+      explanation: `Prequel/sequel relations form a cycle: ${path.join(
+        " -> "
+      )}`,
+    });
+  });
+  adjacency.forEach((successors, source) => {
+    successors.forEach((target) => {
+      const sourceTime = releaseTime(animeMap[source]);
+      const targetTime = releaseTime(animeMap[target]);
+      if (
+        sourceTime !== null &&
+        targetTime !== null &&
+        targetTime < sourceTime
+      ) {
+        issues.push({
+          type: "dateConflict",
+          animeIds: [source, target],
+          explanation: `${target} follows ${source} but was released before it`,
+        });
+      }
+    });
+  });
+
+  // Side stories outside the sequel chain are placed after their parent. A
+  // side story with several parents follows the first of them.
+  const children = new Map();
+  const attached = new Set();
+  ids.forEach((id) => {
+    if (chained.has(id) || !parents.has(id)) return;
+
+    const candidates = Array.from(parents.get(id)).sort(compareEntries);
+    if (candidates.length > 1) {
+      issues.push({
+        type: "multipleParents",
+        animeIds: [id, ...candidates],
+        explanation: `${id} is a side story of ${candidates.join(
+          ", "
+        )}; placed after ${candidates[0]}`,
+      });
+    }
+    addEdge(children, candidates[0], id);
+    attached.add(id);
+  });
+
+  // Side stories whose parents only lead back to themselves have no place
+  // to attach to; the earliest of them is ordered with the other entries
+  // and the rest follow it
+  const anchored = new Set();
+  const anchor = (id) => {
+    const queue = [id];
+    anchored.add(id);
+    for (let head = 0; head < queue.length; head++) {
+      (children.get(queue[head]) || new Set()).forEach((child) => {
+        if (attached.has(child) && !anchored.has(child)) {
+          anchored.add(child);
+          queue.push(child);
+        }
+      });
+    }
+  };
+  ids.filter((id) => !attached.has(id)).forEach(anchor);
+  ids
+    .filter((id) => !anchored.has(id))
+    .sort(compareEntries)
+    .forEach((id) => {
+      if (anchored.has(id)) return;
+      attached.delete(id);
+      anchor(id);
+    });
+
+  // Topological sort of the remaining entries, breaking ties by release
+  // date and ID; a cycle is broken at its earliest entry
+  const roots = ids.filter((id) => !attached.has(id));
+  const inDegree = new Map(roots.map((id) => [id, 0]));
+  before.forEach((successors, source) => {
+    if (!inDegree.has(source)) return;
+    successors.forEach((target) => {
+      if (inDegree.has(target)) inDegree.set(target, inDegree.get(target) + 1);
+    });
+  });
+
+  const sorted = [];
+  const remaining = new Set(roots);
+  while (remaining.size > 0) {
+    let ready = Array.from(remaining).filter((id) => inDegree.get(id) === 0);
+    const inCycle = ready.length === 0;
+    if (inCycle) ready = Array.from(remaining);
+    ready.sort(compareEntries);
+
+    const next = ready[0];
+    const tied = ready.filter(
+      (id) => id !== next && sameRelease(id, next) && chained.has(id)
+    );
+    if (!inCycle && chained.has(next) && tied.length > 0) {
+      issues.push({
+        type: "ambiguous",
+        animeIds: [next, ...tied],
+        explanation: `No relation or release date orders ${[next, ...tied].join(
+          ", "
+        )}; their order is a guess`,
+      });
+    }
+
+    sorted.push(next);
+    remaining.delete(next);
+    (before.get(next) || new Set()).forEach((target) => {
+      if (remaining.has(target)) {
+        inDegree.set(target, inDegree.get(target) - 1);
+      }
+    });
+  }
+
+  // Place the side stories after their parents
+  const order = [];
+  const place = (id) => {
+    const stack = [id];
+    while (stack.length > 0) {
+      const current = stack.pop();
+      order.push(current);
+      const attachedChildren = Array.from(children.get(current) || [])
+        .filter((child) => attached.has(child))
+        .sort(compareEntries);
+      stack.push(...attachedChildren.reverse());
+    }
+  };
+  sorted.forEach(place);
+
+  return { order, issues };
+}
+
+module.exports = { computeWatchOrder };
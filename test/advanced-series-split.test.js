@@ -0,0 +1,131 @@
+const assert = require("node:assert/strict");
+const path = require("path");
+const { afterEach, beforeEach, describe, test } = require("node:test");
+
+const { groupAnimeIntoSeries } = require("../scripts/2-series-grouping");
+const { advancedSeriesSplit } = require("../scripts/3-advanced-series-split");
+const {
+  createWorkspace,
+  readJson,
+  removeWorkspace,
+  writeJson,
+} = require("./helpers/workspace");
+
+/**
+ * Create anime records from their relations
+ * @param {object} relations - Relations of each anime ID, as target ID and
+ *   relation type pairs
+ * @returns {Array<object>} Anime records
+ */
+function createAnime(relations) {
+  return Object.keys(relations).map((id) => ({
+    id,
+    titleRomaji: `Anime ${id}`,
+    relations: relations[id].map(([targetAnimeId, relationType]) => ({
+      targetAnimeId,
+      relationType,
+    })),
+  }));
+}
+
+/**
+ * Group and split anime in the current workspace
+ * @param {string} dir - Working directory
+ * @param {Array<object>} animeData - Anime records
+ * @returns {Promise<object>} Split series by category, and the split anime
+ *   data
+ */
+async function groupAndSplit(dir, animeData) {
+  writeJson(
+    path.join(dir, "results", "anilist_anime_data_complete.json"),
+    animeData
+  );
+  assert.equal((await groupAnimeIntoSeries()).success, true);
+  assert.equal((await advancedSeriesSplit()).success, true);
+  return {
+    splitSeries: readJson(path.join(dir, "db", "advanced_split_series.json")),
+    splitAnime: readJson(path.join(dir, "results", "anime_data_split.json")),
+  };
+}
+
+const ANIME = createAnime({
+  1: [
+    ["2", "SEQUEL"],
+    ["3", "SIDE_STORY"],
+    ["4", "SUMMARY"],
+  ],
+  2: [["1", "PREQUEL"]],
+  3: [],
+  4: [["5", "SUMMARY"]],
+  5: [["4", "SUMMARY"]],
+  // In no series
+  6: [],
+});
+
+describe("advancedSeriesSplit", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = createWorkspace({
+      relations: {
+        taxonomy: {
+          relationTypes: { SIDE_STORY: "satellite", SUMMARY: "alternative" },
+          buckets: { alternative: {} },
+        },
+      },
+    });
+  });
+
+  afterEach(() => removeWorkspace(dir));
+
+  test("splits anime by the configured relation taxonomy", async () => {
+    const { splitSeries } = await groupAndSplit(dir, ANIME);
+
+    assert.deepEqual(Object.keys(splitSeries), [
+      "main",
+      "character",
+      "adaptation",
+      "spinOff",
+      "other",
+      "parent",
+      "alternative",
+    ]);
+    const [main] = splitSeries.main;
+    assert.deepEqual(main.animeIds, ["1", "2"]);
+    assert.deepEqual(main.satelliteIds, ["3"]);
+    assert.deepEqual(main.alternativeIds, ["4"]);
+    assert.deepEqual(main.watchOrder, ["1", "2"]);
+    assert.deepEqual(main.watchOrderIssues, []);
+
+    const [alternative] = splitSeries.alternative;
+    assert.deepEqual(alternative.animeIds, ["4", "5"]);
+    assert.equal(alternative.seriesType, "ALTERNATIVE");
+  });
+
+  test("writes the split series back to the anime data", async () => {
+    const { splitSeries, splitAnime } = await groupAndSplit(dir, ANIME);
+    const main = splitSeries.main[0].seriesId;
+    const alternative = splitSeries.alternative[0].seriesId;
+    const original = splitSeries.main[0].originalSeriesId;
+
+    assert.deepEqual(
+      splitAnime.map((anime) => [
+        anime.id,
+        anime.seriesId,
+        anime.seriesType,
+        anime.originalSeriesId,
+        anime.satelliteSeriesIds,
+        anime.unassigned,
+      ]),
+      [
+        ["1", main, "MAIN", original, [alternative], false],
+        ["2", main, "MAIN", original, [], false],
+        ["3", null, null, original, [main], true],
+        ["4", alternative, "ALTERNATIVE", original, [main], false],
+        ["5", alternative, "ALTERNATIVE", original, [], false],
+        ["6", null, null, null, [], true],
+      ]
+    );
+    assert.equal(splitAnime[0].titleRomaji, "Anime 1");
+  });
+});
@@ -0,0 +1,91 @@
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { afterEach, beforeEach, describe, test } = require("node:test");
+
+const {
+  OutputTransaction,
+  STALE_TEMP_FILE_AGE,
+  cleanStaleTempFiles,
+  writeFileAtomic,
+} = require("../scripts/utils/atomic-writer");
+
+describe("atomic writer", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "anime-pipeline-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("replaces a file without leaving a temporary file", () => {
+    const filePath = path.join(dir, "series.json");
+    fs.writeFileSync(filePath, "old");
+
+    writeFileAtomic(filePath, "new");
+
+    assert.equal(fs.readFileSync(filePath, "utf8"), "new");
+    assert.deepEqual(fs.readdirSync(dir), ["series.json"]);
+  });
+
+  test("renames the staged outputs into place only on commit", () => {
+    const seriesPath = path.join(dir, "series.json");
+    const edgeCasesPath = path.join(dir, "edge_cases.json");
+    fs.writeFileSync(seriesPath, "old");
+
+    const failed = new OutputTransaction();
+    failed.writeFile(seriesPath, "new");
+    failed.writeJson(edgeCasesPath, { cycles: [] });
+    assert.equal(fs.readFileSync(seriesPath, "utf8"), "old");
+    failed.abort();
+    assert.deepEqual(fs.readdirSync(dir), ["series.json"]);
+
+    const outputs = new OutputTransaction();
+    outputs.writeFile(seriesPath, "new");
+    outputs.writeJson(edgeCasesPath, { cycles: [] });
+    assert.deepEqual(outputs.commit(), [seriesPath, edgeCasesPath]);
+    assert.equal(fs.readFileSync(seriesPath, "utf8"), "new");
+    assert.equal(
+      fs.readFileSync(edgeCasesPath, "utf8"),
+      '{\n  "cycles": []\n}\n'
+    );
+    assert.deepEqual(fs.readdirSync(dir).sort(), [
+      "edge_cases.json",
+      "series.json",
+    ]);
+  });
+
+  test("removes old temporary files whatever process ID they name", () => {
+    const now = Date.now();
+    const age = (name, ms) => {
+      const filePath = path.join(dir, name);
+      fs.writeFileSync(filePath, "partial");
+      const time = new Date(now - ms);
+      fs.utimesSync(filePath, time, time);
+      return filePath;
+    };
+    // The parent process is running, as a reused process ID would be
+    const reused = age(`.series.json.${process.ppid}.1.tmp`, 2 * 3600000);
+    age(`.edge_cases.json.${process.ppid}.2.tmp`, 60000);
+    age(`.series.json.${process.pid}.3.tmp`, 2 * 3600000);
+    age("series.json", 2 * 3600000);
+
+    assert.deepEqual(cleanStaleTempFiles([dir, path.join(dir, "missing")]), [
+      reused,
+    ]);
+    assert.deepEqual(fs.readdirSync(dir).sort(), [
+      `.edge_cases.json.${process.ppid}.2.tmp`,
+      `.series.json.${process.pid}.3.tmp`,
+      "series.json",
+    ]);
+
+    assert.equal(
+      cleanStaleTempFiles([dir], { now: now + STALE_TEMP_FILE_AGE }).length,
+      1
+    );
+  });
+});
@@ -0,0 +1,161 @@
+const assert = require("node:assert/strict");
+const path = require("path");
+const { afterEach, beforeEach, describe, test } = require("node:test");
+
+const {
+  diffFingerprints,
+  fingerprint,
+  fingerprintRecords,
+  loadState,
+  updateState,
+} = require("../scripts/utils/change-detection");
+const { groupAnimeIntoSeries } = require("../scripts/2-series-grouping");
+const {
+  createWorkspace,
+  readJson,
+  removeWorkspace,
+  writeJson,
+} = require("./helpers/workspace");
+
+/**
+ * Anime records of two franchises and a standalone entry
+ * @returns {Array<object>} Anime records
+ */
+function createAnime() {
+  const link = (targetAnimeId, relationType) => ({
+    targetAnimeId,
+    relationType,
+  });
+  return [
+    { id: "1", titleRomaji: "A", relations: [link("2", "SEQUEL")] },
+    { id: "2", titleRomaji: "A 2", relations: [link("1", "PREQUEL")] },
+    { id: "10", titleRomaji: "B", relations: [link("11", "SEQUEL")] },
+    { id: "11", titleRomaji: "B 2", relations: [link("10", "PREQUEL")] },
+    { id: "20", titleRomaji: "C", relations: [] },
+  ];
+}
+
+describe("fingerprints", () => {
+  test("do not depend on the order of object keys", () => {
+    assert.equal(
+      fingerprint({ id: "1", title: "A", tags: ["x"] }),
+      fingerprint({ tags: ["x"], title: "A", id: "1" })
+    );
+    assert.notEqual(fingerprint(["a", "b"]), fingerprint(["b", "a"]));
+  });
+
+  test("report added, modified and removed records", () => {
+    const previous = fingerprintRecords([
+      { id: 1, title: "A" },
+      { id: 2, title: "B" },
+      { id: 3, title: "C" },
+    ]);
+    const current = fingerprintRecords([
+      { id: 1, title: "A" },
+      { id: 2, title: "B (TV)" },
+      { id: 4, title: "D" },
+    ]);
+
+    assert.deepEqual(diffFingerprints(previous, current), {
+      added: ["4"],
+      modified: ["2"],
+      removed: ["3"],
+      unchanged: 1,
+    });
+  });
+});
+
+describe("updateState", () => {
+  let dir;
+  let statePath;
+
+  beforeEach(() => {
+    dir = createWorkspace();
+    statePath = path.join(dir, "db", "pipeline_state.json");
+  });
+
+  afterEach(() => removeWorkspace(dir));
+
+  test("keeps the update time while a section is unchanged", () => {
+    updateState(statePath, "grouping", { records: { 1: "a" } });
+    const state = loadState(statePath);
+    state.grouping.updatedAt = "2020-01-01T00:00:00.000Z";
+    writeJson(statePath, state);
+
+    updateState(statePath, "grouping", { records: { 1: "a" } });
+    assert.equal(
+      loadState(statePath).grouping.updatedAt,
+      "2020-01-01T00:00:00.000Z"
+    );
+
+    updateState(statePath, "grouping", { records: { 1: "b" } });
+    assert.notEqual(
+      loadState(statePath).grouping.updatedAt,
+      "2020-01-01T00:00:00.000Z"
+    );
+  });
+
+  test("starts over from state of another format version", () => {
+    writeJson(statePath, { version: 0, grouping: { records: {} } });
+    assert.deepEqual(loadState(statePath), { version: 1 });
+  });
+});
+
+describe("incremental grouping", () => {
+  let dir;
+  let animeDataPath;
+  let seriesPath;
+
+  beforeEach(() => {
+    dir = createWorkspace();
+    animeDataPath = path.join(
+      dir,
+      "results",
+      "anilist_anime_data_complete.json"
+    );
+    seriesPath = path.join(dir, "results", "main_series.json");
+  });
+
+  afterEach(() => removeWorkspace(dir));
+
+  test("regroups only the changed series and matches a full run", async () => {
+    const animeData = createAnime();
+    writeJson(animeDataPath, animeData);
+    assert.equal((await groupAnimeIntoSeries()).success, true);
+
+    // B gets a third season, A is unchanged
+    animeData[3].relations.push({
+      targetAnimeId: "12",
+      relationType: "SEQUEL",
+    });
+    animeData.push({
+      id: "12",
+      titleRomaji: "B 3",
+      relations: [{ targetAnimeId: "11", relationType: "PREQUEL" }],
+    });
+    writeJson(animeDataPath, animeData);
+
+    const incremental = await groupAnimeIntoSeries({ incremental: true });
+    assert.equal(incremental.success, true);
+    assert.equal(incremental.changes.incremental, true);
+    assert.deepEqual(incremental.changes.anime.added, ["12"]);
+    assert.deepEqual(incremental.changes.anime.modified, ["11"]);
+    assert.equal(incremental.changes.series.reused, 1);
+    const incrementalSeries = readJson(seriesPath);
+
+    const full = await groupAnimeIntoSeries();
+    assert.equal(full.changes.incremental, false);
+    assert.deepEqual(readJson(seriesPath), incrementalSeries);
+  });
+
+  test("saves an identical state when nothing changed", async () => {
+    writeJson(animeDataPath, createAnime());
+    await groupAnimeIntoSeries();
+    const statePath = path.join(dir, "db", "pipeline_state.json");
+    const state = readJson(statePath);
+
+    const result = await groupAnimeIntoSeries({ incremental: true });
+    assert.equal(result.changes.series.recomputed, 0);
+    assert.deepEqual(readJson(statePath), state);
+  });
+});
@@ -0,0 +1,91 @@
+const assert = require("node:assert/strict");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+const { afterEach, beforeEach, describe, test } = require("node:test");
+
+const { EXIT_CODES, exitCodeOf } = require("../scripts/utils/exit-codes");
+const { groupAnimeIntoSeries } = require("../scripts/2-series-grouping");
+const {
+  createWorkspace,
+  removeWorkspace,
+  writeJson,
+} = require("./helpers/workspace");
+
+const CLI_PATH = path.join(__dirname, "..", "scripts", "utils", "cli.js");
+
+/**
+ * Run the command-line interface in a working directory
+ * @param {string} dir - Working directory
+ * @param {Array<string>} args - Command-line arguments
+ * @returns {object} Exit status, stdout and stderr
+ */
+function runCli(dir, args) {
+  const { status, stdout, stderr } = spawnSync(
+    process.execPath,
+    [CLI_PATH, "--log-level", "error", ...args],
+    { cwd: dir, encoding: "utf8", timeout: 60000 }
+  );
+  return { status, stdout, stderr };
+}
+
+describe("command-line interface", () => {
+  let dir;
+  let animeDataPath;
+
+  beforeEach(() => {
+    dir = createWorkspace();
+    animeDataPath = path.join(
+      dir,
+      "results",
+      "anilist_anime_data_complete.json"
+    );
+    writeJson(animeDataPath, [
+      { id: "1", titleRomaji: "A", relations: [] },
+      { id: "2", relations: [] },
+    ]);
+  });
+
+  afterEach(() => removeWorkspace(dir));
+
+  test("exits with the usage code for an invalid option value", () => {
+    for (const args of [
+      ["group", "--validation-policy", "bogus"],
+      ["group", "--conflict-resolution", "bogus"],
+      ["run", "--max-churn", "2"],
+    ]) {
+      const { status, stderr } = runCli(dir, args);
+      assert.equal(status, EXIT_CODES.usage, args.join(" "));
+      assert.match(stderr, /invalid/);
+    }
+  });
+
+  test("prints the result as JSON with its exit code", () => {
+    const skipped = runCli(dir, ["group", "--json"]);
+    assert.equal(skipped.status, EXIT_CODES.success);
+    const result = JSON.parse(skipped.stdout);
+    assert.equal(result.success, true);
+    assert.equal(result.validation.rowsWithErrors, 1);
+
+    const rejected = runCli(dir, [
+      "group",
+      "--json",
+      "--validation-policy",
+      "fail",
+    ]);
+    assert.equal(rejected.status, EXIT_CODES.validation);
+    assert.equal(JSON.parse(rejected.stdout).errorType, "validation");
+
+    fs.rmSync(animeDataPath);
+    const missing = runCli(dir, ["group", "--json"]);
+    assert.equal(missing.status, EXIT_CODES.io);
+    assert.equal(JSON.parse(missing.stdout).errorType, "io");
+  });
+
+  test("reports an unknown mode given to a stage as a usage error", async () => {
+    const result = await groupAnimeIntoSeries({ conflictResolution: "bogus" });
+
+    assert.equal(result.errorType, "usage");
+    assert.equal(exitCodeOf(result), EXIT_CODES.usage);
+  });
+});
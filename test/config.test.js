@@ -0,0 +1,42 @@
+const assert = require("node:assert/strict");
+const { describe, test } = require("node:test");
+
+const { loadConfig } = require("../scripts/utils/config");
+
+describe("loadConfig", () => {
+  test("layers the environment and overrides over the defaults", () => {
+    const config = loadConfig({
+      env: { ANIME_PIPELINE_CONFLICT_RESOLUTION: "split" },
+      overrides: {
+        grouping: { validationPolicy: "quarantine" },
+        logging: { level: "error" },
+      },
+    });
+
+    assert.deepEqual(config.grouping, {
+      validationPolicy: "quarantine",
+      conflictResolution: "split",
+    });
+  });
+
+  test("rejects an unknown validation policy", () => {
+    assert.throws(
+      () =>
+        loadConfig({
+          env: {},
+          overrides: { grouping: { validationPolicy: "drop" } },
+        }),
+      /Unknown grouping\.validationPolicy "drop" \(expected fail, skip, quarantine\)/
+    );
+  });
+
+  test("rejects an unknown conflict resolution mode", () => {
+    assert.throws(
+      () =>
+        loadConfig({
+          env: { ANIME_PIPELINE_CONFLICT_RESOLUTION: "union" },
+        }),
+      /Unknown grouping\.conflictResolution "union" \(expected merge, split, keep\)/
+    );
+  });
+});
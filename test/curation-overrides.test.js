@@ -0,0 +1,226 @@
+const assert = require("node:assert/strict");
+const path = require("path");
+const { afterEach, beforeEach, describe, test } = require("node:test");
+
+const {
+  CurationOverrides,
+  GROUPING_RULES,
+  MERGE_RELATION_TYPE,
+  SPLIT_RULES,
+} = require("../scripts/utils/curation-overrides");
+const { groupAnimeIntoSeries } = require("../scripts/2-series-grouping");
+const { advancedSeriesSplit } = require("../scripts/3-advanced-series-split");
+const {
+  createWorkspace,
+  readJson,
+  removeWorkspace,
+  writeJson,
+} = require("./helpers/workspace");
+
+/**
+ * Create anime records from their relations
+ * @param {object} relations - Relations of each anime ID, as target ID and
+ *   relation type pairs
+ * @returns {Array<object>} Anime records
+ */
+function createAnime(relations) {
+  return Object.keys(relations).map((id) => ({
+    id,
+    titleRomaji: `Anime ${id}`,
+    relations: relations[id].map(([targetAnimeId, relationType]) => ({
+      targetAnimeId,
+      relationType,
+    })),
+  }));
+}
+
+const ANIME = createAnime({
+  1: [["2", "SEQUEL"]],
+  2: [
+    ["1", "PREQUEL"],
+    ["3", "SEQUEL"],
+  ],
+  3: [["2", "PREQUEL"]],
+  4: [],
+  5: [["6", "OTHER"]],
+  6: [["5", "OTHER"]],
+});
+
+const RULES = [
+  { id: "merge", type: "merge", animeIds: [1, 4] },
+  { type: "split", animeIds: ["2", "3"] },
+  {
+    type: "ignoreRelation",
+    sourceAnimeId: "5",
+    targetAnimeId: "6",
+    relationType: "OTHER",
+  },
+  { type: "pinName", animeId: "1", name: "Franchise" },
+  { type: "pinSeriesId", animeId: "1", seriesId: "franchise", scope: "series" },
+  { type: "pinSeriesId", animeId: "1", seriesId: "main", scope: "main" },
+  { type: "moveToBucket", animeId: "4", bucket: "spinOff" },
+  { id: "unused", type: "pinName", animeId: "99", name: "Nothing" },
+];
+
+describe("CurationOverrides", () => {
+  test("rejects invalid files and rules", () => {
+    for (const [document, message] of [
+      [{ version: 2 }, /Unsupported overrides version 2 \(expected 1\)/],
+      [{ rules: {} }, /rules must be a list/],
+      [{ rules: [{ type: "rename" }] }, /Rule #1: unknown type "rename"/],
+      [{ rules: [{ type: "pinName", animeId: "1" }] }, /pinName needs name/],
+      [
+        { rules: [{ id: "m", type: "merge", animeIds: ["1"] }] },
+        /Rule m: animeIds must list at least two anime/,
+      ],
+      [
+        { rules: [{ type: "split", animeIds: ["1", "2", "3"] }] },
+        /split takes exactly two anime/,
+      ],
+      [
+        { rules: [{ type: "pinName", animeId: "1", name: "A", scope: "x" }] },
+        /unknown scope "x" \(expected series, main\)/,
+      ],
+      [{ rules: [RULES[0], RULES[0]] }, /Duplicate rule id merge/],
+      [
+        {
+          rules: [
+            RULES[4],
+            { type: "pinSeriesId", animeId: "2", seriesId: "franchise" },
+          ],
+        },
+        /Series ID franchise is pinned more than once in scope series/,
+      ],
+    ]) {
+      assert.throws(() => new CurationOverrides(document), message);
+    }
+  });
+
+  test("applies the relation rules to a copy of the anime data", () => {
+    const overrides = new CurationOverrides({ rules: RULES });
+
+    const curated = overrides.applyToRelations(ANIME);
+
+    assert.deepEqual(
+      curated.map((anime) =>
+        anime.relations.map((relation) => relation.targetAnimeId)
+      ),
+      [["2", "4"], ["1"], [], ["1"], [], ["5"]]
+    );
+    assert.equal(curated[0].relations[1].relationType, MERGE_RELATION_TYPE);
+    assert.equal(ANIME[1].relations.length, 2);
+    assert.deepEqual(overrides.report(GROUPING_RULES, "series"), {
+      applied: ["merge", "#2", "#3"],
+      unused: ["#4", "#5", "unused"],
+    });
+  });
+
+  test("pins names and series IDs within their scope", () => {
+    const overrides = new CurationOverrides({ rules: RULES });
+
+    assert.deepEqual(overrides.pinFor([2, 1], "series"), {
+      name: "Franchise",
+      seriesId: "franchise",
+      rules: ["#4", "#5"],
+    });
+    assert.equal(overrides.pinFor(["1"], "main").seriesId, "main");
+    assert.deepEqual(overrides.pinFor(["2"], "main").rules, []);
+    assert.equal(overrides.moveRuleOf(4).bucket, "spinOff");
+    assert.deepEqual(overrides.appliedTo(["1"], SPLIT_RULES), [
+      "#4",
+      "#5",
+      "#6",
+    ]);
+  });
+});
+
+describe("curation overrides in the grouping and split", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = createWorkspace();
+    writeJson(
+      path.join(dir, "results", "anilist_anime_data_complete.json"),
+      ANIME
+    );
+    writeJson(path.join(dir, "db", "overrides.json"), {
+      version: 1,
+      rules: RULES,
+    });
+  });
+
+  afterEach(() => removeWorkspace(dir));
+
+  test("regroup the series and report the rules that took effect", async () => {
+    const grouping = await groupAnimeIntoSeries();
+
+    assert.equal(grouping.success, true);
+    assert.deepEqual(grouping.overrides, {
+      applied: ["merge", "#2", "#3", "#4", "#5"],
+      unused: ["unused"],
+    });
+    const series = readJson(
+      path.join(dir, "results", "main_series.json")
+    ).series;
+    assert.deepEqual(
+      series.map(({ seriesId, seriesName, animeIds, overrides }) => [
+        seriesId,
+        seriesName,
+        animeIds,
+        overrides,
+      ]),
+      [
+        [
+          "franchise",
+          "Franchise",
+          ["1", "2", "4"],
+          ["merge", "#2", "#4", "#5"],
+        ],
+        [series[1].seriesId, "Anime 5", ["6", "5"], ["#3"]],
+      ]
+    );
+
+    const split = await advancedSeriesSplit();
+
+    assert.equal(split.success, true);
+    assert.deepEqual(split.overrides, {
+      applied: ["#4", "#6", "#7"],
+      unused: ["unused"],
+    });
+    const { main, spinOff } = readJson(
+      path.join(dir, "db", "advanced_split_series.json")
+    );
+    assert.deepEqual(
+      main.map(({ seriesId, seriesName, animeIds, spinOffIds }) => [
+        seriesId,
+        seriesName,
+        animeIds,
+        spinOffIds,
+      ]),
+      [["main", "Franchise", ["1", "2"], ["4"]]]
+    );
+    assert.deepEqual(
+      spinOff.map(({ animeIds, originalSeriesId, overrides }) => [
+        animeIds,
+        originalSeriesId,
+        overrides,
+      ]),
+      [[["4"], "franchise", ["#7"]]]
+    );
+  });
+
+  test("fail the split when an anime is moved to an unknown bucket", async () => {
+    writeJson(path.join(dir, "db", "overrides.json"), {
+      rules: [{ id: "move", type: "moveToBucket", animeId: "2", bucket: "x" }],
+    });
+    assert.equal((await groupAnimeIntoSeries()).success, true);
+
+    const split = await advancedSeriesSplit();
+
+    assert.equal(split.success, false);
+    assert.match(
+      split.error,
+      /Curation override move moves anime 2 to unknown bucket "x"/
+    );
+  });
+});
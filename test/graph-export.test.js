@@ -0,0 +1,188 @@
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { afterEach, beforeEach, describe, test } = require("node:test");
+
+const {
+  buildRelationNetwork,
+  exportRelationGraph,
+  toCytoscape,
+  toDot,
+  toGraphML,
+} = require("../scripts/utils/graph-export");
+const {
+  createWorkspace,
+  readJson,
+  removeWorkspace,
+  writeJson,
+} = require("./helpers/workspace");
+
+const SERIES = [
+  {
+    seriesId: "s1",
+    seriesName: "Tom & Jerry",
+    animeIds: ["1", "2"],
+    relations: [
+      { sourceAnimeId: "1", targetAnimeId: "2", relationType: "SEQUEL" },
+      { sourceAnimeId: "1", targetAnimeId: "2", relationType: "SEQUEL" },
+      { sourceAnimeId: "2", targetAnimeId: "1", relationType: "PREQUEL" },
+      // Anime outside the exported series
+      { sourceAnimeId: "2", targetAnimeId: "9", relationType: "ADAPTATION" },
+    ],
+  },
+  {
+    seriesId: "s2",
+    seriesName: "進撃の巨人",
+    animeIds: ["3"],
+    animeDetails: { 3: { title: "Shingeki" } },
+    relations: [],
+  },
+];
+
+const ANIME_MAP = {
+  1: { id: "1", titleRomaji: 'Tom & "Jerry"', format: "TV" },
+  2: { id: "2", titleEnglish: "Tom <2>", startDate: "2001-04-01" },
+};
+
+describe("buildRelationNetwork", () => {
+  test("labels anime and drops duplicate and dangling relations", () => {
+    const network = buildRelationNetwork(SERIES, ANIME_MAP);
+
+    assert.deepEqual(network.nodes, [
+      {
+        id: "1",
+        label: 'Tom & "Jerry"',
+        format: "TV",
+        startDate: null,
+        seriesId: "s1",
+      },
+      {
+        id: "2",
+        label: "Tom <2>",
+        format: null,
+        startDate: "2001-04-01",
+        seriesId: "s1",
+      },
+      {
+        id: "3",
+        label: "Shingeki",
+        format: null,
+        startDate: null,
+        seriesId: "s2",
+      },
+    ]);
+    assert.deepEqual(network.edges, [
+      { id: "e0", source: "1", target: "2", label: "SEQUEL" },
+      { id: "e1", source: "2", target: "1", label: "PREQUEL" },
+    ]);
+  });
+});
+
+describe("graph formats", () => {
+  const network = buildRelationNetwork(SERIES.slice(0, 1), ANIME_MAP);
+
+  test("renders escaped GraphML", () => {
+    const graphml = toGraphML(network);
+
+    assert.match(graphml, /^<\?xml version="1.0" encoding="UTF-8"\?>\n/);
+    assert.match(
+      graphml,
+      /<node id="1"><data key="label">Tom &amp; &quot;Jerry&quot;<\/data><data key="format">TV<\/data><data key="seriesId">s1<\/data><\/node>/
+    );
+    assert.match(graphml, /<data key="label">Tom &lt;2&gt;<\/data>/);
+    assert.match(
+      graphml,
+      /<edge id="e0" source="1" target="2"><data key="edgeLabel">SEQUEL<\/data><\/edge>/
+    );
+  });
+
+  test("renders quoted DOT", () => {
+    assert.equal(
+      toDot(network, 'Tom "T&J"'),
+      [
+        'digraph "Tom \\"T&J\\"" {',
+        "  node [shape=box];",
+        '  "1" [label="Tom & \\"Jerry\\"", format="TV", seriesId="s1"];',
+        '  "2" [label="Tom <2>", startDate="2001-04-01", seriesId="s1"];',
+        '  "1" -> "2" [label="SEQUEL"];',
+        '  "2" -> "1" [label="PREQUEL"];',
+        "}",
+        "",
+      ].join("\n")
+    );
+  });
+
+  test("renders Cytoscape.js elements", () => {
+    const { elements } = JSON.parse(toCytoscape(network));
+
+    assert.deepEqual(
+      elements.nodes.map(({ data }) => data.id),
+      ["1", "2"]
+    );
+    assert.deepEqual(elements.edges[0].data, {
+      id: "e0",
+      source: "1",
+      target: "2",
+      label: "SEQUEL",
+    });
+  });
+});
+
+describe("exportRelationGraph", () => {
+  let dir;
+  let outputDir;
+
+  beforeEach(() => {
+    dir = createWorkspace();
+    outputDir = path.join(dir, "results", "graphs");
+    writeJson(path.join(dir, "results", "main_series.json"), {
+      series: SERIES,
+    });
+    writeJson(
+      path.join(dir, "results", "anime_data_updated.json"),
+      Object.values(ANIME_MAP)
+    );
+  });
+
+  afterEach(() => removeWorkspace(dir));
+
+  test("writes every format of the whole dataset", () => {
+    const result = exportRelationGraph();
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.files, [
+      path.join(outputDir, "anime-relations.graphml"),
+      path.join(outputDir, "anime-relations.dot"),
+      path.join(outputDir, "anime-relations.cyjs"),
+    ]);
+    assert.equal(result.seriesCount, 2);
+    assert.equal(result.nodeCount, 3);
+    assert.equal(result.edgeCount, 2);
+    assert.equal(readJson(result.files[2]).elements.nodes[0].data.format, "TV");
+  });
+
+  test("selects series by ID or name and names files after them", () => {
+    const byName = exportRelationGraph({ series: "jerry", formats: ["dot"] });
+    assert.deepEqual(byName.files, [path.join(outputDir, "Tom_Jerry.dot")]);
+    assert.equal(byName.nodeCount, 2);
+
+    const byId = exportRelationGraph({ series: "s2", formats: ["dot"] });
+    assert.deepEqual(byId.files, [path.join(outputDir, "s2.dot")]);
+    assert.match(fs.readFileSync(byId.files[0], "utf8"), /label="Shingeki"/);
+  });
+
+  test("fails for unknown formats, series and missing inputs", () => {
+    assert.match(
+      exportRelationGraph({ formats: ["svg"] }).error,
+      /Unknown graph format: svg/
+    );
+    assert.match(
+      exportRelationGraph({ series: "bogus" }).error,
+      /No series matches "bogus"/
+    );
+
+    fs.rmSync(path.join(dir, "results", "main_series.json"));
+    assert.equal(exportRelationGraph().errorType, "io");
+    assert.equal(fs.existsSync(outputDir), false);
+  });
+});
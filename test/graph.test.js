@@ -0,0 +1,67 @@
+const assert = require("node:assert/strict");
+const { describe, test } = require("node:test");
+
+const {
+  findDirectedCycles,
+  findStronglyConnectedComponents,
+} = require("../scripts/utils/graph");
+
+/**
+ * Build an adjacency map from edges
+ * @param {Array<Array<string>>} edges - Source and target pairs
+ * @returns {Map} Map of vertex to successors
+ */
+function adjacencyOf(edges) {
+  const adjacency = new Map();
+  edges.forEach(([source, target]) => {
+    if (!adjacency.has(source)) adjacency.set(source, []);
+    adjacency.get(source).push(target);
+  });
+  return adjacency;
+}
+
+describe("findDirectedCycles", () => {
+  test("finds no cycle in a chain", () => {
+    const adjacency = adjacencyOf([
+      ["1", "2"],
+      ["2", "3"],
+      ["1", "3"],
+    ]);
+    assert.deepEqual(findDirectedCycles(adjacency), []);
+  });
+
+  test("reports a shortest cycle per component, from its lowest ID", () => {
+    const adjacency = adjacencyOf([
+      ["3", "10"],
+      ["10", "11"],
+      ["11", "2"],
+      ["2", "3"],
+      ["3", "4"],
+      ["4", "2"],
+      ["7", "7"],
+    ]);
+
+    const cycles = findDirectedCycles(adjacency);
+    assert.deepEqual(
+      cycles.map((cycle) => cycle.path),
+      [
+        ["2", "3", "4", "2"],
+        ["7", "7"],
+      ]
+    );
+    assert.deepEqual(cycles[0].vertices.sort(), ["10", "11", "2", "3", "4"]);
+  });
+
+  test("handles long chains without recursion", () => {
+    const edges = [];
+    for (let i = 1; i < 100000; i++) edges.push([String(i), String(i + 1)]);
+    edges.push(["100000", "1"]);
+
+    const [cycle] = findDirectedCycles(adjacencyOf(edges));
+    assert.equal(cycle.path.length, 100001);
+    assert.equal(
+      findStronglyConnectedComponents(adjacencyOf(edges.slice(0, -1))).length,
+      100000
+    );
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * The series grouping of the original recursive implementation (before the
+ * grouping engine was rewritten), reduced to the series it creates. Tests
+ * compare the current engine against it.
+ */
+
+/**
+ * Find all related anime IDs recursively
+ * @param {string} animeId - Anime ID to start from
+ * @param {object} animeMap - Map of anime objects by ID
+ * @param {Set} processedIds - Set of already processed anime IDs
+ * @returns {Set} Set of related anime IDs
+ */
+function findAllRelatedIds(animeId, animeMap, processedIds = new Set()) {
+  if (processedIds.has(animeId)) return processedIds;
+
+  processedIds.add(animeId);
+  const anime = animeMap[animeId];
+
+  if (!anime || !anime.relations) return processedIds;
+
+  anime.relations.forEach((relation) => {
+    const targetId = relation.targetAnimeId || relation.id;
+
+    if (!targetId) return;
+
+    if (!processedIds.has(targetId)) {
+      findAllRelatedIds(targetId, animeMap, processedIds);
+    }
+  });
+
+  return processedIds;
+}
+
+/**
+ * Group anime into series the way the original implementation did
+ * @param {Array} animeData - Anime with normalized relations
+ * @returns {Array<Array<string>>} Anime IDs of each series, in creation order
+ */
+function groupBaseline(animeData) {
+  const animeMap = {};
+  const series = [];
+  const processedIds = new Set();
+  const animeToSeries = new Map();
+
+  animeData.forEach((anime) => {
+    animeMap[anime.id] = anime;
+  });
+
+  animeData.forEach((anime) => {
+    if (processedIds.has(anime.id)) return;
+
+    if (!anime.relations || anime.relations.length === 0) {
+      processedIds.add(anime.id);
+      return;
+    }
+
+    const relatedIds = findAllRelatedIds(anime.id, animeMap);
+
+    if (relatedIds.size === 1) {
+      processedIds.add(anime.id);
+      return;
+    }
+
+    // Series overlapping anime already in another series are not created
+    if (Array.from(relatedIds).some((id) => animeToSeries.has(id))) {
+      relatedIds.forEach((id) => processedIds.add(id));
+      return;
+    }
+
+    relatedIds.forEach((id) => {
+      animeToSeries.set(id, series.length);
+      processedIds.add(id);
+    });
+    series.push(Array.from(relatedIds));
+  });
+
+  return series;
+}
+
+module.exports = { groupBaseline };
@@ -0,0 +1,63 @@
+/**
+ * In-memory stand-in for a MongoDB database, supporting the operations the
+ * migration uses: find() by a list of IDs, and bulkWrite() with updateOne
+ * ($set, $unset, upsert) and replaceOne
+ */
+
+class MemoryCollection {
+  constructor() {
+    this.documents = new Map();
+    // Operations of every bulkWrite() call, to check what was written
+    this.writes = [];
+  }
+
+  find(query) {
+    const ids = query._id.$in;
+    const found = ids
+      .filter((id) => this.documents.has(id))
+      .map((id) => structuredClone(this.documents.get(id)));
+    return { toArray: async () => found };
+  }
+
+  async bulkWrite(operations) {
+    this.writes.push(operations);
+    operations.forEach((operation) => {
+      if (operation.replaceOne) {
+        const { filter, replacement } = operation.replaceOne;
+        if (!this.documents.has(filter._id)) return;
+        this.documents.set(filter._id, {
+          _id: filter._id,
+          ...structuredClone(replacement),
+        });
+      } else if (operation.updateOne) {
+        const { filter, update, upsert } = operation.updateOne;
+        if (!this.documents.has(filter._id) && !upsert) return;
+        const document = this.documents.get(filter._id) || { _id: filter._id };
+        Object.assign(document, structuredClone(update.$set || {}));
+        Object.keys(update.$unset || {}).forEach((key) => delete document[key]);
+        this.documents.set(filter._id, document);
+      } else {
+        throw new Error(`Unsupported operation ${Object.keys(operation)[0]}`);
+      }
+    });
+  }
+
+  get(id) {
+    return this.documents.get(id);
+  }
+}
+
+class MemoryDb {
+  constructor() {
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new MemoryCollection());
+    }
+    return this.collections.get(name);
+  }
+}
+
+module.exports = { MemoryDb };
@@ -0,0 +1,61 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { loadConfig } = require("../../scripts/utils/config");
+const { flushLogs } = require("../../scripts/utils/logger");
+
+/**
+ * Create a temporary working directory and load a config that keeps every
+ * pipeline file in it
+ * @param {object} overrides - Extra config settings
+ * @returns {string} Working directory
+ */
+function createWorkspace(overrides = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "anime-pipeline-"));
+  const paths = {};
+  ["data", "results", "db", "logs", "snapshots"].forEach((name) => {
+    fs.mkdirSync(path.join(dir, name));
+    paths[`${name}Dir`] = path.join(dir, name);
+  });
+
+  loadConfig({
+    env: {},
+    overrides: {
+      ...overrides,
+      paths: { ...paths, ...overrides.paths },
+      logging: { level: "error", ...overrides.logging },
+    },
+  });
+  return dir;
+}
+
+/**
+ * Remove a working directory once its log lines are written
+ * @param {string} dir - Working directory
+ * @returns {Promise<void>}
+ */
+async function removeWorkspace(dir) {
+  await flushLogs();
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+/**
+ * Write a JSON file
+ * @param {string} filePath - File path
+ * @param {*} value - Value to write
+ */
+function writeJson(filePath, value) {
+  fs.writeFileSync(filePath, JSON.stringify(value, null, 2) + "\n");
+}
+
+/**
+ * Read a JSON file
+ * @param {string} filePath - File path
+ * @returns {*} Parsed value
+ */
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+module.exports = { createWorkspace, removeWorkspace, writeJson, readJson };
@@ -0,0 +1,171 @@
+const assert = require("node:assert/strict");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+const { afterEach, describe, mock, test } = require("node:test");
+
+const {
+  flushLogs,
+  getLogger,
+  setConsoleOutput,
+  setLogContext,
+} = require("../scripts/utils/logger");
+const { createWorkspace, removeWorkspace } = require("./helpers/workspace");
+
+/**
+ * Read the lines of a log file
+ * @param {string} filePath - Log file path
+ * @returns {Array<string>} Lines
+ */
+function readLines(filePath) {
+  return fs.readFileSync(filePath, "utf8").split("\n").filter(Boolean);
+}
+
+describe("logger", () => {
+  let dir;
+  let consoleLines;
+
+  /**
+   * Create a workspace with logging settings and capture the console
+   * @param {object} logging - Logging settings
+   * @returns {string} Logs directory
+   */
+  function setup(logging) {
+    dir = createWorkspace({ logging: { level: "info", ...logging } });
+    consoleLines = { log: [], warn: [], error: [] };
+    Object.keys(consoleLines).forEach((method) => {
+      mock.method(console, method, (line) => consoleLines[method].push(line));
+    });
+    return path.join(dir, "logs");
+  }
+
+  afterEach(async () => {
+    await removeWorkspace(dir);
+    mock.restoreAll();
+    setLogContext({ runId: null, stage: null });
+    setConsoleOutput({ level: null, stderr: false });
+  });
+
+  test("writes JSON lines with the run context and fields", async () => {
+    const logsDir = setup({ format: "json", components: { quiet: "error" } });
+    setLogContext({ runId: "run-1", stage: "series-grouping" });
+
+    const logger = getLogger("grouping");
+    logger.debug("Not logged");
+    logger.info("Grouped series", { seriesCount: 2 });
+    logger.error("Failed");
+    getLogger("quiet").warn("Not logged either");
+    await flushLogs();
+
+    const lines = readLines(path.join(logsDir, "grouping.log")).map((line) =>
+      JSON.parse(line)
+    );
+    assert.deepEqual(
+      lines.map(({ timestamp, ...line }) => line),
+      [
+        {
+          seriesCount: 2,
+          level: "info",
+          component: "grouping",
+          runId: "run-1",
+          stage: "series-grouping",
+          message: "Grouped series",
+        },
+        {
+          level: "error",
+          component: "grouping",
+          runId: "run-1",
+          stage: "series-grouping",
+          message: "Failed",
+        },
+      ]
+    );
+    assert.equal(readLines(path.join(logsDir, "grouping.error.log")).length, 1);
+    assert.equal(fs.existsSync(path.join(logsDir, "quiet.log")), false);
+  });
+
+  test("prints text lines on the console by level", async () => {
+    const logsDir = setup();
+    setConsoleOutput({ level: "warn" });
+
+    const logger = getLogger("grouping");
+    logger.info("Grouped series", { seriesCount: 2 });
+    logger.warn("Orphaned anime");
+    setConsoleOutput({ stderr: true });
+    logger.warn("Cycle found");
+    await flushLogs();
+
+    assert.match(
+      readLines(path.join(logsDir, "grouping.log"))[0],
+      /^\[\d{4}-\d\d-\d\dT[\d:.]+Z\] \[INFO\] \[grouping\] Grouped series {"seriesCount":2}$/
+    );
+    assert.equal(consoleLines.log.length, 0);
+    assert.match(consoleLines.warn[0], /\[WARN\] \[grouping\] Orphaned anime$/);
+    assert.match(consoleLines.error[0], /\[WARN\] \[grouping\] Cycle found$/);
+  });
+
+  test("rotates log files past the size limit and keeps the newest", async () => {
+    const logsDir = setup({ rotation: { maxSize: 100, keep: 2 } });
+    setConsoleOutput({ level: "error" });
+
+    const logger = getLogger("grouping");
+    for (let i = 1; i <= 4; i++) {
+      logger.info(`Line ${i}`);
+      await flushLogs();
+    }
+
+    assert.deepEqual(fs.readdirSync(logsDir).sort(), [
+      "grouping.error.log",
+      "grouping.log",
+      "grouping.log.1",
+      "grouping.log.2",
+    ]);
+    assert.match(readLines(path.join(logsDir, "grouping.log"))[0], /Line 4$/);
+    assert.match(readLines(path.join(logsDir, "grouping.log.2"))[0], /Line 2$/);
+  });
+
+  test("rotates log files daily", async () => {
+    const logsDir = setup({ rotation: { interval: "daily", keep: 1 } });
+    setConsoleOutput({ level: "error" });
+    const logPath = path.join(logsDir, "grouping.log");
+    fs.writeFileSync(logPath, "Yesterday\n");
+    const yesterday = new Date(Date.now() - 24 * 3600000);
+    fs.utimesSync(logPath, yesterday, yesterday);
+
+    getLogger("grouping").info("Today");
+    await flushLogs();
+
+    assert.deepEqual(readLines(`${logPath}.1`), ["Yesterday"]);
+    assert.match(readLines(logPath)[0], /Today$/);
+  });
+
+  test("writes queued lines when the process exits", () => {
+    dir = createWorkspace();
+    const logsDir = path.join(dir, "logs");
+    const script = `
+      const { loadConfig } = require(${JSON.stringify(
+        require.resolve("../scripts/utils/config")
+      )});
+      const { getLogger } = require(${JSON.stringify(
+        require.resolve("../scripts/utils/logger")
+      )});
+      loadConfig({ env: {}, overrides: { paths: { logsDir: ${JSON.stringify(
+        logsDir
+      )} } } });
+      const logger = getLogger("exit");
+      for (let i = 1; i <= 1000; i++) logger.info("Line " + i);
+      process.exit(0);
+    `;
+
+    const { status } = spawnSync(process.execPath, ["-e", script], {
+      cwd: dir,
+      stdio: "ignore",
+      timeout: 60000,
+    });
+
+    assert.equal(status, 0);
+    const lines = readLines(path.join(logsDir, "exit.log"));
+    assert.equal(lines.length, 1000);
+    assert.match(lines[999], /Line 1000$/);
+  });
+});
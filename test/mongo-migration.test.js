@@ -0,0 +1,192 @@
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { afterEach, beforeEach, describe, test } = require("node:test");
+
+const { loadConfig } = require("../scripts/utils/config");
+const { flushLogs } = require("../scripts/utils/logger");
+const { migrateToMongo } = require("../scripts/4-mongo-migration");
+const { MemoryDb } = require("./helpers/memory-db");
+
+/**
+ * Write the split stage outputs the migration reads
+ * @param {string} dir - Working directory
+ * @param {Array<object>} anime - Anime records
+ * @param {object} splitSeries - Split series by category
+ */
+function writeSplitOutput(dir, anime, splitSeries) {
+  fs.writeFileSync(
+    path.join(dir, "results", "anime_data_split.json"),
+    JSON.stringify(anime)
+  );
+  fs.writeFileSync(
+    path.join(dir, "db", "advanced_split_series.json"),
+    JSON.stringify(splitSeries)
+  );
+}
+
+const ANIME = [
+  { id: "1", titleRomaji: "Shingeki no Kyojin", episodes: 25, seriesId: "a" },
+  { id: "2", titleRomaji: "Shingeki no Kyojin 2", episodes: 12, seriesId: "a" },
+];
+const SPLIT_SERIES = {
+  main: [
+    { seriesId: "a", seriesName: "Shingeki no Kyojin", animeIds: ["1", "2"] },
+  ],
+  adaptation: [],
+};
+
+describe("migrateToMongo", () => {
+  let dir;
+  let db;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "anime-pipeline-"));
+    ["results", "db", "logs"].forEach((name) =>
+      fs.mkdirSync(path.join(dir, name))
+    );
+    loadConfig({
+      env: {},
+      overrides: {
+        paths: {
+          resultsDir: path.join(dir, "results"),
+          dbDir: path.join(dir, "db"),
+          logsDir: path.join(dir, "logs"),
+        },
+        logging: { level: "error" },
+      },
+    });
+    writeSplitOutput(dir, ANIME, SPLIT_SERIES);
+    db = new MemoryDb();
+  });
+
+  afterEach(async () => {
+    await flushLogs();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("is skipped without a connection string or database", async () => {
+    const result = await migrateToMongo();
+    assert.deepEqual(result, { success: true, skipped: true });
+  });
+
+  test("inserts every document on the first migration", async () => {
+    const result = await migrateToMongo({ db });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.counts.anime, {
+      inserted: 2,
+      updated: 0,
+      untouched: 0,
+      preserved: 0,
+    });
+    assert.equal(result.counts.series.inserted, 1);
+
+    const anime = db.collection("anime").get("1");
+    assert.equal(anime.titleRomaji, "Shingeki no Kyojin");
+    assert.equal(typeof anime._pipeline.hash, "string");
+    assert.equal(db.collection("series").get("a").seriesType, "MAIN");
+  });
+
+  test("leaves documents whose content is unchanged untouched", async () => {
+    await migrateToMongo({ db });
+    const writes = db.collection("anime").writes.length;
+
+    const result = await migrateToMongo({ db });
+
+    assert.deepEqual(result.counts.anime, {
+      inserted: 0,
+      updated: 0,
+      untouched: 2,
+      preserved: 0,
+    });
+    assert.equal(db.collection("anime").writes.length, writes);
+  });
+
+  test("replaces changed documents", async () => {
+    await migrateToMongo({ db });
+    db.collection("anime").get("1").note = "edited by hand";
+    writeSplitOutput(
+      dir,
+      [{ ...ANIME[0], episodes: 26 }, ANIME[1]],
+      SPLIT_SERIES
+    );
+
+    const result = await migrateToMongo({ db });
+
+    assert.equal(result.counts.anime.updated, 1);
+    assert.equal(result.counts.anime.untouched, 1);
+    const anime = db.collection("anime").get("1");
+    assert.equal(anime.episodes, 26);
+    assert.equal(anime.note, undefined);
+    const [operation] = db.collection("anime").writes.at(-1);
+    assert.ok(operation.replaceOne);
+  });
+
+  test("keeps manual edits with preserveManualEdits", async () => {
+    await migrateToMongo({ db });
+    const stored = db.collection("anime").get("1");
+    stored.titleRomaji = "Attack on Titan";
+    stored.note = "edited by hand";
+
+    // The pipeline changes the episodes and stops writing the series ID
+    const { seriesId, ...withoutSeries } = ANIME[0];
+    writeSplitOutput(
+      dir,
+      [{ ...withoutSeries, episodes: 26 }, ANIME[1]],
+      SPLIT_SERIES
+    );
+
+    const result = await migrateToMongo({ db, preserveManualEdits: true });
+
+    assert.deepEqual(result.counts.anime, {
+      inserted: 0,
+      updated: 1,
+      untouched: 1,
+      preserved: 1,
+    });
+    const [operation] = db.collection("anime").writes.at(-1);
+    const { update } = operation.updateOne;
+    assert.equal(update.$set.episodes, 26);
+    assert.equal("titleRomaji" in update.$set, false);
+    assert.deepEqual(update.$unset, { seriesId: "" });
+
+    const anime = db.collection("anime").get("1");
+    assert.equal(anime.titleRomaji, "Attack on Titan");
+    assert.equal(anime.note, "edited by hand");
+    assert.equal(anime.episodes, 26);
+    assert.equal("seriesId" in anime, false);
+  });
+
+  test("keeps an edited field on later migrations", async () => {
+    await migrateToMongo({ db });
+    db.collection("anime").get("1").titleRomaji = "Attack on Titan";
+    writeSplitOutput(
+      dir,
+      [{ ...ANIME[0], episodes: 26 }, ANIME[1]],
+      SPLIT_SERIES
+    );
+    await migrateToMongo({ db, preserveManualEdits: true });
+    writeSplitOutput(
+      dir,
+      [{ ...ANIME[0], episodes: 27 }, ANIME[1]],
+      SPLIT_SERIES
+    );
+
+    await migrateToMongo({ db, preserveManualEdits: true });
+
+    const anime = db.collection("anime").get("1");
+    assert.equal(anime.titleRomaji, "Attack on Titan");
+    assert.equal(anime.episodes, 27);
+  });
+
+  test("fails with an I/O error when the split output is missing", async () => {
+    fs.rmSync(path.join(dir, "db", "advanced_split_series.json"));
+
+    const result = await migrateToMongo({ db });
+
+    assert.equal(result.success, false);
+    assert.equal(result.errorType, "io");
+  });
+});
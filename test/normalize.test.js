@@ -0,0 +1,77 @@
+const assert = require("node:assert/strict");
+const { describe, test } = require("node:test");
+
+const { normalizeRecord, toCamelCase } = require("../scripts/utils/normalize");
+
+describe("toCamelCase", () => {
+  test("converts snake_case, kebab-case and spaced names", () => {
+    assert.equal(toCamelCase("title_romaji"), "titleRomaji");
+    assert.equal(toCamelCase("start-date"), "startDate");
+    assert.equal(toCamelCase("Average Score"), "averageScore");
+  });
+});
+
+describe("normalizeRecord", () => {
+  test("parses JSON in list and object columns", () => {
+    const record = normalizeRecord({
+      genres: '["Action","Drama"]',
+      relations: '[{"target_anime_id":2,"relation_type":"SEQUEL"}]',
+      cover_image: '{"large":"https://example.com/1.jpg"}',
+      related_ids: "[2, 3]",
+    });
+
+    assert.deepEqual(record.genres, ["Action", "Drama"]);
+    assert.deepEqual(record.relations, [
+      { targetAnimeId: "2", relationType: "SEQUEL" },
+    ]);
+    assert.deepEqual(record.coverImage, {
+      large: "https://example.com/1.jpg",
+    });
+    assert.deepEqual(record.relatedIds, ["2", "3"]);
+  });
+
+  test("keeps titles that look like numbers or JSON as strings", () => {
+    const record = normalizeRecord({
+      title_romaji: "86",
+      title_english: "[1]",
+      title_native: '{"a":1}',
+    });
+
+    assert.equal(record.titleRomaji, "86");
+    assert.equal(record.titleEnglish, "[1]");
+    assert.equal(record.titleNative, '{"a":1}');
+  });
+
+  test("coerces numbers, booleans, dates and IDs in their columns", () => {
+    const record = normalizeRecord({
+      id: "21",
+      episodes: "25",
+      average_score: "84.5",
+      is_adult: "FALSE",
+      start_date: "2013-04",
+      format: "TV",
+    });
+
+    assert.deepEqual(record, {
+      id: "21",
+      episodes: 25,
+      averageScore: 84.5,
+      isAdult: false,
+      startDate: "2013-04",
+      format: "TV",
+    });
+  });
+
+  test("sets unparsable values to null and reports them", () => {
+    const warnings = [];
+    const record = normalizeRecord(
+      { genres: '["Action"', start_date: "bad-date", title: "" },
+      { onWarning: (field) => warnings.push(field) }
+    );
+
+    assert.equal(record.genres, null);
+    assert.equal(record.startDate, null);
+    assert.equal(record.title, null);
+    assert.deepEqual(warnings, ["genres", "startDate"]);
+  });
+});
@@ -0,0 +1,59 @@
+const assert = require("node:assert/strict");
+const { describe, test } = require("node:test");
+
+const { RelationTaxonomy } = require("../scripts/utils/relation-taxonomy");
+
+describe("RelationTaxonomy", () => {
+  const taxonomy = new RelationTaxonomy({
+    relationTypes: {
+      SIDE_STORY: "satellite",
+      SPIN_OFF: "spinOff",
+      PARENT: ["other", "parent"],
+    },
+    buckets: {
+      spinOff: {},
+      other: { label: "Other", seriesType: "MISC" },
+      parent: {},
+    },
+  });
+
+  test("maps relation types to their categories", () => {
+    assert.deepEqual(taxonomy.categoriesOf("SIDE_STORY"), ["satellite"]);
+    assert.deepEqual(taxonomy.categoriesOf("PARENT"), ["other", "parent"]);
+    assert.deepEqual(taxonomy.categoriesOf("SEQUEL"), ["main"]);
+    assert.equal(taxonomy.isMain("SEQUEL"), true);
+    assert.equal(taxonomy.isMain("SPIN_OFF"), false);
+    assert.equal(taxonomy.isBucket("satellite"), false);
+  });
+
+  test("derives bucket labels and series types from their keys", () => {
+    assert.deepEqual(taxonomy.buckets, [
+      { key: "spinOff", label: "Spin Off", seriesType: "SPIN_OFF" },
+      { key: "other", label: "Other", seriesType: "MISC" },
+      { key: "parent", label: "Parent", seriesType: "PARENT" },
+    ]);
+  });
+
+  test("rejects unknown and reserved categories", () => {
+    assert.throws(
+      () => new RelationTaxonomy({ relationTypes: { SUMMARY: "recap" } }),
+      /Unknown relation category "recap"/
+    );
+    assert.throws(
+      () => new RelationTaxonomy({ buckets: { main: {} } }),
+      /"main" is reserved and cannot be a bucket name/
+    );
+    assert.throws(
+      () =>
+        new RelationTaxonomy({
+          relationTypes: { PARENT: ["satellite", "other"] },
+          buckets: { other: {} },
+        }),
+      /Relation type PARENT can only be listed in buckets/
+    );
+    assert.throws(
+      () => new RelationTaxonomy({ defaultCategory: "other" }),
+      /Unknown relation category "other"/
+    );
+  });
+});
@@ -0,0 +1,117 @@
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { afterEach, beforeEach, describe, test } = require("node:test");
+
+const {
+  STAGE_STATUS,
+  isStageReusable,
+  loadManifest,
+} = require("../scripts/utils/run-manifest");
+const { getPath } = require("../scripts/utils/config");
+const { runPipeline } = require("../scripts/pipeline");
+const { createWorkspace, removeWorkspace } = require("./helpers/workspace");
+
+describe("isStageReusable", () => {
+  const record = {
+    status: STAGE_STATUS.COMPLETED,
+    settings: "s",
+    inputs: { "data/a.csv": "1" },
+    outputs: { "results/a.json": "2" },
+  };
+  const current = {
+    settings: "s",
+    inputs: { "data/a.csv": "1" },
+    outputs: { "results/a.json": "2" },
+  };
+
+  test("reuses a completed stage with unchanged files and settings", () => {
+    assert.equal(isStageReusable(record, current), true);
+  });
+
+  test("reruns a stage when anything it used changed", () => {
+    assert.equal(isStageReusable(null, current), false);
+    assert.equal(
+      isStageReusable({ ...record, status: STAGE_STATUS.FAILED }, current),
+      false
+    );
+    assert.equal(isStageReusable(record, { ...current, settings: "t" }), false);
+    assert.equal(
+      isStageReusable(record, {
+        ...current,
+        inputs: { "data/a.csv": "3" },
+      }),
+      false
+    );
+    assert.equal(
+      isStageReusable(record, {
+        ...current,
+        outputs: { "results/a.json": null },
+      }),
+      false
+    );
+  });
+});
+
+describe("runPipeline checkpoints", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = createWorkspace();
+    fs.writeFileSync(
+      path.join(dir, "data", "anilist_anime_data_complete.csv"),
+      [
+        "id,title_romaji,relations",
+        '1,A,"[{""targetAnimeId"":2,""relationType"":""SEQUEL""}]"',
+        '2,A 2,"[{""targetAnimeId"":1,""relationType"":""PREQUEL""}]"',
+      ].join("\n") + "\n"
+    );
+  });
+
+  afterEach(() => removeWorkspace(dir));
+
+  test("resumes with the stages whose outputs are missing", async () => {
+    assert.equal((await runPipeline()).success, true);
+    fs.rmSync(getPath("dbDir", "advancedSplit"));
+
+    const result = await runPipeline({ resume: true });
+    assert.equal(result.success, true);
+    assert.equal(fs.existsSync(getPath("dbDir", "advancedSplit")), true);
+
+    const { stages, status } = loadManifest(
+      getPath("resultsDir", "runManifest")
+    );
+    assert.equal(status, STAGE_STATUS.COMPLETED);
+    assert.ok(stages["data-conversion"].reusedAt);
+    assert.ok(stages["series-grouping"].reusedAt);
+    assert.equal(stages["advanced-series-split"].reusedAt, undefined);
+    assert.equal(stages["series-diff"].reusedAt, undefined);
+  });
+
+  test("records the stage a run failed in", async () => {
+    const result = await runPipeline({ validationPolicy: "bogus" });
+
+    assert.equal(result.success, false);
+    assert.equal(result.stage, "series-grouping");
+    assert.equal(result.errorType, "usage");
+    const manifest = loadManifest(getPath("resultsDir", "runManifest"));
+    assert.equal(manifest.status, STAGE_STATUS.FAILED);
+    assert.equal(manifest.failedStage, "series-grouping");
+    assert.equal(
+      manifest.stages["data-conversion"].status,
+      STAGE_STATUS.COMPLETED
+    );
+  });
+
+  test("cannot start from a stage without earlier outputs", async () => {
+    const unknown = await runPipeline({ from: "bogus" });
+    assert.equal(unknown.errorType, "usage");
+
+    const result = await runPipeline({ from: "advanced-series-split" });
+    assert.equal(result.success, false);
+    assert.match(
+      result.error,
+      /Cannot start from advanced-series-split: data-conversion has no completed output/
+    );
+  });
+});
@@ -0,0 +1,136 @@
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { afterEach, beforeEach, describe, test } = require("node:test");
+
+const {
+  createMembershipSnapshot,
+  diffMembership,
+} = require("../scripts/utils/series-diff");
+const { diffSeries } = require("../scripts/6-series-diff");
+const {
+  createWorkspace,
+  readJson,
+  removeWorkspace,
+} = require("./helpers/workspace");
+
+/**
+ * Create grouping and split results from series memberships
+ * @param {object} memberships - Anime IDs by series ID; the series name is
+ *   the series ID in upper case
+ * @returns {object} Grouping and split results, every series in "main"
+ */
+function createRun(memberships) {
+  const series = Object.keys(memberships).map((seriesId) => ({
+    seriesId,
+    seriesName: seriesId.toUpperCase(),
+    animeIds: memberships[seriesId],
+  }));
+  return {
+    grouping: { series },
+    split: { splitSeries: { main: series } },
+  };
+}
+
+describe("diffMembership", () => {
+  test("finds added, removed, renamed, merged and split series", () => {
+    const previous = createMembershipSnapshot(
+      [
+        { seriesId: "a", seriesName: "A", animeIds: ["1", "2"] },
+        { seriesId: "b", seriesName: "B", animeIds: ["3"] },
+        { seriesId: "c", seriesName: "C", animeIds: ["4", "5"] },
+        { seriesId: "d", seriesName: "D", animeIds: ["6"] },
+      ],
+      {}
+    );
+    const current = createMembershipSnapshot(
+      [
+        { seriesId: "a", seriesName: "A (TV)", animeIds: ["1", "2", "3"] },
+        { seriesId: "c", seriesName: "C", animeIds: ["4"] },
+        { seriesId: "e", seriesName: "E", animeIds: ["5", "7"] },
+      ],
+      {}
+    );
+
+    const changes = diffMembership(previous, current);
+
+    assert.deepEqual(changes.anime, {
+      added: ["7"],
+      removed: ["6"],
+      compared: 5,
+      changed: 2,
+    });
+    assert.equal(changes.churn, 2 / 5);
+    assert.deepEqual(
+      changes.series.added.map((s) => s.seriesId),
+      ["e"]
+    );
+    assert.deepEqual(
+      changes.series.removed.map((s) => s.seriesId),
+      ["b", "d"]
+    );
+    assert.deepEqual(changes.series.renamed, [
+      { seriesId: "a", from: "A", to: "A (TV)" },
+    ]);
+    assert.deepEqual(changes.series.merged, [
+      { seriesId: "a", seriesName: "A (TV)", fromSeriesIds: ["a", "b"] },
+    ]);
+    assert.deepEqual(changes.series.split, [
+      { seriesId: "c", seriesName: "C", intoSeriesIds: ["c", "e"] },
+    ]);
+  });
+});
+
+describe("diffSeries", () => {
+  let dir;
+  let snapshotPath;
+  let diffPath;
+
+  beforeEach(() => {
+    dir = createWorkspace({ diff: { maxChurn: 0.25 } });
+    snapshotPath = path.join(dir, "db", "series_snapshot.json");
+    diffPath = path.join(dir, "results", "series_diff.json");
+  });
+
+  afterEach(() => removeWorkspace(dir));
+
+  test("records the first run as the baseline", async () => {
+    const result = await diffSeries(createRun({ a: ["1", "2"] }));
+
+    assert.equal(result.success, true);
+    assert.equal(result.baseline, true);
+    assert.equal(result.snapshotUpdated, true);
+    assert.deepEqual(Object.keys(readJson(snapshotPath).series), ["a"]);
+  });
+
+  test("keeps the snapshot when the churn exceeds the threshold", async () => {
+    await diffSeries(createRun({ a: ["1", "2"], b: ["3", "4"] }));
+    const snapshot = fs.readFileSync(snapshotPath, "utf8");
+
+    const result = await diffSeries(createRun({ a: ["1", "2", "3", "4"] }));
+    assert.equal(result.success, false);
+    assert.equal(result.errorType, "churn");
+    assert.equal(result.snapshotUpdated, false);
+    assert.equal(fs.readFileSync(snapshotPath, "utf8"), snapshot);
+    assert.equal(readJson(diffPath).churn.exceeded, true);
+
+    const accepted = await diffSeries({
+      ...createRun({ a: ["1", "2", "3", "4"] }),
+      accept: true,
+    });
+    assert.equal(accepted.success, true);
+    assert.equal(accepted.snapshotUpdated, true);
+  });
+
+  test("writes the same files when the series are unchanged", async () => {
+    await diffSeries(createRun({ a: ["1", "2"] }));
+    await diffSeries(createRun({ a: ["1", "2"] }));
+    const snapshot = fs.readFileSync(snapshotPath, "utf8");
+    const changeLog = fs.readFileSync(diffPath, "utf8");
+
+    const result = await diffSeries(createRun({ a: ["1", "2"] }));
+    assert.equal(result.churn, 0);
+    assert.equal(fs.readFileSync(snapshotPath, "utf8"), snapshot);
+    assert.equal(fs.readFileSync(diffPath, "utf8"), changeLog);
+  });
+});
@@ -0,0 +1,278 @@
+const assert = require("node:assert/strict");
+const path = require("path");
+const { afterEach, before, beforeEach, describe, test } = require("node:test");
+
+const { loadConfig } = require("../scripts/utils/config");
+const {
+  groupAnimeIntoSeries,
+  groupAnimeIntoSeries_internal,
+} = require("../scripts/2-series-grouping");
+const { groupBaseline } = require("./helpers/baseline-grouping");
+const {
+  createWorkspace,
+  readJson,
+  removeWorkspace,
+  writeJson,
+} = require("./helpers/workspace");
+
+/**
+ * Create anime records from a relation list
+ * @param {object} relations - Target anime IDs by anime ID, in data order;
+ *   targets prefixed with "~" are one-way, the others reciprocal SEQUELs
+ * @returns {Array<object>} Anime records
+ */
+function createAnime(relations) {
+  const animeMap = {};
+  Object.keys(relations).forEach((id) => {
+    animeMap[id] = { id, title: `Anime ${id}`, relations: [] };
+  });
+  Object.entries(relations).forEach(([id, targets]) => {
+    targets.forEach((target) => {
+      const targetId = target.replace(/^~/, "");
+      animeMap[id].relations.push({
+        targetAnimeId: targetId,
+        relationType: "SEQUEL",
+      });
+      if (target === targetId && animeMap[targetId]) {
+        animeMap[targetId].relations.push({
+          targetAnimeId: id,
+          relationType: "PREQUEL",
+        });
+      }
+    });
+  });
+  return Object.values(animeMap);
+}
+
+/**
+ * Group anime with the current engine
+ * @param {Array<object>} animeData - Anime records (not modified)
+ * @param {string} conflictResolution - Conflict resolution mode
+ * @returns {object} Series anime IDs and edge cases
+ */
+function group(animeData, conflictResolution) {
+  const { series, edgeCases } = groupAnimeIntoSeries_internal(
+    structuredClone(animeData),
+    { conflictResolution }
+  );
+  return {
+    series: series.map((seriesGroup) => seriesGroup.animeIds),
+    edgeCases,
+  };
+}
+
+/**
+ * Deterministic pseudo-random number generator (LCG)
+ * @param {number} seed - Initial seed
+ * @returns {Function} Function returning numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+/**
+ * Create a random acyclic dataset: reciprocal SEQUEL/PREQUEL pairs, one-way
+ * links from later to earlier anime and links to anime outside the data, in
+ * shuffled order
+ * @param {Function} random - Random number generator
+ * @returns {Array<object>} Anime records
+ */
+function createRandomAnime(random) {
+  const count = 8 + Math.floor(random() * 25);
+  const relations = {};
+  for (let i = 1; i <= count; i++) relations[i] = [];
+
+  for (let i = 2; i <= count; i++) {
+    const target = String(1 + Math.floor(random() * (i - 1)));
+    const roll = random();
+    if (roll < 0.35) {
+      relations[i].push(target);
+    } else if (roll < 0.6) {
+      relations[i].push(`~${target}`);
+    } else if (roll < 0.7) {
+      relations[i].push(`~${1000 + Math.floor(random() * 5)}`);
+    }
+  }
+
+  const animeData = createAnime(relations);
+  for (let i = animeData.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [animeData[i], animeData[j]] = [animeData[j], animeData[i]];
+  }
+  return animeData;
+}
+
+describe("groupAnimeIntoSeries_internal", () => {
+  before(() => {
+    loadConfig({ env: {}, overrides: { logging: { level: "error" } } });
+  });
+
+  test("groups reciprocal relations like the original grouping", () => {
+    const animeData = createAnime({ 1: ["2"], 2: ["3"], 3: [], 4: [] });
+
+    for (const mode of ["merge", "split", "keep"]) {
+      assert.deepEqual(group(animeData, mode).series, groupBaseline(animeData));
+    }
+    assert.deepEqual(groupBaseline(animeData), [["1", "2", "3"]]);
+  });
+
+  test("follows one-way relations in their direction", () => {
+    // 1 links to 2 one way, and 2 is a sequel of 3; 5 links to 4, which has
+    // no relations and comes first
+    const animeData = createAnime({
+      4: [],
+      1: ["~2"],
+      2: ["3"],
+      3: [],
+      5: ["~4"],
+    });
+
+    const expected = [
+      ["1", "2", "3"],
+      ["5", "4"],
+    ];
+    assert.deepEqual(groupBaseline(animeData), expected);
+    assert.deepEqual(group(animeData, "keep").series, expected);
+    assert.deepEqual(group(animeData, "merge").series, expected);
+    assert.deepEqual(group(animeData, "keep").edgeCases.orphanedAnime, []);
+  });
+
+  test("resolves a one-way relation into an earlier series", () => {
+    // 3 links one way to 1, which is already in a series with 2
+    const animeData = createAnime({ 1: ["2"], 2: [], 3: ["~1", "4"], 4: [] });
+
+    const keep = group(animeData, "keep");
+    assert.deepEqual(keep.series, groupBaseline(animeData));
+    assert.deepEqual(keep.series, [["1", "2"]]);
+    assert.equal(keep.edgeCases.animeInMultipleSeries[0].resolution, "skipped");
+
+    const merge = group(animeData, "merge");
+    assert.deepEqual(merge.series, [["1", "2", "3", "4"]]);
+    assert.equal(merge.edgeCases.animeInMultipleSeries[0].resolution, "merged");
+
+    const split = group(animeData, "split");
+    assert.deepEqual(split.series, [
+      ["1", "2"],
+      ["3", "4"],
+    ]);
+    const [overlap] = split.edgeCases.animeInMultipleSeries;
+    assert.equal(overlap.resolution, "split");
+    assert.deepEqual(
+      overlap.foundInSeries.map((seriesGroup) => seriesGroup.seriesName),
+      ["Anime 1", "Anime 3"]
+    );
+  });
+
+  test("merges a series that was merged into another before", () => {
+    // 5 merges into the series of 3, which 6 then merges with the one of 1
+    const animeData = createAnime({
+      1: ["2"],
+      2: [],
+      3: ["4"],
+      4: [],
+      5: ["~3"],
+      6: ["~1", "~3"],
+    });
+
+    const { series, edgeCases } = groupAnimeIntoSeries_internal(animeData, {
+      conflictResolution: "merge",
+    });
+    assert.deepEqual(
+      series.map((seriesGroup) => seriesGroup.animeIds),
+      [["1", "2", "3", "4", "5", "6"]]
+    );
+    assert.equal(edgeCases.animeInMultipleSeries.length, 3);
+    edgeCases.animeInMultipleSeries.forEach((overlap) => {
+      assert.deepEqual(
+        overlap.foundInSeries.map((seriesGroup) => seriesGroup.seriesId),
+        [series[0].seriesId, series[0].seriesId]
+      );
+    });
+  });
+
+  test("reports contradictory chronological chains as cycles", () => {
+    // Reciprocal SEQUEL/PREQUEL pairs 1 -> 2 -> 3 -> 1, and 4 -> 5 without
+    // a cycle
+    const animeData = createAnime({ 1: ["2"], 2: ["3"], 3: ["1"], 4: ["5"] });
+    animeData.push({ id: "5", title: "Anime 5", relations: [] });
+
+    const { circularRelations } = group(animeData, "merge").edgeCases;
+    assert.equal(circularRelations.length, 1);
+    const [cycle] = circularRelations;
+    assert.deepEqual(cycle.path, ["1", "2", "3", "1"]);
+    assert.deepEqual(cycle.involvedAnimeIds, ["1", "2", "3"]);
+    assert.deepEqual(cycle.steps[0], {
+      fromAnimeId: "1",
+      toAnimeId: "2",
+      relationTypes: ["SEQUEL", "PREQUEL"],
+    });
+  });
+
+  test("keeps the original series on random acyclic data", () => {
+    const random = createRandom(2024);
+    for (let run = 0; run < 200; run++) {
+      const animeData = createRandomAnime(random);
+      assert.deepEqual(
+        group(animeData, "keep").series,
+        groupBaseline(structuredClone(animeData)),
+        `dataset ${run}: ${JSON.stringify(animeData)}`
+      );
+    }
+  });
+
+  test("puts every anime of a merged dataset in at most one series", () => {
+    const random = createRandom(7);
+    for (let run = 0; run < 200; run++) {
+      const animeData = createRandomAnime(random);
+      for (const mode of ["merge", "split"]) {
+        const ids = group(animeData, mode).series.flat();
+        assert.equal(new Set(ids).size, ids.length);
+      }
+    }
+  });
+});
+
+describe("groupAnimeIntoSeries", () => {
+  // 3 links one way into the series of 1 and 2
+  const animeData = createAnime({ 1: ["2"], 2: [], 3: ["~1", "4"], 4: [] });
+  let dir;
+
+  beforeEach(() => {
+    dir = createWorkspace({ grouping: { conflictResolution: "split" } });
+    writeJson(
+      path.join(dir, "results", "anilist_anime_data_complete.json"),
+      animeData
+    );
+  });
+
+  afterEach(() => removeWorkspace(dir));
+
+  test("resolves overlaps with the configured mode", async () => {
+    const result = await groupAnimeIntoSeries();
+
+    assert.equal(result.success, true);
+    assert.equal(result.seriesCount, 2);
+    const edgeCases = readJson(path.join(dir, "results", "edge_cases.json"));
+    assert.equal(edgeCases.animeInMultipleSeries[0].resolution, "split");
+  });
+
+  test("regroups everything when the mode changes", async () => {
+    await groupAnimeIntoSeries();
+    const result = await groupAnimeIntoSeries({
+      conflictResolution: "merge",
+      incremental: true,
+    });
+
+    assert.equal(result.changes.incremental, false);
+    assert.equal(result.seriesCount, 1);
+    assert.equal(
+      readJson(path.join(dir, "db", "pipeline_state.json")).grouping
+        .conflictResolution,
+      "merge"
+    );
+  });
+});
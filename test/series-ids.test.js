@@ -0,0 +1,116 @@
+const assert = require("node:assert/strict");
+const { before, describe, test } = require("node:test");
+
+const { loadConfig } = require("../scripts/utils/config");
+const {
+  SeriesIdRegistry,
+  getAnchorId,
+  uuidv5,
+} = require("../scripts/utils/series-ids");
+const {
+  groupAnimeIntoSeries_internal,
+} = require("../scripts/2-series-grouping");
+
+/**
+ * Two franchises linked by reciprocal SEQUEL/PREQUEL pairs
+ * @returns {Array<object>} Anime records
+ */
+function createAnime() {
+  const link = (targetAnimeId, relationType) => ({
+    targetAnimeId,
+    relationType,
+  });
+  return [
+    { id: "1", title: "A", relations: [link("2", "SEQUEL")] },
+    { id: "2", title: "A 2", relations: [link("1", "PREQUEL")] },
+    { id: "10", title: "B", relations: [link("11", "SEQUEL")] },
+    { id: "11", title: "B 2", relations: [link("10", "PREQUEL")] },
+  ];
+}
+
+/**
+ * Group anime and map each series' lowest anime ID to its series ID
+ * @param {Array<object>} animeData - Anime records
+ * @param {SeriesIdRegistry} registry - Series ID registry
+ * @returns {object} Series IDs by anchor anime ID
+ */
+function seriesIdsByAnchor(animeData, registry) {
+  const { series } = groupAnimeIntoSeries_internal(animeData, { registry });
+  const ids = {};
+  series.forEach((seriesGroup) => {
+    ids[getAnchorId(seriesGroup.animeIds)] = seriesGroup.seriesId;
+  });
+  return ids;
+}
+
+describe("uuidv5", () => {
+  test("matches the RFC 4122 version 5 algorithm", () => {
+    // Python: uuid.uuid5(uuid.NAMESPACE_DNS, "python.org")
+    assert.equal(
+      uuidv5("python.org", "6ba7b810-9dad-11d1-80b4-00c04fd430c8"),
+      "886313e1-3b8a-5372-9b90-0c9aee199e5d"
+    );
+  });
+});
+
+describe("SeriesIdRegistry", () => {
+  before(() => {
+    loadConfig({ env: {}, overrides: { logging: { level: "error" } } });
+  });
+
+  test("gives the same IDs whatever the order of the input", () => {
+    const ordered = seriesIdsByAnchor(createAnime(), new SeriesIdRegistry());
+    const reversed = seriesIdsByAnchor(
+      createAnime().reverse(),
+      new SeriesIdRegistry()
+    );
+
+    assert.deepEqual(reversed, ordered);
+    assert.equal(ordered["1"], uuidv5("series:1"));
+  });
+
+  test("keeps the ID of a series when a new entry joins it", () => {
+    const registry = new SeriesIdRegistry();
+    const original = seriesIdsByAnchor(createAnime(), registry);
+
+    // A prequel with a lower ID would change the derived ID
+    const animeData = createAnime();
+    animeData[0].relations.push({
+      targetAnimeId: "0",
+      relationType: "PREQUEL",
+    });
+    animeData.push({
+      id: "0",
+      title: "A 0",
+      relations: [{ targetAnimeId: "1", relationType: "SEQUEL" }],
+    });
+    const joined = seriesIdsByAnchor(
+      animeData,
+      new SeriesIdRegistry(JSON.parse(JSON.stringify(registry)))
+    );
+
+    assert.equal(joined["0"], original["1"]);
+    assert.equal(joined["10"], original["10"]);
+  });
+
+  test("saves the same registry for the same grouping", () => {
+    const first = new SeriesIdRegistry();
+    seriesIdsByAnchor(createAnime(), first);
+    const saved = JSON.stringify(first);
+
+    const second = new SeriesIdRegistry(JSON.parse(saved));
+    seriesIdsByAnchor(createAnime(), second);
+
+    assert.equal(JSON.stringify(second), saved);
+  });
+
+  test("does not reuse a claimed ID for another group", () => {
+    const registry = new SeriesIdRegistry();
+    const first = registry.assign("series", ["5", "6"]);
+    registry.claim(uuidv5("series:7"));
+    const second = registry.assign("series", ["7"]);
+
+    assert.notEqual(second, first);
+    assert.notEqual(second, uuidv5("series:7"));
+  });
+});
@@ -0,0 +1,88 @@
+const assert = require("node:assert/strict");
+const { describe, test } = require("node:test");
+
+const { aggregateSeriesMetadata } = require("../scripts/utils/series-metadata");
+
+/**
+ * Aggregate the metadata of a series made of the given anime
+ * @param {Array<object>} anime - Member anime, without IDs
+ * @returns {object} Series metadata
+ */
+function aggregate(anime) {
+  const animeMap = {};
+  anime.forEach((fields, index) => {
+    animeMap[String(index + 1)] = { id: String(index + 1), ...fields };
+  });
+  return aggregateSeriesMetadata(Object.keys(animeMap), animeMap, "1");
+}
+
+describe("aggregateSeriesMetadata", () => {
+  test("weights the average score by popularity", () => {
+    const metadata = aggregate([
+      { averageScore: 80, popularity: 300 },
+      { averageScore: 60, popularity: 100 },
+    ]);
+    assert.equal(metadata.averageScore, 75);
+  });
+
+  test("averages the scores when no member has a popularity", () => {
+    const metadata = aggregate([{ averageScore: 80 }, { averageScore: 71 }]);
+    assert.equal(metadata.averageScore, 75.5);
+  });
+
+  test("counts a scored member without a popularity once", () => {
+    const metadata = aggregate([{ averageScore: 80 }, { popularity: 500 }]);
+    assert.equal(metadata.averageScore, 80);
+  });
+
+  test("gives no average score when no member has a score", () => {
+    const metadata = aggregate([{ popularity: 500 }, {}]);
+    assert.equal(metadata.averageScore, null);
+  });
+
+  test("lists only the fields a member lacks where they would count", () => {
+    const complete = {
+      startDate: "2013-04-07",
+      endDate: "2013-09-29",
+      episodes: 25,
+      duration: 24,
+      genres: ["Action"],
+      studios: ["Wit Studio"],
+      format: "TV",
+      averageScore: 84,
+      popularity: 900000,
+      coverImage: "https://example.com/1.jpg",
+    };
+    const metadata = aggregate([
+      complete,
+      // A movie still airing, without episodes, score or cover
+      {
+        startDate: "2024-01-01",
+        genres: ["Action"],
+        studios: ["MAPPA"],
+        format: "MOVIE",
+      },
+    ]);
+    assert.deepEqual(metadata.incompleteFields, ["episodes", "averageScore"]);
+  });
+
+  test("leaves out members missing from the data", () => {
+    const animeMap = {
+      1: {
+        id: "1",
+        startDate: "2013-04-07",
+        episodes: 25,
+        duration: 24,
+        genres: ["Action"],
+        studios: ["Wit Studio"],
+        format: "TV",
+        averageScore: 84,
+        coverImage: "https://example.com/1.jpg",
+      },
+    };
+    // 2 is the manga the anime adapts
+    const metadata = aggregateSeriesMetadata(["1", "2"], animeMap, "1");
+    assert.deepEqual(metadata.incompleteFields, ["popularity"]);
+    assert.equal(metadata.totalEpisodes, 25);
+  });
+});
@@ -0,0 +1,132 @@
+const assert = require("node:assert/strict");
+const path = require("path");
+const { afterEach, beforeEach, describe, test } = require("node:test");
+
+const {
+  SeriesNamer,
+  toFranchiseName,
+} = require("../scripts/utils/series-naming");
+const { groupAnimeIntoSeries } = require("../scripts/2-series-grouping");
+const {
+  createWorkspace,
+  readJson,
+  removeWorkspace,
+  writeJson,
+} = require("./helpers/workspace");
+
+const ANIME_MAP = {
+  1: {
+    id: "1",
+    titleRomaji: "Shingeki no Kyojin Season 2",
+    titleEnglish: "Attack on Titan Season 2",
+    startDate: "2017-04-01",
+  },
+  2: {
+    id: "2",
+    titleRomaji: "Shingeki no Kyojin",
+    titleEnglish: "Attack on Titan",
+    titleNative: "進撃の巨人",
+    startDate: "2013-04-07",
+  },
+  3: { id: "3", titleRomaji: "Shingeki no Kyojin Movie" },
+};
+
+describe("toFranchiseName", () => {
+  test("strips season and sequel suffixes", () => {
+    for (const [title, name] of [
+      ["Shingeki no Kyojin Season 3 Part 2", "Shingeki no Kyojin"],
+      ["Kimetsu no Yaiba Movie: Mugen Ressha-hen", "Kimetsu no Yaiba"],
+      ["Attack on Titan: The Final Season", "Attack on Titan"],
+      ["Boku no Hero Academia 2nd Season", "Boku no Hero Academia"],
+      ["進撃の巨人 第2期", "進撃の巨人"],
+    ]) {
+      assert.equal(toFranchiseName(title), name);
+    }
+  });
+
+  test("keeps titles that are only a suffix", () => {
+    assert.equal(toFranchiseName(" Season 2 "), "Season 2");
+  });
+});
+
+describe("SeriesNamer", () => {
+  test("anchors on the earliest release, then the lowest ID", () => {
+    const namer = new SeriesNamer();
+
+    assert.equal(namer.selectAnchor(["3", "1", "2"], ANIME_MAP), "2");
+    assert.equal(namer.selectAnchor(["3", "10"], {}), "3");
+    assert.equal(namer.selectAnchor([], ANIME_MAP), undefined);
+  });
+
+  test("names series after the anchor title in the preferred language", () => {
+    assert.equal(
+      new SeriesNamer().nameSeries("s1", ["1", "2"], ANIME_MAP),
+      "Shingeki no Kyojin"
+    );
+    assert.equal(
+      new SeriesNamer({ languages: ["english"] }).nameSeries(
+        "s1",
+        ["1"],
+        ANIME_MAP
+      ),
+      "Attack on Titan"
+    );
+    assert.equal(
+      new SeriesNamer({
+        languages: ["native", "romaji"],
+        stripSuffixes: false,
+      }).nameSeries("s1", ["1"], ANIME_MAP, "Spin-off"),
+      "Shingeki no Kyojin Season 2 (Spin-off)"
+    );
+  });
+
+  test("falls back to overrides, record titles and IDs", () => {
+    const namer = new SeriesNamer({ overrides: { s1: "AoT" } });
+
+    assert.equal(namer.nameSeries("s1", ["1"], ANIME_MAP), "AoT");
+    assert.equal(
+      namer.nameSeries("s2", ["4"], { 4: { title: "Title" } }),
+      "Title"
+    );
+    assert.equal(namer.nameSeries("s2", ["4"], {}), "Series 4");
+    assert.equal(namer.nameSeries("s2", [], {}), "Unknown Series");
+  });
+
+  test("rejects unknown title languages", () => {
+    assert.throws(
+      () => new SeriesNamer({ languages: ["french"] }),
+      /Unknown title language "french" \(expected romaji, english, native\)/
+    );
+  });
+});
+
+describe("grouping stage naming", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = createWorkspace({ naming: { languages: ["english", "romaji"] } });
+    writeJson(
+      path.join(dir, "results", "anilist_anime_data_complete.json"),
+      Object.values(ANIME_MAP).map((anime) => ({
+        ...anime,
+        relations: [
+          {
+            targetAnimeId: anime.id === "2" ? "1" : "2",
+            relationType: anime.id === "2" ? "SEQUEL" : "PREQUEL",
+          },
+        ],
+      }))
+    );
+  });
+
+  afterEach(() => removeWorkspace(dir));
+
+  test("names series with the configured naming", async () => {
+    assert.equal((await groupAnimeIntoSeries()).success, true);
+
+    const [series] = readJson(
+      path.join(dir, "results", "main_series.json")
+    ).series;
+    assert.equal(series.seriesName, "Attack on Titan");
+  });
+});
@@ -0,0 +1,140 @@
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { afterEach, beforeEach, describe, test } = require("node:test");
+
+const { getConfig, getPath } = require("../scripts/utils/config");
+const { SnapshotStore } = require("../scripts/utils/snapshots");
+const { getSnapshotFiles, runPipeline } = require("../scripts/pipeline");
+const {
+  createWorkspace,
+  readJson,
+  removeWorkspace,
+} = require("./helpers/workspace");
+
+/**
+ * Write the input CSV file
+ * @param {string} dir - Working directory
+ * @param {Array<Array>} rows - Rows of ID, title and relations (target ID
+ *   and relation type pairs)
+ */
+function writeCsv(dir, rows) {
+  const quote = (value) => `"${String(value).replace(/"/g, '""')}"`;
+  const lines = rows.map(([id, title, relations]) =>
+    [
+      id,
+      quote(title),
+      "TV",
+      12,
+      quote(
+        JSON.stringify(
+          relations.map(([targetAnimeId, relationType]) => ({
+            targetAnimeId,
+            relationType,
+          }))
+        )
+      ),
+    ].join(",")
+  );
+  fs.writeFileSync(
+    path.join(dir, "data", "anilist_anime_data_complete.csv"),
+    ["id,title_romaji,format,episodes,relations", ...lines].join("\n") + "\n"
+  );
+}
+
+/**
+ * Read the published files that exist
+ * @returns {object} File contents by path
+ */
+function readPublishedFiles() {
+  const contents = {};
+  getSnapshotFiles().forEach(({ filePath }) => {
+    if (fs.existsSync(filePath)) {
+      contents[filePath] = fs.readFileSync(filePath, "utf8");
+    }
+  });
+  return contents;
+}
+
+describe("snapshots", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = createWorkspace();
+  });
+
+  afterEach(() => removeWorkspace(dir));
+
+  test("publish nothing when a run's outputs are unchanged", async () => {
+    writeCsv(dir, [
+      [1, "A", [[2, "SEQUEL"]]],
+      [2, "A 2", [[1, "PREQUEL"]]],
+    ]);
+
+    const first = await runPipeline();
+    const second = await runPipeline();
+    const third = await runPipeline();
+
+    assert.equal(first.success, true);
+    assert.notEqual(second.summary.snapshot, first.summary.snapshot);
+    assert.equal(third.summary.snapshot, second.summary.snapshot);
+  });
+
+  test("roll back to a consistent set of outputs", async () => {
+    writeCsv(dir, [
+      [1, "A", [[2, "SEQUEL"]]],
+      [2, "A 2", [[1, "PREQUEL"]]],
+      [3, "B", []],
+    ]);
+    const first = await runPipeline();
+    assert.equal(first.success, true);
+    const published = readPublishedFiles();
+
+    // B becomes a sequel of A, and an invalid row is quarantined
+    writeCsv(dir, [
+      [1, "A", [[2, "SEQUEL"]]],
+      [
+        2,
+        "A 2",
+        [
+          [1, "PREQUEL"],
+          [3, "SEQUEL"],
+        ],
+      ],
+      [3, "B", [[2, "PREQUEL"]]],
+      [4, "", []],
+    ]);
+    const second = await runPipeline({ validationPolicy: "quarantine" });
+    assert.equal(second.success, true);
+    assert.notDeepEqual(readPublishedFiles(), published);
+    assert.equal(fs.existsSync(getPath("resultsDir", "quarantine")), true);
+
+    const store = new SnapshotStore(
+      getPath("snapshotsDir"),
+      getConfig().snapshots
+    );
+    const { removed } = await store.restore(
+      first.summary.snapshot,
+      getConfig().paths,
+      getSnapshotFiles()
+    );
+
+    assert.deepEqual(removed, [getPath("resultsDir", "quarantine")]);
+    assert.deepEqual(readPublishedFiles(), published);
+    assert.equal(store.currentRunId(), first.summary.snapshot);
+
+    // The split anime data matches the restored series: B is on its own
+    // again
+    const [mainSeries] = readJson(getPath("dbDir", "advancedSplit")).main;
+    const splitAnime = readJson(getPath("resultsDir", "splitAnimeData"));
+    assert.deepEqual(mainSeries.animeIds, ["1", "2"]);
+    assert.deepEqual(
+      splitAnime.map((anime) => [anime.id, anime.seriesId]),
+      [
+        ["1", mainSeries.seriesId],
+        ["2", mainSeries.seriesId],
+        ["3", null],
+      ]
+    );
+  });
+});
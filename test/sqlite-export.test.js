@@ -0,0 +1,173 @@
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { afterEach, beforeEach, describe, test } = require("node:test");
+
+const { exportToSqlite } = require("../scripts/5-sqlite-export");
+const { groupAnimeIntoSeries } = require("../scripts/2-series-grouping");
+const { advancedSeriesSplit } = require("../scripts/3-advanced-series-split");
+const {
+  createWorkspace,
+  readJson,
+  removeWorkspace,
+  writeJson,
+} = require("./helpers/workspace");
+
+/**
+ * Whether the SQLite driver is installed
+ * @returns {boolean} True if better-sqlite3 loads
+ */
+function hasSqliteDriver() {
+  try {
+    require("better-sqlite3");
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Open a database that records the inserted rows by table and writes them
+ * to its file as JSON on close
+ * @param {string} filePath - Database path
+ * @returns {object} Database handle
+ */
+function openRecordingDatabase(filePath) {
+  const rows = {};
+  return {
+    exec: () => {},
+    prepare: (sql) => {
+      const table = /INTO (\w+)/.exec(sql)[1];
+      rows[table] = rows[table] || [];
+      return {
+        run: (...values) => {
+          rows[table].push(values);
+          return { changes: 1 };
+        },
+      };
+    },
+    close: () => writeJson(filePath, rows),
+  };
+}
+
+describe("exportToSqlite", () => {
+  let dir;
+  let outputPath;
+
+  beforeEach(async () => {
+    dir = createWorkspace();
+    outputPath = path.join(dir, "results", "anime.sqlite");
+    writeJson(path.join(dir, "results", "anilist_anime_data_complete.json"), [
+      {
+        id: "1",
+        titleRomaji: "A",
+        episodes: 12,
+        isAdult: false,
+        relations: [
+          { targetAnimeId: "2", relationType: "SEQUEL" },
+          { targetAnimeId: "3", relationType: "SPIN_OFF" },
+        ],
+      },
+      {
+        id: "2",
+        titleRomaji: "A 2",
+        relations: [{ targetAnimeId: "1", relationType: "PREQUEL" }],
+      },
+      {
+        id: "3",
+        titleRomaji: "A Spin-off",
+        relations: [{ targetAnimeId: "1", relationType: "SPIN_OFF" }],
+      },
+    ]);
+    assert.equal((await groupAnimeIntoSeries()).success, true);
+    assert.equal((await advancedSeriesSplit()).success, true);
+  });
+
+  afterEach(() => removeWorkspace(dir));
+
+  test("writes the stage outputs to the database tables", async () => {
+    const result = await exportToSqlite({
+      outputPath,
+      openDatabase: openRecordingDatabase,
+    });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.tables, {
+      anime: 3,
+      series: 1,
+      series_members: 3,
+      relations: 4,
+      split_series: 1,
+      split_series_members: 2,
+      split_series_links: 1,
+      edge_cases: 0,
+    });
+
+    const rows = readJson(outputPath);
+    const [main] = readJson(
+      path.join(dir, "db", "advanced_split_series.json")
+    ).main;
+    // Columns in schema order: id, ..., episodes, ..., is_adult, series_id,
+    // series_type, ..., data
+    const anime = rows.anime[0];
+    assert.equal(anime[0], "1");
+    assert.equal(anime[5], 12);
+    assert.equal(anime[11], 0);
+    assert.equal(anime[12], main.seriesId);
+    assert.equal(anime[13], "MAIN");
+    assert.equal(JSON.parse(anime[16]).titleRomaji, "A");
+    assert.deepEqual(rows.split_series_members, [
+      [main.seriesId, "1", 1],
+      [main.seriesId, "2", 2],
+    ]);
+    assert.deepEqual(rows.split_series_links, [
+      [main.seriesId, "3", "spinOff"],
+    ]);
+    assert.deepEqual(
+      fs
+        .readdirSync(path.join(dir, "results"))
+        .filter((name) => name.endsWith(".tmp")),
+      []
+    );
+  });
+
+  test("leaves no database behind when an input is missing", async () => {
+    fs.rmSync(path.join(dir, "db", "advanced_split_series.json"));
+
+    const result = await exportToSqlite({
+      outputPath,
+      openDatabase: openRecordingDatabase,
+    });
+
+    assert.equal(result.success, false);
+    assert.equal(result.errorType, "io");
+    assert.equal(fs.existsSync(outputPath), false);
+  });
+
+  test(
+    "creates a queryable database with better-sqlite3",
+    { skip: !hasSqliteDriver() && "better-sqlite3 is not installed" },
+    async () => {
+      assert.equal((await exportToSqlite({ outputPath })).success, true);
+
+      const Database = require("better-sqlite3");
+      const db = new Database(outputPath, { readonly: true });
+      try {
+        assert.deepEqual(
+          db
+            .prepare(
+              `SELECT anime_id, watch_position FROM split_series_members
+                ORDER BY watch_position`
+            )
+            .all(),
+          [
+            { anime_id: "1", watch_position: 1 },
+            { anime_id: "2", watch_position: 2 },
+          ]
+        );
+      } finally {
+        db.close();
+      }
+    }
+  );
+});
@@ -0,0 +1,116 @@
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { afterEach, beforeEach, describe, test } = require("node:test");
+
+const { StageRegistry } = require("../scripts/utils/stage-registry");
+const { createStageRegistry, runPipeline } = require("../scripts/pipeline");
+const { createWorkspace, removeWorkspace } = require("./helpers/workspace");
+
+/**
+ * Create a stage that does nothing
+ * @param {string} name - Stage name
+ * @param {Array<string>} dependsOn - Stages it runs after
+ * @returns {object} Stage definition
+ */
+function createStage(name, dependsOn = []) {
+  return { name, dependsOn, run: async () => ({ success: true }) };
+}
+
+describe("StageRegistry", () => {
+  test("orders stages after their dependencies", () => {
+    const registry = new StageRegistry()
+      .register(createStage("report", ["split"]))
+      .register(createStage("convert"))
+      .register(createStage("split", ["group"]))
+      .register(createStage("group", ["convert"]));
+
+    assert.deepEqual(
+      registry.resolveOrder().map((stage) => stage.name),
+      ["convert", "group", "split", "report"]
+    );
+  });
+
+  test("rejects invalid and duplicate stages", () => {
+    const registry = new StageRegistry().register(createStage("convert"));
+
+    assert.throws(() => registry.register({ run: () => {} }), /need a name/);
+    assert.throws(
+      () => registry.register({ name: "group" }),
+      /"group" needs a run function/
+    );
+    assert.throws(
+      () => registry.register(createStage("convert")),
+      /"convert" is already registered/
+    );
+  });
+
+  test("rejects unknown and circular dependencies", () => {
+    assert.throws(
+      () =>
+        new StageRegistry()
+          .register(createStage("group", ["convert"]))
+          .resolveOrder(),
+      /"group" depends on unknown stage "convert"/
+    );
+    assert.throws(
+      () =>
+        new StageRegistry()
+          .register(createStage("a", ["b"]))
+          .register(createStage("b", ["a"]))
+          .resolveOrder(),
+      /Stage dependencies form a cycle: a, b/
+    );
+  });
+});
+
+describe("custom stages", () => {
+  let dir;
+  let seen;
+
+  beforeEach(() => {
+    seen = [];
+    dir = createWorkspace({
+      stages: [
+        {
+          name: "count-series",
+          description: "Count the series",
+          dependsOn: ["series-grouping"],
+          run: async ({ results }) => {
+            seen.push(Object.keys(results));
+            return {
+              success: true,
+              count: results["series-grouping"].seriesCount,
+            };
+          },
+        },
+      ],
+    });
+    fs.writeFileSync(
+      path.join(dir, "data", "anilist_anime_data_complete.csv"),
+      [
+        "id,title_romaji,relations",
+        '1,A,"[{""targetAnimeId"":2,""relationType"":""SEQUEL""}]"',
+        '2,A 2,"[{""targetAnimeId"":1,""relationType"":""PREQUEL""}]"',
+      ].join("\n") + "\n"
+    );
+  });
+
+  afterEach(() => removeWorkspace(dir));
+
+  test("run after their dependencies with the earlier results", async () => {
+    const stageNames = createStageRegistry()
+      .resolveOrder()
+      .map((stage) => stage.name);
+    assert.ok(
+      stageNames.indexOf("count-series") > stageNames.indexOf("series-grouping")
+    );
+
+    const result = await runPipeline();
+    assert.equal(result.success, true);
+    assert.equal(result.results["count-series"].count, 1);
+    assert.deepEqual(seen, [
+      stageNames.slice(0, stageNames.indexOf("count-series")),
+    ]);
+  });
+});
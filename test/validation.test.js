@@ -0,0 +1,130 @@
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { afterEach, beforeEach, describe, test } = require("node:test");
+
+const {
+  validateAnimeData,
+  validateDataset,
+  validateRecord,
+} = require("../scripts/utils/validation");
+const {
+  createWorkspace,
+  readJson,
+  removeWorkspace,
+} = require("./helpers/workspace");
+
+const ANIME = [
+  {
+    id: "1",
+    titleRomaji: "A",
+    relations: [{ targetAnimeId: "2", relationType: "SEQUEL" }],
+  },
+  // No title
+  { id: "2", relations: [] },
+  // Warning only
+  { id: "3", titleRomaji: "C", episodes: "twelve", relations: null },
+  // Duplicate ID
+  { id: "1", titleRomaji: "A again", relations: [] },
+];
+
+describe("validateRecord", () => {
+  test("reports errors and warnings by field", () => {
+    const issues = validateRecord({
+      id: "0",
+      titleRomaji: "A",
+      episodes: "12",
+      relations: [{ targetAnimeId: "2", relationType: "REMAKE" }],
+    });
+
+    assert.deepEqual(issues, {
+      errors: [
+        { field: "id", message: 'has invalid ID format "0"' },
+        {
+          field: "relations[0].relationType",
+          message: 'has unsupported value "REMAKE"',
+        },
+      ],
+      warnings: [{ field: "episodes", message: "must be a number" }],
+    });
+  });
+
+  test("requires one of the titles", () => {
+    assert.deepEqual(validateRecord({ id: "1", relations: [] }).errors, [
+      {
+        field: "title|titleRomaji|titleEnglish",
+        message: "one of title, titleRomaji, titleEnglish is required",
+      },
+    ]);
+  });
+});
+
+describe("validateDataset", () => {
+  test("keeps rows with warnings and rejects rows with errors", () => {
+    const { validRecords, rejected, report } = validateDataset(ANIME);
+
+    assert.deepEqual(
+      validRecords.map((record) => record.titleRomaji),
+      ["A", "C"]
+    );
+    assert.deepEqual(
+      rejected.map(({ row }) => row),
+      [2, 4]
+    );
+    assert.deepEqual(rejected[1].errors, [
+      { field: "id", message: 'duplicate ID "1"' },
+    ]);
+    assert.equal(report.rowsWithErrors, 2);
+    assert.equal(report.rowsWithWarnings, 1);
+    assert.equal(report.action, "2 invalid rows skipped");
+  });
+});
+
+describe("validateAnimeData", () => {
+  let dir;
+  let reportPath;
+  let quarantinePath;
+
+  beforeEach(() => {
+    dir = createWorkspace();
+    reportPath = path.join(dir, "results", "validation_report.json");
+    quarantinePath = path.join(dir, "results", "quarantine.json");
+  });
+
+  afterEach(() => removeWorkspace(dir));
+
+  test("skips invalid rows with the skip policy", () => {
+    const result = validateAnimeData(ANIME, { policy: "skip" });
+
+    assert.equal(result.success, true);
+    assert.equal(result.records.length, 2);
+    assert.equal(readJson(reportPath).policy, "skip");
+    assert.equal(fs.existsSync(quarantinePath), false);
+  });
+
+  test("writes invalid rows to the quarantine file", () => {
+    const result = validateAnimeData(ANIME, { policy: "quarantine" });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(
+      readJson(quarantinePath).map(({ record }) => record.id),
+      ["2", "1"]
+    );
+  });
+
+  test("fails the run with the fail policy", () => {
+    const result = validateAnimeData(ANIME, { policy: "fail" });
+
+    assert.equal(result.success, false);
+    assert.equal(result.errorType, "validation");
+    assert.equal(readJson(reportPath).action, "run aborted: 2 invalid rows");
+  });
+
+  test("passes valid data with every policy", () => {
+    for (const policy of ["fail", "skip", "quarantine"]) {
+      const result = validateAnimeData(ANIME.slice(0, 1), { policy });
+      assert.equal(result.success, true, policy);
+      assert.equal(result.records.length, 1);
+    }
+  });
+});
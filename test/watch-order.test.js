@@ -0,0 +1,120 @@
+const assert = require("node:assert/strict");
+const { describe, test } = require("node:test");
+
+const { computeWatchOrder } = require("../scripts/utils/watch-order");
+
+/**
+ * Create relations from source, relation type and target triples
+ * @param {...Array<string>} triples - Source ID, relation type, target ID
+ * @returns {Array<object>} Relations
+ */
+function createRelations(...triples) {
+  return triples.map(([sourceAnimeId, relationType, targetAnimeId]) => ({
+    sourceAnimeId,
+    targetAnimeId,
+    relationType,
+  }));
+}
+
+describe("computeWatchOrder", () => {
+  test("follows the sequel chain and places side stories after their parent", () => {
+    const { order, issues } = computeWatchOrder(
+      ["1", "2", "3", "4"],
+      createRelations(
+        ["1", "SEQUEL", "3"],
+        ["2", "PREQUEL", "3"],
+        ["1", "SIDE_STORY", "4"]
+      ),
+      {}
+    );
+
+    assert.deepEqual(order, ["1", "4", "3", "2"]);
+    assert.deepEqual(issues, []);
+  });
+
+  test("orders unrelated entries by release date, then ID", () => {
+    const { order } = computeWatchOrder([1, 2, 3], [], {
+      1: { startDate: "2005-01-01" },
+      2: { startDate: "2001-01-01" },
+    });
+
+    assert.deepEqual(order, ["2", "1", "3"]);
+  });
+
+  test("orders side stories that are each other's parent by release date", () => {
+    const { order } = computeWatchOrder(
+      ["5", "6", "7"],
+      createRelations(
+        ["5", "PARENT", "6"],
+        ["6", "PARENT", "5"],
+        ["7", "PARENT", "6"]
+      ),
+      { 5: { startDate: "2003-01-01" }, 6: { startDate: "2001-01-01" } }
+    );
+
+    assert.deepEqual(order, ["6", "5", "7"]);
+  });
+
+  test("reports sequels released before their prequel", () => {
+    const { order, issues } = computeWatchOrder(
+      ["1", "2"],
+      createRelations(["1", "SEQUEL", "2"]),
+      { 1: { startDate: "2005-01-01" }, 2: { startDate: "2001-01-01" } }
+    );
+
+    assert.deepEqual(order, ["1", "2"]);
+    assert.deepEqual(issues, [
+      {
+        type: "dateConflict",
+        animeIds: ["1", "2"],
+        explanation: "2 follows 1 but was released before it",
+      },
+    ]);
+  });
+
+  test("breaks sequel cycles at their earliest entry", () => {
+    const { order, issues } = computeWatchOrder(
+      ["1", "2", "3"],
+      createRelations(
+        ["1", "SEQUEL", "2"],
+        ["2", "SEQUEL", "3"],
+        ["3", "SEQUEL", "1"]
+      ),
+      {}
+    );
+
+    assert.deepEqual(order, ["1", "2", "3"]);
+    assert.deepEqual(
+      issues.map(({ type, animeIds }) => [type, animeIds]),
+      [["cycle", ["1", "2", "3", "1"]]]
+    );
+  });
+
+  test("reports side stories of several entries and guessed orders", () => {
+    const { order, issues } = computeWatchOrder(
+      ["1", "2", "3", "4"],
+      createRelations(
+        ["1", "SEQUEL", "2"],
+        ["1", "SEQUEL", "3"],
+        ["4", "PARENT", "1"],
+        ["4", "PARENT", "2"]
+      ),
+      {}
+    );
+
+    assert.deepEqual(order, ["1", "4", "2", "3"]);
+    assert.deepEqual(issues, [
+      {
+        type: "multipleParents",
+        animeIds: ["4", "1", "2"],
+        explanation: "4 is a side story of 1, 2; placed after 1",
+      },
+      {
+        type: "ambiguous",
+        animeIds: ["2", "3"],
+        explanation:
+          "No relation or release date orders 2, 3; their order is a guess",
+      },
+    ]);
+  });
+});